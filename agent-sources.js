@@ -0,0 +1,201 @@
+/**
+ * Agent Sources
+ *
+ * The agents registry is merged from several sources, highest precedence first:
+ * 1. agents.json (AGENTS_PATH) - the only source the admin API writes to
+ * 2. A directory of per-agent files (AGENTS_DIR) - *.json, *.yaml or *.yml,
+ *    each holding one agent or an array of agents, read in filename order
+ * 3. A remote registry (AGENTS_REGISTRY_URL) - a JSON or YAML array of agents
+ *
+ * An agent id defined by several sources is taken whole from the highest one
+ * and the conflict is reported. An environment overlay is then applied on top,
+ * overriding fields of agents, groups and endpoints by id - typically the
+ * baseUrls of staging vs production:
+ *
+ *   { "weather-agent": { "groups": { "main": { "baseUrl": "https://staging.weather.example" } } } }
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, basename } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const AGENT_FILE = /\.(json|ya?ml)$/i;
+const DEFAULT_REGISTRY_TIMEOUT_MS = 5000;
+
+/**
+ * Parse an agents document - YAML for .yaml/.yml names, JSON otherwise
+ *
+ * @param {string} content - Document text
+ * @param {string} name - File name or URL (picks the format)
+ * @param {string} contentType - Content-Type of a fetched document, if any
+ */
+export function parseAgentsContent(content, name, contentType = '') {
+  const isYaml = /\.ya?ml$/i.test(name.split('?')[0]) || /yaml/i.test(contentType);
+  return isYaml ? YAML.parse(content) : JSON.parse(content);
+}
+
+/**
+ * Read a directory of per-agent files
+ *
+ * @param {string} dir - Directory path
+ * @returns {{sources: Array<{name, agents}>, errors: Array<{location, message}>}}
+ */
+export function readAgentsDirectory(dir) {
+  const sources = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = readdirSync(dir).filter(file => AGENT_FILE.test(file)).sort();
+  } catch (error) {
+    return { sources, errors: [{ location: dir, message: `can't read agents directory: ${error.message}` }] };
+  }
+
+  for (const file of files) {
+    const name = `${basename(dir)}/${file}`;
+    try {
+      const data = parseAgentsContent(readFileSync(join(dir, file), 'utf-8'), file);
+      sources.push({ name, agents: Array.isArray(data) ? data : [data] });
+    } catch (error) {
+      errors.push({ location: name, message: `can't parse: ${error.message}` });
+    }
+  }
+  return { sources, errors };
+}
+
+/**
+ * Fetch a remote agents registry
+ * file:// URLs are read from disk, which makes a local stand-in for a registry.
+ *
+ * @param {string} url - Registry URL
+ * @param {Object} options - { etag (of the last fetch), token, timeoutMs }
+ * @returns {Promise<{unchanged: true}|{agents: Array, content: string, etag: string|null}>}
+ * @throws {Error} If the registry can't be fetched or parsed
+ */
+export async function fetchAgentsRegistry(url, { etag, token, timeoutMs = DEFAULT_REGISTRY_TIMEOUT_MS } = {}) {
+  let content;
+  let contentType = '';
+  let nextEtag = null;
+
+  if (url.startsWith('file://')) {
+    content = readFileSync(fileURLToPath(url), 'utf-8');
+  } else {
+    const response = await fetch(url, {
+      headers: {
+        Accept: 'application/json, application/yaml',
+        ...(etag && { 'If-None-Match': etag }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (response.status === 304) {
+      return { unchanged: true };
+    }
+    if (!response.ok) {
+      throw new Error(`registry answered ${response.status} ${response.statusText}`);
+    }
+    content = await response.text();
+    contentType = response.headers.get('content-type') || '';
+    nextEtag = response.headers.get('etag');
+  }
+
+  const data = parseAgentsContent(content, url, contentType);
+  const agents = Array.isArray(data) ? data : data?.agents;
+  if (!Array.isArray(agents)) {
+    throw new Error('registry must return an array of agents (or { "agents": [...] })');
+  }
+  return { agents, content, etag: nextEtag };
+}
+
+/**
+ * Merge agent sources by precedence
+ *
+ * @param {Array<{name, agents}>} sources - Highest precedence first
+ * @returns {{agents: Array, origins: string[], errors: Array, warnings: Array}} origins[i] names the source of agents[i]
+ */
+export function mergeAgentSources(sources) {
+  const agents = [];
+  const origins = [];
+  const errors = [];
+  const warnings = [];
+  const definedBy = new Map();
+
+  for (const source of sources) {
+    if (!Array.isArray(source.agents)) {
+      errors.push({ location: source.name, message: 'must contain an array of agents' });
+      continue;
+    }
+
+    const ids = new Set();
+    for (const agent of source.agents) {
+      const id = agent?.id;
+      if (definedBy.has(id)) {
+        warnings.push({
+          location: source.name,
+          message: `agent "${id}" is also defined by ${definedBy.get(id)}, which takes precedence - this definition is ignored`
+        });
+        continue;
+      }
+      // Duplicates within one source are kept so validation reports them
+      agents.push(agent);
+      origins.push(source.name);
+      ids.add(id);
+    }
+    for (const id of ids) {
+      definedBy.set(id, source.name);
+    }
+  }
+  return { agents, origins, errors, warnings };
+}
+
+// Assign overlay fields onto `target`, descending into `children` (keyed by id) instead of replacing them
+function overlayItem(target, fields, children, location, warnings, overlayChildren) {
+  const label = children.slice(0, -1);
+  for (const [key, value] of Object.entries(fields)) {
+    if (key !== children) {
+      target[key] = value;
+      continue;
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      warnings.push({ location: `${location} › ${children}`, message: `must map ${children} ids to overrides` });
+      continue;
+    }
+    for (const [id, childFields] of Object.entries(value)) {
+      const child = (target[children] || []).find(item => item?.id === id);
+      if (!child) {
+        warnings.push({ location: `${location} › ${label} "${id}"`, message: 'not defined by any source - override ignored' });
+        continue;
+      }
+      overlayChildren(child, childFields || {}, `${location} › ${label} "${id}"`);
+    }
+  }
+}
+
+/**
+ * Apply an environment overlay to merged agents (in place)
+ *
+ * @param {Array} agents - Merged agents (a copy - overlays must never reach agents.json)
+ * @param {Object} overlay - { agentId: { ...fields, groups: { groupId: { ...fields, endpoints: { endpointId: {...} } } } } }
+ * @param {string} name - Overlay file name, for findings
+ * @returns {{errors: Array, warnings: Array}}
+ */
+export function applyAgentsOverlay(agents, overlay, name) {
+  const warnings = [];
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    return { errors: [{ location: name, message: 'an overlay must map agent ids to overrides' }], warnings };
+  }
+
+  const overlayEndpoint = (endpoint, fields) => Object.assign(endpoint, fields);
+  const overlayGroup = (group, fields, location) => overlayItem(group, fields, 'endpoints', location, warnings, overlayEndpoint);
+
+  for (const [id, fields] of Object.entries(overlay)) {
+    const agent = agents.find(item => item?.id === id);
+    if (!agent) {
+      warnings.push({ location: `${name} › agent "${id}"`, message: 'not defined by any source - override ignored' });
+      continue;
+    }
+    overlayItem(agent, fields || {}, 'groups', `${name} › agent "${id}"`, warnings, overlayGroup);
+  }
+  return { errors: [], warnings };
+}
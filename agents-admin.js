@@ -0,0 +1,119 @@
+/**
+ * Agents Admin
+ *
+ * Changes to agents, groups and endpoints made through the admin API
+ * (`/admin/agents`). A change is applied to a copy of the loaded agents,
+ * validated, written back to agents.json and swapped in (see updateAgents
+ * in agents.js) - every instance then picks it up through hot reload.
+ *
+ * Every change is appended to a JSONL audit log:
+ * - { id, actor, ip, action, target, agentId, groupId?, endpointId?,
+ *     fromVersion, toVersion, before, after, at }
+ */
+
+import { createJsonlLog } from './jsonl-log.js';
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Create, replace or remove the item with `id` in `list`
+// A replacement that leaves out `children` (groups, endpoints) keeps the current ones
+function changeItem(list, { action, id, body, label, children }) {
+  if (action !== 'delete' && (!body || typeof body !== 'object' || Array.isArray(body))) {
+    throw httpError(400, `Request body must be a JSON ${label} object`);
+  }
+
+  if (action === 'create') {
+    if (!body.id) {
+      throw httpError(400, `A new ${label} needs an "id"`);
+    }
+    if (list.some(item => item.id === body.id)) {
+      throw httpError(409, `${label} "${body.id}" already exists`);
+    }
+    list.push(body);
+    return { before: null, after: body };
+  }
+
+  const index = list.findIndex(item => item.id === id);
+  if (index === -1) {
+    throw httpError(404, `${label} "${id}" not found`);
+  }
+  const before = list[index];
+
+  if (action === 'delete') {
+    list.splice(index, 1);
+    return { before, after: null };
+  }
+
+  if (body.id !== undefined && body.id !== id) {
+    throw httpError(400, `Body id "${body.id}" doesn't match ${label.toLowerCase()} "${id}" - ids can't be renamed, delete and create instead`);
+  }
+  const after = { ...body, id };
+  if (children && after[children] === undefined && before[children] !== undefined) {
+    after[children] = before[children];
+  }
+  list[index] = after;
+  return { before, after };
+}
+
+/**
+ * Apply an admin change to an agents list (in place)
+ *
+ * @param {Array} agents - Copy of the agents list to change
+ * @param {Object} change - { action, target, agentId, groupId, endpointId, body }
+ * @returns {{before: Object|null, after: Object|null}}
+ * @throws {Error} With `status` 400, 404 or 409
+ */
+export function applyAgentChange(agents, { action, target, agentId, groupId, endpointId, body }) {
+  if (target === 'agent') {
+    return changeItem(agents, { action, id: agentId, body, label: 'Agent', children: 'groups' });
+  }
+
+  const agent = agents.find(item => item.id === agentId);
+  if (!agent) {
+    throw httpError(404, `Agent "${agentId}" not found`);
+  }
+  agent.groups = agent.groups || [];
+
+  if (target === 'group') {
+    // New groups start without endpoints unless they bring some
+    const groupBody = action === 'create' && body && typeof body === 'object' && !body.endpoints ? { ...body, endpoints: [] } : body;
+    return changeItem(agent.groups, { action, id: groupId, body: groupBody, label: 'Group', children: 'endpoints' });
+  }
+
+  const group = agent.groups.find(item => item.id === groupId);
+  if (!group) {
+    throw httpError(404, `Group "${groupId}" not found in agent "${agentId}"`);
+  }
+  return changeItem(group.endpoints, { action, id: endpointId, body, label: 'Endpoint' });
+}
+
+/**
+ * Create an append-only audit log persisted to a JSONL file
+ *
+ * @param {Object} options - { path }
+ */
+export function createAuditLog({ path }) {
+  const log = createJsonlLog({ path });
+  return {
+    /**
+     * Append an audit entry
+     */
+    record(entry) {
+      return log.record(entry);
+    },
+
+    /**
+     * List audit entries, newest first
+     *
+     * @param {Object} filter - { actor, agentId, limit }
+     */
+    list({ actor, agentId, limit = 100 } = {}) {
+      return log.list(entry =>
+        (!actor || entry.actor === actor) &&
+        (!agentId || entry.agentId === agentId),
+      limit);
+    }
+  };
+}
@@ -0,0 +1,382 @@
+/**
+ * agents.json Validation
+ *
+ * Checks an agents document against agents.schema.json plus the rules a
+ * JSON Schema can't express, and reports every problem with its location:
+ *
+ *   agents[0] "weather-agent" › groups[0] "forecast" › endpoints[1] "/weather/daily" › method:
+ *     must be one of GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS (or an array of them), got "FETCH"
+ *
+ * Errors make the document unusable; warnings (unknown properties,
+ * unreachable upstreams) are reported but don't block loading.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import Ajv from 'ajv';
+import { compilePathTemplate, getPlaceholders } from './path-templates.js';
+import { checkUpstreamAuth } from './upstream-auth.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const agentsSchema = JSON.parse(readFileSync(join(__dirname, 'agents.schema.json'), 'utf-8'));
+
+const HTTP_METHODS = agentsSchema.definitions.httpMethod.enum;
+const DEFAULT_URL_CHECK_TIMEOUT_MS = 5000;
+// Upstream URLs that don't need a group baseUrl
+const FULL_URL = /^((https?|wss?):\/\/|\$\{|secret:\/\/)/;
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, verbose: true });
+const validateSchema = ajv.compile(agentsSchema);
+
+// Describe a JSON pointer readably, e.g. agents[0] "weather" › groups[1] "forecast" › endpoints[0] "/weather" › method
+function location(data, pointer) {
+  const segments = pointer.split('/').filter(Boolean).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (segments.length === 0) {
+    return 'agents.json';
+  }
+
+  const parts = [];
+  let node = data;
+  let key = 'agents';
+  for (const segment of segments) {
+    node = node?.[segment];
+    if (/^\d+$/.test(segment)) {
+      const name = key === 'endpoints' ? node?.path : ['agents', 'groups'].includes(key) ? node?.id : null;
+      const label = `${key}[${segment}]${typeof name === 'string' ? ` "${name}"` : ''}`;
+      if (parts[parts.length - 1] === key) {
+        parts[parts.length - 1] = label;
+      } else {
+        parts.push(label);
+      }
+    } else {
+      key = segment;
+      parts.push(segment);
+    }
+  }
+  return parts.join(' › ');
+}
+
+function describeSchemaError(error) {
+  switch (error.keyword) {
+    case 'required':
+      return `missing required property "${error.params.missingProperty}"`;
+    case 'enum':
+      return `must be one of ${error.params.allowedValues.join(', ')}, got ${JSON.stringify(error.data)}`;
+    case 'type':
+      return `must be ${error.params.type}, got ${Array.isArray(error.data) ? 'array' : typeof error.data}`;
+    case 'pattern':
+      return `${JSON.stringify(error.data)} has an invalid format (expected ${error.params.pattern})`;
+    default:
+      return error.message;
+  }
+}
+
+function schemaErrors(data) {
+  if (validateSchema(data)) {
+    return [];
+  }
+
+  const methodPaths = new Set();
+  const errors = [];
+  for (const error of validateSchema.errors) {
+    // "method" is a string or an array - report one readable error instead of both branches
+    if (/\/method(\/\d+)?$/.test(error.instancePath)) {
+      const pointer = error.instancePath.replace(/\/\d+$/, '');
+      if (methodPaths.has(pointer)) continue;
+      methodPaths.add(pointer);
+
+      const { data: value } = validateSchema.errors.find(other => other.instancePath === pointer) || error;
+      errors.push({
+        location: location(data, pointer),
+        message: `must be one of ${HTTP_METHODS.join(', ')} (or an array of them), got ${JSON.stringify(value)}`
+      });
+      continue;
+    }
+    if (error.keyword === 'oneOf' || error.keyword === 'anyOf') continue;
+
+    errors.push({ location: location(data, error.instancePath), message: describeSchemaError(error) });
+  }
+  return errors;
+}
+
+// Unknown properties are usually typos ("upstreamURL") - suggest the closest known one
+function unknownPropertyWarnings(data) {
+  const known = {
+    agent: Object.keys(agentsSchema.definitions.agent.properties),
+    group: Object.keys(agentsSchema.definitions.group.properties),
+    endpoint: Object.keys(agentsSchema.definitions.endpoint.properties)
+  };
+  const warnings = [];
+
+  function check(kind, object, pointer) {
+    if (!object || typeof object !== 'object') return;
+    for (const key of Object.keys(object)) {
+      if (known[kind].includes(key)) continue;
+      const suggestion = known[kind].find(candidate => candidate.toLowerCase() === key.toLowerCase());
+      warnings.push({
+        location: location(data, `${pointer}/${key}`),
+        message: `unknown ${kind} property${suggestion ? ` - did you mean "${suggestion}"?` : ' (ignored)'}`
+      });
+    }
+  }
+
+  (Array.isArray(data) ? data : []).forEach((agent, a) => {
+    check('agent', agent, `/${a}`);
+    (Array.isArray(agent?.groups) ? agent.groups : []).forEach((group, g) => {
+      check('group', group, `/${a}/groups/${g}`);
+      (Array.isArray(group?.endpoints) ? group.endpoints : []).forEach((endpoint, e) => {
+        check('endpoint', endpoint, `/${a}/groups/${g}/endpoints/${e}`);
+      });
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Check a `parameters` example query string
+ *
+ * @returns {string|null} Problem, or null if it's fine
+ */
+export function checkParameters(parameters) {
+  if (!parameters) return null;
+
+  const query = parameters.startsWith('?') ? parameters.slice(1) : parameters;
+  if (/\s/.test(query)) {
+    return 'must not contain whitespace - URL-encode values (e.g. "city=New%20York")';
+  }
+  for (const pair of query.split('&')) {
+    const [key, ...value] = pair.split('=');
+    if (!key) {
+      return `"${pair}" has no parameter name - use "name=value&other=value"`;
+    }
+    if (value.length === 0) {
+      return `"${pair}" has no value - use "${key}=<example>"`;
+    }
+    try {
+      decodeURIComponent(pair);
+    } catch (error) {
+      return `"${pair}" is not valid URL encoding`;
+    }
+  }
+  return null;
+}
+
+// Wildcards must be last, and every {placeholder} in upstreamUrl must be captured by the path
+function checkPathTemplate(endpoint) {
+  const problems = [];
+  const segments = endpoint.path.split('/');
+  if (segments.slice(0, -1).some(segment => /^\*/.test(segment))) {
+    problems.push({ property: 'path', message: 'a wildcard (*) can only be the last segment of a path' });
+  }
+
+  const captured = compilePathTemplate(endpoint.path)?.params || [];
+  for (const name of new Set(getPlaceholders(typeof endpoint.upstreamUrl === 'string' ? endpoint.upstreamUrl : ''))) {
+    if (!captured.includes(name)) {
+      problems.push({
+        property: 'upstreamUrl',
+        message: `placeholder {${name}} isn't captured by path "${endpoint.path}"${captured.length > 0 ? ` (captures ${captured.map(param => `{${param}}`).join(', ')})` : ''}`
+      });
+    }
+  }
+  for (const name of Object.keys(endpoint.pathParameters || {})) {
+    if (!captured.includes(name)) {
+      problems.push({ property: 'pathParameters', message: `example for "${name}", which path "${endpoint.path}" doesn't capture` });
+    }
+  }
+  return problems;
+}
+
+// Rules across agents, groups and endpoints that a JSON Schema can't express
+function crossReferenceErrors(data) {
+  if (!Array.isArray(data)) return [];
+
+  const errors = [];
+  const paths = new Map();
+  const agentIds = new Map();
+
+  data.forEach((agent, a) => {
+    if (!agent || typeof agent !== 'object') return;
+    if (agentIds.has(agent.id)) {
+      errors.push({ location: location(data, `/${a}/id`), message: `duplicate agent id "${agent.id}" (also used by agents[${agentIds.get(agent.id)}])` });
+    } else {
+      agentIds.set(agent.id, a);
+    }
+
+    const endpointIds = new Map();
+    const groupIds = new Map();
+    (Array.isArray(agent.groups) ? agent.groups : []).forEach((group, g) => {
+      if (!group || typeof group !== 'object') return;
+      if (groupIds.has(group.id)) {
+        errors.push({ location: location(data, `/${a}/groups/${g}/id`), message: `duplicate group id "${group.id}" in agent "${agent.id}"` });
+      } else {
+        groupIds.set(group.id, g);
+      }
+
+      for (const problem of checkUpstreamAuth(group.auth)) {
+        errors.push({ location: location(data, `/${a}/groups/${g}/auth/${problem.property}`), message: problem.message });
+      }
+
+      const hasTargets = Array.isArray(group.targets) && group.targets.length > 0;
+      if (hasTargets && group.baseUrl) {
+        errors.push({ location: location(data, `/${a}/groups/${g}/targets`), message: 'a group has either a baseUrl or targets - move the baseUrl into targets' });
+      }
+      const targetUrls = new Set();
+      (hasTargets ? group.targets : []).forEach((target, t) => {
+        if (targetUrls.has(target?.url)) {
+          errors.push({ location: location(data, `/${a}/groups/${g}/targets/${t}/url`), message: `duplicate target "${target.url}"` });
+        }
+        targetUrls.add(target?.url);
+      });
+
+      (Array.isArray(group.endpoints) ? group.endpoints : []).forEach((endpoint, e) => {
+        if (!endpoint || typeof endpoint !== 'object') return;
+        const pointer = `/${a}/groups/${g}/endpoints/${e}`;
+
+        if (endpoint.path) {
+          const previous = paths.get(endpoint.path);
+          if (previous) {
+            errors.push({ location: location(data, `${pointer}/path`), message: `duplicate path "${endpoint.path}" (also used by ${previous}) - only the first one is reachable` });
+          } else {
+            paths.set(endpoint.path, `agent "${agent.id}" endpoint "${endpoint.id}"`);
+          }
+        }
+
+        if (endpoint.id) {
+          if (endpointIds.has(endpoint.id)) {
+            errors.push({ location: location(data, `${pointer}/id`), message: `duplicate endpoint id "${endpoint.id}" in agent "${agent.id}"` });
+          } else {
+            endpointIds.set(endpoint.id, pointer);
+          }
+        }
+
+        const upstreamUrl = endpoint.upstreamUrl;
+        if (typeof upstreamUrl === 'string' && !FULL_URL.test(upstreamUrl) && !group.baseUrl && !hasTargets) {
+          errors.push({
+            location: location(data, `${pointer}/upstreamUrl`),
+            message: `relative upstreamUrl "${upstreamUrl}" needs a baseUrl or targets on group "${group.id}" - add one or use a full http(s) URL`
+          });
+        }
+
+        // A WebSocket handshake is always a GET
+        if (endpoint.protocol === 'ws' && [].concat(endpoint.method).some(method => method !== 'GET')) {
+          errors.push({ location: location(data, `${pointer}/method`), message: 'a "ws" endpoint must use GET - WebSocket handshakes are GET requests' });
+        }
+        if (endpoint.protocol === 'ws' && endpoint.responseMode) {
+          errors.push({ location: location(data, `${pointer}/responseMode`), message: 'doesn\'t apply to a "ws" endpoint - frames are tunnelled as they are' });
+        }
+
+        if (typeof endpoint.path === 'string') {
+          for (const problem of checkPathTemplate(endpoint)) {
+            errors.push({ location: location(data, `${pointer}/${problem.property}`), message: problem.message });
+          }
+        }
+
+        if (typeof endpoint.parameters === 'string') {
+          const problem = checkParameters(endpoint.parameters);
+          if (problem) {
+            errors.push({ location: location(data, `${pointer}/parameters`), message: problem });
+          }
+        }
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * Validate an agents document
+ *
+ * @param {*} data - Parsed agents.json
+ * @returns {{valid: boolean, errors: Array<{location, message}>, warnings: Array<{location, message}>}}
+ */
+export function validateAgents(data) {
+  const errors = [...schemaErrors(data), ...crossReferenceErrors(data)];
+  const warnings = unknownPropertyWarnings(data);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Check the ${NAME} and secret://name references of every baseUrl, header, auth setting and upstreamUrl
+ * Whether a reference resolves depends on where the check runs, so problems are warnings.
+ *
+ * @param {Object} resolver - Reference resolver (see createReferenceResolver in secrets.js)
+ * @returns {Array<{location, message}>} Warnings for unresolvable or malformed references
+ */
+export function checkReferences(data, resolver) {
+  const values = [];
+  (Array.isArray(data) ? data : []).forEach((agent, a) => {
+    (agent?.groups || []).forEach((group, g) => {
+      values.push([`/${a}/groups/${g}/baseUrl`, group?.baseUrl]);
+      (Array.isArray(group?.targets) ? group.targets : []).forEach((target, t) => {
+        values.push([`/${a}/groups/${g}/targets/${t}/url`, target?.url]);
+      });
+      for (const [name, value] of Object.entries(group?.headers || {})) {
+        values.push([`/${a}/groups/${g}/headers/${name}`, value]);
+      }
+      for (const [name, value] of Object.entries(group?.auth || {})) {
+        values.push([`/${a}/groups/${g}/auth/${name}`, value]);
+      }
+      (group?.endpoints || []).forEach((endpoint, e) => {
+        values.push([`/${a}/groups/${g}/endpoints/${e}/upstreamUrl`, endpoint?.upstreamUrl]);
+        for (const [name, value] of Object.entries(endpoint?.headers || {})) {
+          values.push([`/${a}/groups/${g}/endpoints/${e}/headers/${name}`, value]);
+        }
+      });
+    });
+  });
+
+  return values.flatMap(([pointer, value]) =>
+    resolver.check(value).map(message => ({ location: location(data, pointer), message }))
+  );
+}
+
+/**
+ * Check that every full upstream URL, group baseUrl and target answers
+ * Any HTTP response counts as reachable - only network errors and timeouts don't.
+ * URLs are reported as written, so resolved references never reach the output.
+ *
+ * @param {Object} options - { timeoutMs, resolver (for ${NAME} and secret:// references, see secrets.js) }
+ * @returns {Promise<Array<{location, message}>>} Warnings for unreachable URLs
+ */
+export async function checkUpstreamUrls(data, { timeoutMs = DEFAULT_URL_CHECK_TIMEOUT_MS, resolver } = {}) {
+  const targets = new Map();
+  (Array.isArray(data) ? data : []).forEach((agent, a) => {
+    (agent?.groups || []).forEach((group, g) => {
+      if (group?.baseUrl) {
+        targets.set(group.baseUrl, targets.get(group.baseUrl) || `/${a}/groups/${g}/baseUrl`);
+      }
+      (Array.isArray(group?.targets) ? group.targets : []).forEach((target, t) => {
+        if (target?.url) {
+          targets.set(target.url, targets.get(target.url) || `/${a}/groups/${g}/targets/${t}/url`);
+        }
+      });
+      (group?.endpoints || []).forEach((endpoint, e) => {
+        if (FULL_URL.test(endpoint?.upstreamUrl || '')) {
+          targets.set(endpoint.upstreamUrl, targets.get(endpoint.upstreamUrl) || `/${a}/groups/${g}/endpoints/${e}/upstreamUrl`);
+        }
+      });
+    });
+  });
+
+  const results = await Promise.all([...targets].map(async ([url, pointer]) => {
+    try {
+      // A WebSocket upstream answers plain HTTP on the same address
+      const httpUrl = (resolver ? resolver.resolve(url) : url).replace(/^ws(s?):\/\//i, 'http$1://');
+      await fetch(httpUrl, { method: 'HEAD', signal: AbortSignal.timeout(timeoutMs) });
+      return null;
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? `no response within ${timeoutMs}ms` : error.cause?.code || error.cause?.message || error.message;
+      return { location: location(data, pointer), message: `${url} is unreachable (${resolver ? resolver.redact(reason) : reason})` };
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+/**
+ * Format validation findings for the console, one per line
+ */
+export function formatFindings(findings) {
+  return findings.map(finding => `  ${finding.location}: ${finding.message}`).join('\n');
+}
@@ -13,31 +13,456 @@
  * - id: Unique identifier for the group
  * - name: Display name (used internally only)
  * - baseUrl: Base URL for all endpoints in this group
+ * - targets: Several base URLs (replicas) instead of one, with `loadBalancing`
+ *   settings - see load-balancer.js
+ * - headers: Headers sent to the upstream with every request
+ * - headerPolicy: Which client headers are forwarded and which response headers
+ *   come back - see header-policy.js (endpoints can declare both too)
+ * - auth: Credentials added to every upstream request - see upstream-auth.js
  * - endpoints: Array of endpoint definitions
  * 
  * Endpoint Structure:
- * - upstreamUrl: Can be a full URL OR a path (combined with group's baseUrl)
+ * - path: Exact path, or a template ("/weather/:city", "/files/*") - see path-templates.js
+ * - upstreamUrl: Can be a full URL OR a path (combined with group's baseUrl),
+ *   with `{name}` placeholders for captured path parameters
+ *
+ * References:
+ * baseUrl, headers, auth and upstreamUrl can hold ${ENV_VAR} and secret://name
+ * references, resolved only when a request is proxied - see secrets.js.
+ *
+ * Sources:
+ * Agents come from agents.json, optionally merged with a directory of
+ * per-agent files, a remote registry and an environment overlay - see
+ * agent-sources.js for the precedence rules.
+ *
+ * Hot Reload:
+ * The sources are watched (plus SIGHUP, a periodic check and registry polling)
+ * and swapped in atomically once the merged agents validate - an invalid
+ * result keeps the current agents. The version is a hash of the merged agents,
+ * so every PM2 cluster instance converges on the same version.
+ *
+ * Validation:
+ * Documents are checked against agents.schema.json (see agents-validator.js);
+ * `npm run lint:agents` runs the same checks without starting the server.
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync, renameSync, existsSync, watch, openSync, closeSync, statSync, unlinkSync } from 'fs';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, basename, resolve } from 'path';
+import { validateAgents, checkReferences, formatFindings } from './agents-validator.js';
+import { parseAgentsContent, readAgentsDirectory, fetchAgentsRegistry, mergeAgentSources, applyAgentsOverlay } from './agent-sources.js';
+import { substitutePathParameters, getExamplePath, clearPathTemplateCache } from './path-templates.js';
+import { createRouteIndex } from './route-index.js';
+import { createSecretProvider, createReferenceResolver } from './secrets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load agents from JSON file
+const AGENTS_PATH = process.env.AGENTS_PATH || join(__dirname, 'agents.json');
+const AGENTS_DIR = process.env.AGENTS_DIR ? resolve(process.env.AGENTS_DIR) : null;
+const REGISTRY_URL = process.env.AGENTS_REGISTRY_URL || null;
+const OVERLAY_PATH = process.env.AGENTS_OVERLAY_PATH || findEnvironmentOverlay(process.env.AGENTS_ENV);
+const RELOAD_DEBOUNCE_MS = 200;
+// Admin changes hold AGENTS_PATH.lock while they write - see withAgentsLock
+const AGENTS_LOCK_TIMEOUT_MS = 5000;
+const AGENTS_LOCK_STALE_MS = 30000;
+
+const secretProvider = createSecretProvider(process.env.SECRETS_PROVIDER || (process.env.SECRETS_PATH ? 'file' : 'env'), {
+  path: process.env.SECRETS_PATH
+});
+const references = createReferenceResolver({ provider: secretProvider });
+
+// agents.<env>.json (or .yaml/.yml) next to agents.json, if there is one
+function findEnvironmentOverlay(environment) {
+  if (!environment) return null;
+  const candidates = ['json', 'yaml', 'yml'].map(extension => join(dirname(AGENTS_PATH), `agents.${environment}.${extension}`));
+  return candidates.find(candidate => existsSync(candidate)) || null;
+}
+
+// Last good copy of the remote registry (refreshed by refreshRegistry)
+const registry = { agents: null, etag: null, content: null };
+
+/**
+ * Read every agent source, merge them, apply the overlay and validate the result
+ *
+ * With `skipInvalid` (at startup) a source that can't be used and any agent with
+ * errors are left out and reported as warnings, so one bad agent doesn't take
+ * every other one down. Errors that belong to no agent still throw.
+ *
+ * @param {Array} primaryOverride - Use these agents instead of reading agents.json (admin changes)
+ * @param {Object} options - { skipInvalid }
+ * @returns {{agents: Array, primary: Array, origins: string[], version: string, warnings: Array}}
+ * @throws {Error} If a source can't be read, or with `findings` if the merged registry is invalid
+ */
+function loadRegistry(primaryOverride, { skipInvalid = false } = {}) {
+  let primary = primaryOverride;
+  if (!primary) {
+    // agents.json is optional once agents come from somewhere else
+    primary = existsSync(AGENTS_PATH) || !(AGENTS_DIR || REGISTRY_URL)
+      ? parseAgentsContent(readFileSync(AGENTS_PATH, 'utf-8'), AGENTS_PATH)
+      : [];
+  }
+
+  const sources = [{ name: basename(AGENTS_PATH), agents: primary }];
+  const errors = [];
+  if (AGENTS_DIR) {
+    const directory = readAgentsDirectory(AGENTS_DIR);
+    sources.push(...directory.sources);
+    errors.push(...directory.errors);
+  }
+  if (registry.agents) {
+    sources.push({ name: REGISTRY_URL, agents: registry.agents });
+  }
+
+  const merged = mergeAgentSources(sources);
+  const mergedAgents = structuredClone(merged.agents);
+  errors.push(...merged.errors);
+  const warnings = [...merged.warnings];
+
+  if (OVERLAY_PATH) {
+    const overlay = applyAgentsOverlay(mergedAgents, parseAgentsContent(readFileSync(OVERLAY_PATH, 'utf-8'), OVERLAY_PATH), basename(OVERLAY_PATH));
+    errors.push(...overlay.errors);
+    warnings.push(...overlay.warnings);
+  }
+
+  const validation = validateAgents(mergedAgents);
+  errors.push(...attributeFindings(validation.errors, merged.origins, sources.length));
+  warnings.push(...attributeFindings([...validation.warnings, ...checkReferences(mergedAgents, references)], merged.origins, sources.length));
+
+  let servedAgents = mergedAgents;
+  let servedOrigins = merged.origins;
+  if (errors.length > 0 && skipInvalid) {
+    const invalid = new Set(validation.errors.map(finding => finding.location.match(/^agents\[(\d+)\]/)?.[1]));
+    const kept = mergedAgents.map((agent, index) => index).filter(index => !invalid.has(String(index)));
+    if (!invalid.has(undefined) && validateAgents(kept.map(index => mergedAgents[index])).errors.length === 0) {
+      servedAgents = kept.map(index => mergedAgents[index]);
+      servedOrigins = kept.map(index => merged.origins[index]);
+      warnings.push(...errors.map(finding => ({ ...finding, message: `${finding.message} (skipped)` })));
+      errors.length = 0;
+    }
+  }
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid agents (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${formatFindings(errors)}`), { findings: errors });
+  }
+
+  const version = createHash('sha256').update(JSON.stringify(servedAgents)).digest('hex').slice(0, 12);
+  return { agents: servedAgents, primary, origins: servedOrigins, version, warnings };
+}
+
+// Name the source of each finding when agents come from more than one
+function attributeFindings(findings, origins, sourceCount) {
+  if (sourceCount === 1) return findings;
+  return findings.map(finding => {
+    const index = finding.location.match(/^agents\[(\d+)\]/)?.[1];
+    return index === undefined ? finding : { ...finding, location: `${origins[index]} › ${finding.location}` };
+  });
+}
+
+/**
+ * Fetch the remote registry (AGENTS_REGISTRY_URL)
+ * A failed fetch keeps the last good copy.
+ *
+ * @returns {Promise<boolean>} true if the registry changed
+ */
+async function refreshRegistry() {
+  try {
+    const fetched = await fetchAgentsRegistry(REGISTRY_URL, {
+      etag: registry.etag,
+      token: process.env.AGENTS_REGISTRY_TOKEN,
+      timeoutMs: Number(process.env.AGENTS_REGISTRY_TIMEOUT_MS) || undefined
+    });
+    if (fetched.unchanged || fetched.content === registry.content) {
+      return false;
+    }
+    Object.assign(registry, { agents: fetched.agents, etag: fetched.etag, content: fetched.content });
+    return true;
+  } catch (error) {
+    console.error(`⚠️  Agents registry ${REGISTRY_URL} unavailable${registry.agents ? ', keeping the last good copy' : ''}: ${error.message}`);
+    return false;
+  }
+}
+
+function logWarnings(warnings) {
+  if (warnings.length > 0) {
+    console.warn(`⚠️  agents warnings:\n${formatFindings(warnings)}`);
+  }
+}
+
+// Load agents from every source
+// Invalid agents and unusable sources are skipped with a warning (a fixed file is
+// picked up by hot reload) unless AGENTS_FAIL_FAST=true, which refuses to start instead
 let agents = [];
+let primaryAgents = [];
+let agentOrigins = [];
+let agentsVersion = null;
+let routeIndex = createRouteIndex([]);
+if (REGISTRY_URL) {
+  await refreshRegistry();
+}
 try {
-  const agentsData = readFileSync(join(__dirname, 'agents.json'), 'utf-8');
-  agents = JSON.parse(agentsData);
+  const loaded = loadRegistry(null, { skipInvalid: process.env.AGENTS_FAIL_FAST !== 'true' });
+  ({ agents, primary: primaryAgents, origins: agentOrigins, version: agentsVersion } = loaded);
+  routeIndex = createRouteIndex(agents);
+  logWarnings(loaded.warnings);
 } catch (error) {
-  console.error('Error loading agents.json:', error.message);
+  console.error('Error loading agents:', error.message);
   agents = [];
+  if (process.env.AGENTS_FAIL_FAST === 'true') {
+    console.error('❌ AGENTS_FAIL_FAST is set - exiting. Run `npm run lint:agents` to check the file.');
+    process.exit(1);
+  }
 }
 
 export { agents };
 
+/**
+ * Get the version (content hash) of the loaded agents
+ */
+export function getAgentsVersion() {
+  return agentsVersion;
+}
+
+/**
+ * Get the source an agent was loaded from (agents.json, a directory file or the registry URL)
+ */
+export function getAgentSource(agentId) {
+  const index = agents.findIndex(agent => agent.id === agentId);
+  return index === -1 ? null : agentOrigins[index];
+}
+
+/**
+ * Get the sources agents are loaded from, highest precedence first, and the overlay
+ */
+export function getAgentSources() {
+  return {
+    primary: AGENTS_PATH,
+    directory: AGENTS_DIR,
+    registry: REGISTRY_URL,
+    overlay: OVERLAY_PATH
+  };
+}
+
+// Index endpoints by path for diffing two versions
+function indexEndpoints(list) {
+  const index = new Map();
+  for (const agent of list) {
+    for (const group of (agent.groups || [])) {
+      for (const endpoint of group.endpoints) {
+        const { endpoints, ...groupConfig } = group;
+        index.set(endpoint.path, JSON.stringify({ agentId: agent.id, revenue: agent.revenue, group: groupConfig, endpoint }));
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Compare the endpoints of two agent lists
+ *
+ * @returns {{added: string[], removed: string[], changed: string[]}} Endpoint paths
+ */
+export function diffAgents(previous, next) {
+  const before = indexEndpoints(previous);
+  const after = indexEndpoints(next);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [path, config] of after) {
+    if (!before.has(path)) diff.added.push(path);
+    else if (before.get(path) !== config) diff.changed.push(path);
+  }
+  for (const path of before.keys()) {
+    if (!after.has(path)) diff.removed.push(path);
+  }
+  return diff;
+}
+
+/**
+ * Reload every agent source and swap the result in if it is valid and has changed
+ *
+ * @param {string} reason - What triggered the reload (for the log)
+ * @returns {{reloaded: boolean, version: string, diff?: Object, error?: string}}
+ */
+export function reloadAgents(reason = 'manual') {
+  // Rotated secrets are picked up with the next reload
+  secretProvider.refresh();
+  clearPathTemplateCache();
+  let next;
+  try {
+    next = loadRegistry();
+  } catch (error) {
+    console.error(`❌ agents reload (${reason}) rejected, keeping version ${agentsVersion}: ${error.message}`);
+    return { reloaded: false, version: agentsVersion, error: error.message };
+  }
+
+  if (next.version === agentsVersion) {
+    primaryAgents = next.primary;
+    return { reloaded: false, version: agentsVersion };
+  }
+
+  const diff = diffAgents(agents, next.agents);
+  const previousVersion = agentsVersion;
+  const nextIndex = createRouteIndex(next.agents);
+  agents = next.agents;
+  primaryAgents = next.primary;
+  agentOrigins = next.origins;
+  agentsVersion = next.version;
+  routeIndex = nextIndex;
+
+  console.log(`🔄 agents reloaded (${reason}): ${previousVersion} → ${agentsVersion}`);
+  for (const [change, symbol] of [['added', '+'], ['removed', '-'], ['changed', '~']]) {
+    for (const path of diff[change]) {
+      console.log(`   ${symbol} ${path}`);
+    }
+  }
+  logWarnings(next.warnings);
+  return { reloaded: true, version: agentsVersion, diff };
+}
+
+/**
+ * Run `change` while holding the agents.json lock file
+ * PM2 cluster instances each handle admin requests, so without it two
+ * instances could both read version A and the second write would silently
+ * drop the first. The lock is a file created exclusively next to agents.json,
+ * so it works across processes on one host (not across hosts sharing a
+ * network filesystem). A lock left behind by a crashed instance is taken
+ * over once it is AGENTS_LOCK_STALE_MS old.
+ *
+ * @throws {Error} With `status` 409 if another change holds the lock for too long
+ */
+function withAgentsLock(change) {
+  const lockPath = `${AGENTS_PATH}.lock`;
+  const deadline = Date.now() + AGENTS_LOCK_TIMEOUT_MS;
+  let lock = null;
+  while (lock === null) {
+    try {
+      lock = openSync(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      let lockedAt;
+      try {
+        lockedAt = statSync(lockPath).mtimeMs;
+      } catch (statError) {
+        // Released in the meantime
+        continue;
+      }
+      if (Date.now() - lockedAt > AGENTS_LOCK_STALE_MS) {
+        console.error(`⚠️  Taking over a stale ${basename(lockPath)} from ${new Date(lockedAt).toISOString()}`);
+        unlinkSync(lockPath);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw Object.assign(new Error('agents.json is being changed by another instance - retry'), { status: 409 });
+      }
+      // Changes are synchronous and short - wait a moment without leaving this call
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+    }
+  }
+
+  try {
+    return change();
+  } finally {
+    closeSync(lock);
+    unlinkSync(lockPath);
+  }
+}
+
+/**
+ * Apply a change to agents.json: validate it, write the file back and swap it in
+ * Changes made on disk (or by another instance) are picked up first, so a
+ * change is always applied to the latest version. Only agents.json is
+ * changed - agents from other sources can't be, and the overlay never is.
+ * Instances on one host take turns through a lock file (see withAgentsLock).
+ *
+ * @param {Function} change - Mutates a copy of agents.json's agents; its return value is passed back as `result`
+ * @param {Object} options - { expectedVersion (rejects the change if agents.json has moved on), reason }
+ * @returns {{version: string, previousVersion: string, diff: Object, result: *}}
+ * @throws {Error} With `status` 412 on a version mismatch, 409 if another instance holds the lock, or 422 and `findings` if the result is invalid
+ */
+export function updateAgents(change, options = {}) {
+  return withAgentsLock(() => applyAgentsUpdate(change, options));
+}
+
+function applyAgentsUpdate(change, { expectedVersion, reason = 'admin API' } = {}) {
+  reloadAgents(reason);
+  const previousVersion = agentsVersion;
+  if (expectedVersion && expectedVersion !== previousVersion) {
+    throw Object.assign(new Error(`agents.json is at version ${previousVersion}, not ${expectedVersion} - fetch it again and retry`), { status: 412 });
+  }
+
+  const next = structuredClone(primaryAgents);
+  const result = change(next);
+
+  try {
+    loadRegistry(next);
+  } catch (error) {
+    if (!error.findings) throw error;
+    const count = error.findings.length;
+    throw Object.assign(new Error(`The change would make the agents invalid (${count} error${count === 1 ? '' : 's'})`), { status: 422, findings: error.findings });
+  }
+
+  // Write to a temp file and rename so the watcher never sees a half-written file
+  const tempPath = `${AGENTS_PATH}.${process.pid}.tmp`;
+  writeFileSync(tempPath, `${JSON.stringify(next, null, 2)}\n`);
+  renameSync(tempPath, AGENTS_PATH);
+
+  const { version, diff = { added: [], removed: [], changed: [] } } = reloadAgents(reason);
+  return { version, previousVersion, diff, result };
+}
+
+/**
+ * Reload agents whenever a source file changes, on SIGHUP and every `intervalMs`,
+ * and poll the remote registry every `registryIntervalMs`
+ * Directories are watched (not files) so editors that save by renaming
+ * a temp file over agents.json are picked up too.
+ *
+ * @param {Object} options - { intervalMs, registryIntervalMs } (0 disables the periodic check / polling)
+ */
+export function watchAgents({ intervalMs = 30000, registryIntervalMs = 60000 } = {}) {
+  let timer = null;
+  const schedule = reason => {
+    clearTimeout(timer);
+    timer = setTimeout(() => reloadAgents(reason), RELOAD_DEBOUNCE_MS);
+  };
+
+  // Directories to watch, and which of their files are agent sources
+  const watched = new Map([[dirname(AGENTS_PATH), filename => filename === basename(AGENTS_PATH)]]);
+  if (OVERLAY_PATH) {
+    const isSource = watched.get(dirname(OVERLAY_PATH)) || (() => false);
+    watched.set(dirname(OVERLAY_PATH), filename => filename === basename(OVERLAY_PATH) || isSource(filename));
+  }
+  if (AGENTS_DIR) {
+    watched.set(AGENTS_DIR, filename => /\.(json|ya?ml)$/i.test(filename || ''));
+  }
+
+  for (const [dir, isSource] of watched) {
+    try {
+      watch(dir, (eventType, filename) => {
+        if (isSource(filename)) {
+          schedule('file changed');
+        }
+      }).unref();
+    } catch (error) {
+      console.error(`⚠️  Can't watch ${dir}: ${error.message}`);
+    }
+  }
+
+  process.on('SIGHUP', () => reloadAgents('SIGHUP'));
+
+  // Safety net for filesystems without change events (network mounts, some containers)
+  if (intervalMs > 0) {
+    setInterval(() => reloadAgents('periodic check'), intervalMs).unref();
+  }
+
+  if (REGISTRY_URL && registryIntervalMs > 0) {
+    setInterval(async () => {
+      if (await refreshRegistry()) {
+        reloadAgents('registry changed');
+      }
+    }, registryIntervalMs).unref();
+  }
+}
+
 /**
  * Get all agents
  */
@@ -53,18 +478,19 @@ export function getAgentById(agentId) {
 }
 
 /**
- * Get endpoint by path
+ * Get endpoint by request path (see route-index.js for precedence)
+ *
+ * @returns {{agent, group, endpoint, params: Object}|null} params holds the captured path parameters
  */
 export function getEndpointByPath(path) {
-  for (const agent of agents) {
-    for (const group of (agent.groups || [])) {
-      const endpoint = group.endpoints.find(ep => ep.path === path);
-      if (endpoint) {
-        return { agent, group, endpoint };
-      }
-    }
-  }
-  return null;
+  return routeIndex.lookup(path);
+}
+
+/**
+ * Get the paths of all endpoints, in definition order
+ */
+export function getEndpointPaths() {
+  return routeIndex.paths;
 }
 
 /**
@@ -90,35 +516,80 @@ export function getAllEndpoints() {
 
 /**
  * Build full upstream URL for an endpoint
- * Combines group baseUrl with endpoint upstreamUrl
+ * Combines group baseUrl with endpoint upstreamUrl, resolves their references
+ * and fills in `{name}` placeholders with the path parameters captured from the request
  * 
  * @param {Object} group - The group object
  * @param {Object} endpoint - The endpoint object
- * @returns {string} Full upstream URL
+ * @param {Object} params - Captured path parameters (see getEndpointByPath)
+ * @param {string} baseUrl - Base URL to combine with, for groups with several targets
+ * @returns {string} Full upstream URL - may contain secrets, pass it through redactSecrets before showing it
+ * @throws {Error} With `reference` if a reference can't be resolved
  */
-export function buildUpstreamUrl(group, endpoint) {
-  const upstreamUrl = endpoint.upstreamUrl || '';
+export function buildUpstreamUrl(group, endpoint, params = {}, baseUrl = group.baseUrl) {
+  // References are resolved before parameters are substituted, so a request can't inject one
+  const upstreamUrl = substitutePathParameters(references.resolve(endpoint.upstreamUrl || ''), endpoint.path || '', params);
   
-  // If upstreamUrl is already a full URL (starts with http:// or https://), use it as-is
-  if (upstreamUrl.startsWith('http://') || upstreamUrl.startsWith('https://')) {
+  // If upstreamUrl is already a full URL (http(s):// or, for WebSocket endpoints, ws(s)://), use it as-is
+  if (/^(https?|wss?):\/\//.test(upstreamUrl)) {
     return upstreamUrl;
   }
   
   // Otherwise, combine group baseUrl with endpoint upstreamUrl
-  const baseUrl = (group.baseUrl || '').replace(/\/+$/, ''); // Strip trailing slashes
+  const resolvedBaseUrl = references.resolve(baseUrl || '').replace(/\/+$/, ''); // Strip trailing slashes
   const path = upstreamUrl.startsWith('/') ? upstreamUrl : `/${upstreamUrl}`;
   
-  return baseUrl + path;
+  return resolvedBaseUrl + path;
+}
+
+/**
+ * Build the static headers an endpoint sends to its upstream, with references resolved
+ * An endpoint's headers replace its group's headers of the same name.
+ *
+ * @throws {Error} With `reference` if a reference can't be resolved
+ */
+export function buildUpstreamHeaders(group, endpoint = {}) {
+  const endpointNames = new Set(Object.keys(endpoint.headers || {}).map(name => name.toLowerCase()));
+  const groupHeaders = Object.entries(group.headers || {}).filter(([name]) => !endpointNames.has(name.toLowerCase()));
+  return references.resolveHeaders({ ...Object.fromEntries(groupHeaders), ...endpoint.headers });
+}
+
+/**
+ * Get a group's upstream auth block with references resolved
+ *
+ * @returns {Object|null}
+ * @throws {Error} With `reference` if a reference can't be resolved
+ */
+export function buildUpstreamAuth(group) {
+  if (!group.auth) {
+    return null;
+  }
+  return Object.fromEntries(Object.entries(group.auth).map(([key, value]) => [key, references.resolve(value)]));
+}
+
+/**
+ * Mask resolved ${ENV_VAR} and secret:// values in text shown to callers or logged
+ */
+export function redactSecrets(text) {
+  return references.redact(text);
+}
+
+/**
+ * Get the reference resolver (for checks that need to reach upstreams)
+ */
+export function getReferenceResolver() {
+  return references;
 }
 
 /**
  * Generate example request URL from endpoint path and parameters
+ * Path templates are filled with the endpoint's example `pathParameters`.
  * 
  * @param {Object} endpoint - The endpoint object
  * @returns {string} Example request path with query parameters
  */
 export function generateExampleRequest(endpoint) {
-  const path = endpoint.path || '';
+  const path = getExamplePath(endpoint);
   const parameters = endpoint.parameters || '';
   
   // If no parameters, just return the path
@@ -0,0 +1,116 @@
+/**
+ * Known Payment Assets
+ *
+ * Token addresses, decimals and EIP-712 domain data of the assets the
+ * gateway knows by symbol. Price blocks can reference these by symbol
+ * (e.g. "USDC") and give human readable amounts ("0.01"), which are
+ * converted to the asset's atomic units.
+ */
+
+export const KNOWN_ASSETS = {
+  'base': {
+    USDC: { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6, extra: { name: 'USD Coin', version: '2' } }
+  },
+  'base-sepolia': {
+    USDC: { address: '0x036CbD53842c5426634e7929541eC2318f3dCF7e', decimals: 6, extra: { name: 'USDC', version: '2' } }
+  },
+  'ethereum': {
+    USDC: { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', decimals: 6, extra: { name: 'USD Coin', version: '2' } }
+  },
+  'polygon': {
+    USDC: { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', decimals: 6, extra: { name: 'USD Coin', version: '2' } }
+  },
+  'arbitrum': {
+    USDC: { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6, extra: { name: 'USD Coin', version: '2' } }
+  },
+  'optimism': {
+    USDC: { address: '0x0b2C639c533813f4Aa9D7837cAf62653d097Ff85', decimals: 6, extra: { name: 'USD Coin', version: '2' } }
+  },
+  'solana': {
+    USDC: { address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', decimals: 6 },
+    SOL: { address: 'So11111111111111111111111111111111111111112', decimals: 9 }
+  },
+  'solana-devnet': {
+    USDC: { address: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU', decimals: 6 },
+    SOL: { address: 'So11111111111111111111111111111111111111112', decimals: 9 }
+  }
+};
+
+/**
+ * Look up an asset by symbol or address on a network
+ *
+ * @returns {Object|null} { symbol, address, decimals, extra? }
+ */
+export function findAsset(network, asset) {
+  const assets = KNOWN_ASSETS[network] || {};
+  if (assets[asset]) {
+    return { symbol: asset, ...assets[asset] };
+  }
+
+  const lower = String(asset).toLowerCase();
+  for (const [symbol, details] of Object.entries(assets)) {
+    if (details.address.toLowerCase() === lower) {
+      return { symbol, ...details };
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert a decimal amount ("0.01") to atomic units ("10000" for 6 decimals)
+ * Uses string math so no precision is lost.
+ */
+export function toAtomicAmount(amount, decimals) {
+  const [whole, fraction = ''] = String(amount).trim().split('.');
+  if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || (whole === '' && fraction === '')) {
+    throw new Error(`Invalid amount "${amount}"`);
+  }
+  if (fraction.length > decimals) {
+    throw new Error(`Amount "${amount}" has more than ${decimals} decimals`);
+  }
+  return BigInt((whole || '0') + fraction.padEnd(decimals, '0')).toString();
+}
+
+/**
+ * Format atomic units as a decimal amount ("10000" => "0.01")
+ */
+export function formatAtomicAmount(amount, decimals) {
+  const padded = String(amount).padStart(decimals + 1, '0');
+  const whole = padded.slice(0, padded.length - decimals);
+  const fraction = padded.slice(padded.length - decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+}
+
+/**
+ * Resolve a payment option to an asset address and atomic amount
+ *
+ * When `asset` is a known symbol, `amount` is in human units ("0.01").
+ * When `asset` is an address, `amount` is in atomic units - unless the
+ * option also declares `decimals`.
+ *
+ * @param {Object} option - { network, asset, amount, decimals?, extra? }
+ * @returns {Object} Option with `asset` (address), `amount` (atomic), `decimals`, `symbol` and merged `extra`
+ */
+export function resolvePaymentOption(option) {
+  const known = KNOWN_ASSETS[option.network]?.[option.asset];
+  if (known) {
+    return {
+      ...option,
+      asset: known.address,
+      amount: toAtomicAmount(option.amount, known.decimals),
+      decimals: known.decimals,
+      symbol: option.asset,
+      ...((known.extra || option.extra) && { extra: { ...(known.extra || {}), ...(option.extra || {}) } })
+    };
+  }
+
+  const found = findAsset(option.network, option.asset);
+  const decimals = option.decimals ?? found?.decimals;
+  return {
+    ...option,
+    amount: option.decimals !== undefined ? toAtomicAmount(option.amount, option.decimals) : String(option.amount),
+    decimals,
+    symbol: found?.symbol,
+    ...((found?.extra || option.extra) && { extra: { ...(found?.extra || {}), ...(option.extra || {}) } })
+  };
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env bun
+/**
+ * Route Lookup Benchmark
+ *
+ * Compares the route index (route-index.js) against the linear scan over
+ * every agent, group and endpoint it replaced, at several registry sizes.
+ * A fifth of the generated endpoints are templated ("/.../:id"), and a tenth
+ * of the lookups miss.
+ *
+ * Usage: bun bench-routes.js [sizes] (default: 10,1000,50000)
+ */
+
+import { createRouteIndex } from './route-index.js';
+import { compilePathTemplate, matchPathTemplate } from './path-templates.js';
+
+const ENDPOINTS_PER_GROUP = 50;
+const GROUPS_PER_AGENT = 10;
+const LOOKUPS = 2000;
+const TIME_BUDGET_MS = 2000;
+
+const sizes = (process.argv[2] || '10,1000,50000').split(',').map(Number);
+
+function generateAgents(count) {
+  const agents = [];
+  for (let e = 0; e < count; e++) {
+    const a = Math.floor(e / (ENDPOINTS_PER_GROUP * GROUPS_PER_AGENT));
+    const g = Math.floor(e / ENDPOINTS_PER_GROUP) % GROUPS_PER_AGENT;
+    agents[a] = agents[a] || { id: `agent-${a}`, name: `Agent ${a}`, groups: [] };
+    const groups = agents[a].groups;
+    groups[g] = groups[g] || { id: `group-${g}`, baseUrl: 'http://upstream.local', endpoints: [] };
+    const templated = e % 5 === 0;
+    groups[g].endpoints.push({
+      id: `endpoint-${e}`,
+      path: `/agent-${a}/group-${g}/endpoint-${e}${templated ? '/:id' : ''}`,
+      upstreamUrl: templated ? `/items/{id}` : `/items/${e}`,
+      method: 'GET'
+    });
+  }
+  return agents;
+}
+
+// The lookup the route index replaced: exact paths, then every template in order
+function linearLookup(agents, path) {
+  for (const agent of agents) {
+    for (const group of agent.groups) {
+      const endpoint = group.endpoints.find(ep => ep.path === path);
+      if (endpoint) return { agent, group, endpoint, params: {} };
+    }
+  }
+  for (const agent of agents) {
+    for (const group of agent.groups) {
+      for (const endpoint of group.endpoints) {
+        const template = compilePathTemplate(endpoint.path);
+        const params = template && matchPathTemplate(template, path);
+        if (params) return { agent, group, endpoint, params };
+      }
+    }
+  }
+  return null;
+}
+
+function requestPaths(agents, count) {
+  const endpoints = agents.flatMap(agent => agent.groups.flatMap(group => group.endpoints));
+  const paths = [];
+  for (let i = 0; i < count; i++) {
+    if (i % 10 === 9) {
+      paths.push(`/missing/${i}`);
+      continue;
+    }
+    const endpoint = endpoints[Math.floor(Math.random() * endpoints.length)];
+    paths.push(endpoint.path.replace(':id', `item-${i}`));
+  }
+  return paths;
+}
+
+function measure(lookup, paths) {
+  const timings = [];
+  const deadline = performance.now() + TIME_BUDGET_MS;
+  for (const path of paths) {
+    const start = performance.now();
+    lookup(path);
+    timings.push(performance.now() - start);
+    if (performance.now() > deadline) break;
+  }
+  timings.sort((a, b) => a - b);
+  const mean = timings.reduce((sum, value) => sum + value, 0) / timings.length;
+  return { mean, p99: timings[Math.floor(timings.length * 0.99)], lookups: timings.length };
+}
+
+const format = ms => ms < 1 ? `${(ms * 1000).toFixed(1)}µs` : `${ms.toFixed(2)}ms`;
+
+console.log(`Route lookup latency (${LOOKUPS} lookups, ${TIME_BUDGET_MS}ms budget per run)\n`);
+console.log('endpoints   build      index mean  index p99   linear mean  linear p99  speedup');
+
+for (const size of sizes) {
+  const agents = generateAgents(size);
+  const paths = requestPaths(agents, LOOKUPS);
+
+  const buildStart = performance.now();
+  const index = createRouteIndex(agents);
+  const build = performance.now() - buildStart;
+
+  // Both lookups must agree before their timings mean anything
+  for (const path of paths.slice(0, 200)) {
+    if (index.lookup(path)?.endpoint !== linearLookup(agents, path)?.endpoint) {
+      throw new Error(`Route index and linear scan disagree on ${path}`);
+    }
+  }
+
+  const indexed = measure(path => index.lookup(path), paths);
+  const linear = measure(path => linearLookup(agents, path), paths);
+  console.log([
+    String(size).padEnd(11),
+    format(build).padEnd(10),
+    format(indexed.mean).padEnd(11),
+    format(indexed.p99).padEnd(11),
+    format(linear.mean).padEnd(12),
+    format(linear.p99).padEnd(11),
+    `${Math.round(linear.mean / indexed.mean)}x${linear.lookups < paths.length ? ` (linear: ${linear.lookups} lookups)` : ''}`
+  ].join(' '));
+}
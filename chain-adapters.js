@@ -0,0 +1,318 @@
+/**
+ * Chain Adapters for the Local Facilitator
+ *
+ * A chain adapter is everything the local facilitator needs from a network:
+ * - getBalance({ asset, owner, tokenAccount }) => BigInt atomic balance
+ * - EVM: isAuthorizationUsed({ asset, from, nonce }) and
+ *        transferWithAuthorization({ asset, authorization, signature }) => { transaction }
+ * - Solana: feePayer (base58 address), isBlockhashValid(blockhash),
+ *        getMintDecimals(asset) => number|null and
+ *        sendSolanaTransaction({ transaction, transfer }) => { transaction }
+ * - Optional transfer({ asset, from, to, amount }) => { transaction } - used for
+ *   on-chain refunds (see payout-adapters.js)
+ *
+ * The in-memory ledger adapter lets tests run the full flow without an RPC.
+ */
+
+import { createHash } from 'crypto';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { Connection, Keypair, PublicKey } from '@solana/web3.js';
+import bs58 from 'bs58';
+import { EVM_CHAIN_IDS, SOLANA_NETWORKS, getNetworkKind } from './local-facilitator.js';
+import { findAsset } from './assets.js';
+
+/**
+ * Create an in-memory ledger adapter
+ * Balances are tracked per asset/owner and every settlement is recorded in
+ * `transactions`, which makes the adapter usable as a test double.
+ *
+ * @param {Object} options - { network, balances: { "asset:owner": amount }, feePayer, decimals: { asset: decimals } (known assets are built in) }
+ */
+export function createMemoryLedgerAdapter({ network, balances = {}, feePayer, decimals = {} } = {}) {
+  const kind = getNetworkKind(network);
+  const normalize = address => kind === 'evm' ? String(address).toLowerCase() : String(address);
+  const key = (asset, owner) => `${normalize(asset)}:${normalize(owner)}`;
+
+  const ledger = new Map();
+  const usedNonces = new Set();
+  const expiredBlockhashes = new Set();
+  const transactions = [];
+
+  for (const [entry, amount] of Object.entries(balances)) {
+    const [asset, owner] = entry.split(':');
+    ledger.set(key(asset, owner), BigInt(amount));
+  }
+
+  function transfer(asset, from, to, amount) {
+    const balance = ledger.get(key(asset, from)) || 0n;
+    if (balance < amount) {
+      throw new Error('Insufficient funds');
+    }
+    ledger.set(key(asset, from), balance - amount);
+    ledger.set(key(asset, to), (ledger.get(key(asset, to)) || 0n) + BigInt(amount));
+  }
+
+  function record(details) {
+    const hash = createHash('sha256').update(JSON.stringify({ ...details, index: transactions.length })).digest();
+    const transaction = kind === 'evm' ? `0x${hash.toString('hex')}` : bs58.encode(hash);
+    transactions.push({ transaction, ...details });
+    return { transaction };
+  }
+
+  return {
+    network,
+    feePayer,
+    transactions,
+
+    // Test helpers
+    credit(asset, owner, amount) {
+      ledger.set(key(asset, owner), (ledger.get(key(asset, owner)) || 0n) + BigInt(amount));
+    },
+    expireBlockhash(blockhash) {
+      expiredBlockhashes.add(blockhash);
+    },
+
+    async getBalance({ asset, owner }) {
+      return ledger.get(key(asset, owner)) || 0n;
+    },
+
+    async isAuthorizationUsed({ asset, from, nonce }) {
+      return usedNonces.has(`${key(asset, from)}:${nonce}`);
+    },
+
+    async transferWithAuthorization({ asset, authorization }) {
+      const nonceKey = `${key(asset, authorization.from)}:${authorization.nonce}`;
+      if (usedNonces.has(nonceKey)) {
+        throw new Error('Authorization already used');
+      }
+      transfer(asset, authorization.from, authorization.to, BigInt(authorization.value));
+      usedNonces.add(nonceKey);
+      return record({
+        asset,
+        from: normalize(authorization.from),
+        to: normalize(authorization.to),
+        amount: String(authorization.value)
+      });
+    },
+
+    async isBlockhashValid(blockhash) {
+      return !expiredBlockhashes.has(blockhash);
+    },
+
+    async getMintDecimals(asset) {
+      return decimals[asset] ?? findAsset(network, asset)?.decimals ?? null;
+    },
+
+    async sendSolanaTransaction({ transfer: details }) {
+      transfer(details.asset, details.from, details.to, details.amount);
+      return record({
+        asset: details.asset,
+        from: details.from,
+        to: details.to,
+        amount: String(details.amount)
+      });
+    },
+
+    async transfer({ asset, from, to, amount }) {
+      transfer(asset, from, to, BigInt(amount));
+      return record({ asset, from: normalize(from), to: normalize(to), amount: String(amount) });
+    }
+  };
+}
+
+function selector(signature) {
+  return Buffer.from(keccak_256(Buffer.from(signature))).subarray(0, 4).toString('hex');
+}
+
+function encodeWord(hex) {
+  return String(hex).replace(/^0x/, '').toLowerCase().padStart(64, '0');
+}
+
+/**
+ * Create an EVM JSON-RPC adapter
+ * Settlement is submitted with eth_sendTransaction from `relayerAddress`, so
+ * the RPC must be a node or signer proxy that holds the relayer's key.
+ *
+ * @param {Object} options - { network, rpcUrl, relayerAddress, confirmationTimeoutMs, requestTimeoutMs }
+ */
+export function createEvmRpcAdapter({ network, rpcUrl, relayerAddress, confirmationTimeoutMs = 60000, requestTimeoutMs = 10000 }) {
+  let requestId = 0;
+
+  async function rpc(method, params) {
+    const response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params }),
+      signal: AbortSignal.timeout(requestTimeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`${method} failed: the RPC responded with ${response.status}`);
+    }
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(`${method} failed: ${data.error.message}`);
+    }
+    return data.result;
+  }
+
+  function call(to, data) {
+    return rpc('eth_call', [{ to, data }, 'latest']);
+  }
+
+  // Wait for the receipt so a reverted transaction is reported as failed
+  async function waitForConfirmation(transaction) {
+    const deadline = Date.now() + confirmationTimeoutMs;
+    while (Date.now() < deadline) {
+      const receipt = await rpc('eth_getTransactionReceipt', [transaction]);
+      if (receipt) {
+        if (receipt.status !== '0x1') {
+          throw new Error(`Transaction ${transaction} reverted`);
+        }
+        return { transaction };
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    throw new Error(`Transaction ${transaction} not confirmed in time`);
+  }
+
+  return {
+    network,
+
+    async getBalance({ asset, owner }) {
+      const result = await call(asset, `0x${selector('balanceOf(address)')}${encodeWord(owner)}`);
+      return BigInt(result);
+    },
+
+    async isAuthorizationUsed({ asset, from, nonce }) {
+      const result = await call(asset, `0x${selector('authorizationState(address,bytes32)')}${encodeWord(from)}${encodeWord(nonce)}`);
+      return BigInt(result) !== 0n;
+    },
+
+    async transferWithAuthorization({ asset, authorization, signature }) {
+      const sig = signature.replace(/^0x/, '');
+      const r = sig.slice(0, 64);
+      const s = sig.slice(64, 128);
+      const v = parseInt(sig.slice(128, 130), 16);
+
+      const data = `0x${selector('transferWithAuthorization(address,address,uint256,uint256,uint256,bytes32,uint8,bytes32,bytes32)')}` + [
+        encodeWord(authorization.from),
+        encodeWord(authorization.to),
+        encodeWord(BigInt(authorization.value).toString(16)),
+        encodeWord(BigInt(authorization.validAfter).toString(16)),
+        encodeWord(BigInt(authorization.validBefore).toString(16)),
+        encodeWord(authorization.nonce),
+        encodeWord((v < 27 ? v + 27 : v).toString(16)),
+        encodeWord(r),
+        encodeWord(s)
+      ].join('');
+
+      const transaction = await rpc('eth_sendTransaction', [{ from: relayerAddress, to: asset, data }]);
+      return waitForConfirmation(transaction);
+    },
+
+    // ERC-20 transfer sent from `from` - the RPC signer must hold that account's key
+    async transfer({ asset, from, to, amount }) {
+      const data = `0x${selector('transfer(address,uint256)')}${encodeWord(to)}${encodeWord(BigInt(amount).toString(16))}`;
+      const transaction = await rpc('eth_sendTransaction', [{ from, to: asset, data }]);
+      return waitForConfirmation(transaction);
+    }
+  };
+}
+
+/**
+ * Create a Solana RPC adapter
+ * The fee payer key co-signs every settled transaction.
+ *
+ * @param {Object} options - { network, rpcUrl, feePayerSecretKey (base58) }
+ */
+export function createSolanaRpcAdapter({ network, rpcUrl, feePayerSecretKey }) {
+  const connection = new Connection(rpcUrl, 'confirmed');
+  const feePayer = Keypair.fromSecretKey(bs58.decode(feePayerSecretKey));
+  const mintDecimals = new Map();
+
+  return {
+    network,
+    feePayer: feePayer.publicKey.toBase58(),
+
+    async getBalance({ tokenAccount }) {
+      try {
+        const { value } = await connection.getTokenAccountBalance(new PublicKey(tokenAccount));
+        return BigInt(value.amount);
+      } catch (error) {
+        return 0n;
+      }
+    },
+
+    async isBlockhashValid(blockhash) {
+      const { value } = await connection.isBlockhashValid(blockhash);
+      return value;
+    },
+
+    async getMintDecimals(asset) {
+      if (!mintDecimals.has(asset)) {
+        const { value } = await connection.getTokenSupply(new PublicKey(asset));
+        mintDecimals.set(asset, value.decimals);
+      }
+      return mintDecimals.get(asset);
+    },
+
+    async sendSolanaTransaction({ transaction }) {
+      transaction.sign([feePayer]);
+      const signature = await connection.sendRawTransaction(transaction.serialize());
+      const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+      if (confirmation.value.err) {
+        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(confirmation.value.err)}`);
+      }
+      return { transaction: signature };
+    }
+  };
+}
+
+/**
+ * Create chain adapters for the local facilitator from environment variables
+ *
+ * LOCAL_FACILITATOR_NETWORKS - Comma-separated networks to settle locally
+ * LOCAL_FACILITATOR_ADAPTER  - "memory" (default) or "rpc"
+ * EVM_RPC_URL / EVM_RELAYER_ADDRESS - EVM RPC settings
+ * SOLANA_RPC_URL / SOLANA_FEE_PAYER_KEY - Solana RPC settings
+ * Each RPC setting can be overridden per network, e.g. EVM_RPC_URL_BASE_SEPOLIA
+ *
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} Map of network => chain adapter
+ */
+export function createChainAdaptersFromEnv(env = process.env) {
+  const networks = (env.LOCAL_FACILITATOR_NETWORKS || '').split(',').map(n => n.trim()).filter(Boolean);
+  const mode = env.LOCAL_FACILITATOR_ADAPTER || 'memory';
+  const adapters = {};
+
+  for (const network of networks) {
+    const suffix = network.toUpperCase().replace(/-/g, '_');
+    const setting = name => env[`${name}_${suffix}`] || env[name];
+    const kind = getNetworkKind(network);
+
+    if (!kind) {
+      console.error(`⚠️  Local facilitator: unsupported network "${network}" (supported: ${[...Object.keys(EVM_CHAIN_IDS), ...SOLANA_NETWORKS].join(', ')})`);
+      continue;
+    }
+
+    if (mode === 'memory') {
+      const feePayer = kind === 'svm' ? Keypair.generate().publicKey.toBase58() : undefined;
+      adapters[network] = createMemoryLedgerAdapter({ network, feePayer });
+    } else if (kind === 'evm') {
+      adapters[network] = createEvmRpcAdapter({
+        network,
+        rpcUrl: setting('EVM_RPC_URL'),
+        relayerAddress: setting('EVM_RELAYER_ADDRESS'),
+        requestTimeoutMs: Number(setting('EVM_RPC_TIMEOUT_MS')) || undefined
+      });
+    } else {
+      adapters[network] = createSolanaRpcAdapter({
+        network,
+        rpcUrl: setting('SOLANA_RPC_URL'),
+        feePayerSecretKey: setting('SOLANA_FEE_PAYER_KEY')
+      });
+    }
+  }
+
+  return adapters;
+}
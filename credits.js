@@ -0,0 +1,201 @@
+/**
+ * Prepaid Credits and Session Tokens
+ *
+ * A single verified x402 payment to /credits/topup buys a credit balance tied
+ * to the payer's wallet address. The gateway then issues a signed session
+ * token which the dynamic endpoint handler accepts instead of X-PAYMENT,
+ * debiting each call according to the endpoint's price.
+ *
+ * Credits live in a store (see store.js) shared by all instances. Balances
+ * change only through the store's atomic increments, so concurrent debits
+ * can't spend the same credits twice:
+ * - credits:account:<address>          { expiresAt, updatedAt }
+ * - credits:assets:<address>           list of the "network:asset" keys the account was topped up in
+ * - credits:balance:<address>:<asset>  atomic amount, expires with the account
+ * - credits:debit:<id>                 { id, address, agentId, endpointId, path, network, asset, amount, at }
+ * - credits:refunded:<debit id>        set once, when a debit is credited back
+ * - credits:usage:<address>            list of debits and refunds, for usage reports
+ * - credits:topups                     list of { id, address, network, asset, amount, transaction, at }
+ */
+
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+
+const DEFAULT_CREDITS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const balanceKey = (network, asset) => `${network}:${String(asset).toLowerCase()}`;
+
+/**
+ * Create a credits ledger on a store
+ *
+ * @param {Object} options - { store, ttlMs (credit expiry after the last top-up) }
+ */
+export function createCreditsLedger({ store, ttlMs = DEFAULT_CREDITS_TTL_MS }) {
+  const accountKey = address => `credits:account:${address}`;
+  const balanceStoreKey = (address, key) => `credits:balance:${address}:${key}`;
+  const getAssets = async address => [...new Set(await store.list(`credits:assets:${address}`))];
+
+  // Time left before an account's credits expire (null if it has none)
+  async function getRemainingMs(address) {
+    const account = await store.get(accountKey(address));
+    const remainingMs = account ? account.expiresAt - Date.now() : 0;
+    return remainingMs > 0 ? remainingMs : null;
+  }
+
+  return {
+    /**
+     * Get an account's balances ("network:asset" => atomic amount)
+     */
+    async getAccount(address) {
+      const account = await store.get(accountKey(address));
+      if (!account || account.expiresAt <= Date.now()) {
+        return { address, balances: {}, expiresAt: null };
+      }
+
+      const balances = {};
+      for (const key of await getAssets(address)) {
+        balances[key] = (await store.get(balanceStoreKey(address, key))) ?? '0';
+      }
+      return { address, balances, expiresAt: account.expiresAt };
+    },
+
+    /**
+     * Credit a verified top-up payment to an account
+     * Every balance of the account is kept for another `ttlMs`.
+     */
+    async topUp({ address, network, asset, amount, transaction }) {
+      const key = balanceKey(network, asset);
+      const assets = await getAssets(address);
+      if (!assets.includes(key)) {
+        await store.append(`credits:assets:${address}`, key);
+        assets.push(key);
+      }
+
+      const expiresAt = Date.now() + ttlMs;
+      await store.set(accountKey(address), { expiresAt, updatedAt: Date.now() }, ttlMs);
+      const balances = {};
+      for (const assetKey of assets) {
+        balances[assetKey] = await store.increment(balanceStoreKey(address, assetKey), assetKey === key ? amount : 0, { ttlMs });
+      }
+      await store.append('credits:topups', { id: randomUUID(), address, network, asset, amount: String(amount), transaction, at: new Date().toISOString() });
+      return { address, balances, expiresAt };
+    },
+
+    /**
+     * Debit a paid call from an account
+     *
+     * @returns {Promise<{success: boolean, reason?: string, debit?: Object, balance?: string}>}
+     */
+    async debit({ address, network, asset, amount, agentId, endpointId, path: endpointPath }) {
+      const key = balanceStoreKey(address, balanceKey(network, asset));
+      const balance = await store.increment(key, -BigInt(amount), { min: 0 });
+      if (balance === null) {
+        return { success: false, reason: 'insufficient_credits', balance: (await store.get(key)) ?? '0' };
+      }
+
+      const debit = {
+        id: randomUUID(),
+        address,
+        agentId,
+        endpointId,
+        path: endpointPath,
+        network,
+        asset,
+        amount: String(amount),
+        at: new Date().toISOString()
+      };
+      await store.set(`credits:debit:${debit.id}`, debit);
+      await store.append(`credits:usage:${address}`, { type: 'debit', ...debit });
+      return { success: true, debit, balance };
+    },
+
+    /**
+     * Credit a previous debit back to the account (e.g. the upstream call failed)
+     * Each debit is credited back once at most. Credits that expired meanwhile stay expired.
+     *
+     * @param {string} debitId
+     * @param {string} amount - Part of the debit to credit back (default: all of it)
+     */
+    async refund(debitId, amount) {
+      const debit = await store.get(`credits:debit:${debitId}`);
+      if (!debit || !(await store.setIfAbsent(`credits:refunded:${debitId}`, true))) return null;
+
+      const refunded = String(amount ?? debit.amount);
+      const key = balanceStoreKey(debit.address, balanceKey(debit.network, debit.asset));
+      const remainingMs = await getRemainingMs(debit.address);
+      const balance = remainingMs
+        ? await store.increment(key, refunded, { ttlMs: remainingMs })
+        : '0';
+      await store.append(`credits:usage:${debit.address}`, { type: 'refund', id: debitId, amount: refunded });
+      return { ...debit, amount: refunded, refunded: true, balance };
+    },
+
+    /**
+     * Summarize an account's debits per agent and endpoint
+     */
+    async getUsage(address) {
+      const entries = await store.list(`credits:usage:${address}`);
+      const refunds = new Map(entries.filter(entry => entry.type === 'refund').map(entry => [entry.id, BigInt(entry.amount)]));
+      const usage = {};
+      for (const debit of entries) {
+        if (debit.type !== 'debit') continue;
+        const spent = BigInt(debit.amount) - (refunds.get(debit.id) || 0n);
+        // Calls credited back in full weren't served
+        if (spent <= 0n) continue;
+
+        const key = `${debit.agentId}/${debit.endpointId}`;
+        const entry = usage[key] || { agentId: debit.agentId, endpointId: debit.endpointId, path: debit.path, calls: 0, spent: {} };
+        const assetKey = balanceKey(debit.network, debit.asset);
+        entry.calls++;
+        entry.spent[assetKey] = (BigInt(entry.spent[assetKey] || 0) + spent).toString();
+        usage[key] = entry;
+      }
+      return Object.values(usage);
+    }
+  };
+}
+
+/**
+ * Create an HMAC-signed session token issuer
+ * Tokens look like `<base64url payload>.<base64url signature>` with a payload
+ * of { sub: address, iat, exp, jti }.
+ *
+ * @param {Object} options - { secret, ttlMs }
+ */
+export function createSessionTokens({ secret, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+  const key = secret || randomBytes(32).toString('hex');
+
+  function sign(encodedPayload) {
+    return createHmac('sha256', key).update(encodedPayload).digest('base64url');
+  }
+
+  return {
+    issue(address) {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = { sub: address, iat: now, exp: now + Math.floor(ttlMs / 1000), jti: randomUUID() };
+      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+      return { token: `${encodedPayload}.${sign(encodedPayload)}`, expiresAt: payload.exp * 1000 };
+    },
+
+    /**
+     * @returns {Object|null} Token payload, or null if invalid or expired
+     */
+    verify(token) {
+      const [encodedPayload, signature] = String(token).split('.');
+      if (!encodedPayload || !signature) return null;
+
+      const expected = Buffer.from(sign(encodedPayload));
+      const actual = Buffer.from(signature);
+      if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+        return null;
+      }
+
+      try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf-8'));
+        return payload.exp * 1000 > Date.now() ? payload : null;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+}
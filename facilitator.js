@@ -0,0 +1,168 @@
+/**
+ * x402 Facilitator Client
+ *
+ * Verifies and settles X-PAYMENT payloads through x402 facilitators.
+ * Every facilitator exposes the same interface:
+ * - verify(paymentPayload, paymentRequirements) => { isValid, invalidReason?, payer? }
+ * - settle(paymentPayload, paymentRequirements) => { success, errorReason?, transaction, network, payer? }
+ *
+ * Facilitators are configured per network with FACILITATOR_URLS, e.g.
+ *   FACILITATOR_URLS="base=https://x402.org/facilitator,https://backup.example.com;solana=mock"
+ * Networks without an entry fall back to FACILITATOR_URL (or "*=..." in FACILITATOR_URLS).
+ * The special URL "mock" selects the local in-process mock facilitator.
+ */
+
+import { createHash } from 'crypto';
+import { X402_VERSION, validatePaymentPayload } from './x402.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Parse facilitator configuration from environment variables
+ *
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} Map of network => array of facilitator URLs ("*" = default)
+ */
+export function parseFacilitatorConfig(env = process.env) {
+  const config = {};
+
+  if (env.FACILITATOR_URL) {
+    config['*'] = [env.FACILITATOR_URL.trim()];
+  }
+
+  for (const entry of (env.FACILITATOR_URLS || '').split(';')) {
+    const separator = entry.indexOf('=');
+    if (separator === -1) continue;
+
+    const network = entry.slice(0, separator).trim();
+    const urls = entry.slice(separator + 1).split(',').map(url => url.trim()).filter(Boolean);
+    if (network && urls.length > 0) {
+      config[network] = urls;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Create a facilitator that talks to a remote facilitator's /verify and /settle routes
+ *
+ * @param {string} baseUrl - Facilitator base URL
+ * @param {Object} options - { timeoutMs }
+ */
+export function createHttpFacilitator(baseUrl, options = {}) {
+  const url = baseUrl.replace(/\/+$/, '');
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  async function post(route, paymentPayload, paymentRequirements) {
+    const response = await fetch(`${url}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        x402Version: X402_VERSION,
+        paymentPayload,
+        paymentRequirements
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Facilitator ${url}${route} responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    name: url,
+    verify: (paymentPayload, paymentRequirements) => post('/verify', paymentPayload, paymentRequirements),
+    settle: (paymentPayload, paymentRequirements) => post('/settle', paymentPayload, paymentRequirements)
+  };
+}
+
+/**
+ * Create the local in-process mock facilitator
+ * Accepts any structurally valid payment and settles it with a fake transaction
+ * hash, so the full payment flow can be exercised offline.
+ */
+export function createMockFacilitator() {
+  function getPayer(paymentPayload) {
+    const payload = paymentPayload.payload || {};
+    return payload.authorization?.from || payload.payer || 'mock-payer';
+  }
+
+  return {
+    name: 'mock',
+    async verify(paymentPayload, paymentRequirements) {
+      const result = validatePaymentPayload(paymentPayload, paymentRequirements);
+      return result.isValid
+        ? { isValid: true, payer: getPayer(paymentPayload) }
+        : { ...result, payer: getPayer(paymentPayload) };
+    },
+    async settle(paymentPayload, paymentRequirements) {
+      const hash = createHash('sha256')
+        .update(JSON.stringify(paymentPayload))
+        .digest('hex');
+      return {
+        success: true,
+        transaction: `mock-${hash}`,
+        network: paymentRequirements.network,
+        payer: getPayer(paymentPayload)
+      };
+    }
+  };
+}
+
+/**
+ * Create a facilitator client that routes payments to the facilitators
+ * configured for their network, failing over to the next facilitator
+ * when one is unreachable or errors.
+ *
+ * @param {Object} config - Map of network => facilitator URLs (see parseFacilitatorConfig)
+ * @param {Object} options - { timeoutMs, facilitators: { name: facilitator } for custom facilitators }
+ */
+export function createFacilitatorClient(config = parseFacilitatorConfig(), options = {}) {
+  const registry = {
+    mock: createMockFacilitator(),
+    ...(options.facilitators || {})
+  };
+  const cache = new Map();
+
+  function resolve(url) {
+    if (registry[url]) {
+      return registry[url];
+    }
+    if (!cache.has(url)) {
+      cache.set(url, createHttpFacilitator(url, options));
+    }
+    return cache.get(url);
+  }
+
+  function getFacilitators(network) {
+    const urls = config[network] || config['*'] || [];
+    return urls.map(resolve);
+  }
+
+  async function call(operation, paymentPayload, paymentRequirements) {
+    const facilitators = getFacilitators(paymentRequirements.network);
+    if (facilitators.length === 0) {
+      throw new Error(`No facilitator configured for network "${paymentRequirements.network}"`);
+    }
+
+    let lastError;
+    for (const facilitator of facilitators) {
+      try {
+        return await facilitator[operation](paymentPayload, paymentRequirements);
+      } catch (error) {
+        console.error(`⚠️  Facilitator ${facilitator.name} ${operation} failed: ${error.message}`);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  return {
+    getFacilitators,
+    verify: (paymentPayload, paymentRequirements) => call('verify', paymentPayload, paymentRequirements),
+    settle: (paymentPayload, paymentRequirements) => call('settle', paymentPayload, paymentRequirements)
+  };
+}
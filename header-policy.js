@@ -0,0 +1,121 @@
+/**
+ * Header Forwarding Policy
+ *
+ * Which request headers reach an upstream and which upstream response
+ * headers reach the caller. A group and its endpoints can declare a
+ * `headerPolicy`:
+ *
+ *   {
+ *     "allow": ["accept", "content-type", "x-client-*"],   request headers forwarded
+ *     "deny": ["x-client-debug"],                          never forwarded, even if allowed
+ *     "rename": { "x-client-id": "x-customer-id" },        forwarded under another name
+ *     "response": ["x-ratelimit-*", "cache-control"]       response headers passed back
+ *   }
+ *
+ * Names are case-insensitive; a trailing `*` matches any suffix. An endpoint's
+ * `allow` and `response` replace its group's, `deny` adds to it and `rename`
+ * is merged. Static headers come from `headers` on the group and endpoint.
+ */
+
+// Forwarded when no policy says otherwise - what a client typically needs an upstream to see
+export const DEFAULT_REQUEST_HEADERS = [
+  'accept',
+  'accept-language',
+  'accept-encoding',
+  'authorization',
+  'content-type',
+  'x-requested-with',
+  'x-api-key',
+  'x-client-id',
+  // x402 payments verified by the upstream itself
+  'x-payment',
+  'x-payment-*',
+  'x-wallet-pubkey'
+];
+
+// Passed back when no policy says otherwise - rate limits, caching and upstream x402 settlements
+export const DEFAULT_RESPONSE_HEADERS = [
+  'x-ratelimit-*',
+  'ratelimit-*',
+  'retry-after',
+  'cache-control',
+  'expires',
+  'last-modified',
+  'etag',
+  'x-payment-response'
+];
+
+// Hop-by-hop headers and headers the gateway sets itself - never copied, whatever the policy
+const NEVER_FORWARDED = ['host', 'connection', 'keep-alive', 'proxy-*', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'content-length', 'x-session-token', 'sec-websocket-*'];
+const NEVER_RETURNED = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-type', 'content-encoding'];
+
+/**
+ * Whether a header name matches any of the patterns
+ */
+export function matchesHeader(patterns, name) {
+  const lowerName = name.toLowerCase();
+  return patterns.some(pattern => {
+    const lowerPattern = pattern.toLowerCase();
+    return lowerPattern.endsWith('*')
+      ? lowerName.startsWith(lowerPattern.slice(0, -1))
+      : lowerName === lowerPattern;
+  });
+}
+
+/**
+ * The effective policy of an endpoint, with its group's policy and the defaults applied
+ *
+ * @returns {{allow: string[], deny: string[], rename: Object, response: string[]}}
+ */
+export function getHeaderPolicy(group = {}, endpoint = {}) {
+  const groupPolicy = group.headerPolicy || {};
+  const endpointPolicy = endpoint.headerPolicy || {};
+  return {
+    allow: endpointPolicy.allow || groupPolicy.allow || DEFAULT_REQUEST_HEADERS,
+    deny: [...(groupPolicy.deny || []), ...(endpointPolicy.deny || [])],
+    rename: Object.fromEntries(
+      Object.entries({ ...groupPolicy.rename, ...endpointPolicy.rename }).map(([from, to]) => [from.toLowerCase(), to])
+    ),
+    response: endpointPolicy.response || groupPolicy.response || DEFAULT_RESPONSE_HEADERS
+  };
+}
+
+/**
+ * Pick the request headers to forward to the upstream
+ *
+ * @param {Object} incoming - Request headers (Node's lower-cased object)
+ * @param {Object} policy - From getHeaderPolicy
+ * @returns {Object} Headers to send, renamed where the policy says so
+ */
+export function filterRequestHeaders(incoming, policy) {
+  const forwarded = {};
+  for (const [name, value] of Object.entries(incoming)) {
+    if (value === undefined || matchesHeader(NEVER_FORWARDED, name) || matchesHeader(policy.deny, name)) {
+      continue;
+    }
+    const renamed = policy.rename[name.toLowerCase()];
+    if (renamed) {
+      forwarded[renamed] = value;
+    } else if (matchesHeader(policy.allow, name)) {
+      forwarded[name] = value;
+    }
+  }
+  return forwarded;
+}
+
+/**
+ * Pick the upstream response headers to pass back to the caller
+ *
+ * @param {Headers} headers - Upstream response headers
+ * @param {Object} policy - From getHeaderPolicy
+ * @returns {Object}
+ */
+export function filterResponseHeaders(headers, policy) {
+  const returned = {};
+  for (const [name, value] of headers) {
+    if (!matchesHeader(NEVER_RETURNED, name) && matchesHeader(policy.response, name)) {
+      returned[name] = value;
+    }
+  }
+  return returned;
+}
@@ -4,10 +4,34 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
 import { readFileSync } from 'fs';
+import { Readable } from 'stream';
+import { timingSafeEqual } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getAllAgents, getAgentById, getEndpointByPath, getAllEndpoints, buildUpstreamUrl, getAgentGroups } from './agents.js';
+import { getAllAgents, getAgentById, getEndpointByPath, getAllEndpoints, buildUpstreamUrl, buildUpstreamHeaders, buildUpstreamAuth, redactSecrets, getReferenceResolver, getAgentGroups, getAgentsVersion, reloadAgents, watchAgents, updateAgents, getEndpointPaths, getAgentSource, getAgentSources } from './agents.js';
+import { applyAgentChange, createAuditLog } from './agents-admin.js';
+import { getExamplePath } from './path-templates.js';
+import { checkUpstreamUrls, formatFindings } from './agents-validator.js';
 import { generateEndpointPage, generateAgentsListPage, generateAgentDetailPage } from './templates.js';
+import { X402_VERSION, getEndpointPrice, buildPaymentRequirements, buildAccepts, matchPaymentRequirements, buildPaymentRequiredResponse, decodePaymentHeader, encodeHeaderValue, validatePaymentPayload, validateBasicX402Schema, validateStrictX402ScanSchema } from './x402.js';
+import { createFacilitatorClient, parseFacilitatorConfig } from './facilitator.js';
+import { createLocalFacilitator, decodeSolanaPayment } from './local-facilitator.js';
+import { createChainAdaptersFromEnv } from './chain-adapters.js';
+import { createStore } from './store.js';
+import { createPaymentLedger, getPaymentIdentity, getLegacyPaymentIdentity } from './payment-ledger.js';
+import { createCreditsLedger, createSessionTokens } from './credits.js';
+import { hasPricingRules, hasCallerRule, describePricingRule } from './pricing.js';
+import { createPricingContextReader } from './pricing-context.js';
+import { createReceiptIssuer, loadReceiptSigningKey } from './receipts.js';
+import { getRefundPolicy, classifyUpstreamFailure, createRefundLog } from './refunds.js';
+import { createPayoutAdapterFromEnv } from './payout-adapters.js';
+import { getRevenueSplit, routePayTo, parseOperatorPayTo, createSettlementLedger, toCsv } from './revenue.js';
+import { createUpstreamAuth, preservesCallerAuthorization } from './upstream-auth.js';
+import { getHeaderPolicy, filterRequestHeaders, filterResponseHeaders } from './header-policy.js';
+import { createStreamMeter, createIdleTimeout, isEventStream } from './streaming.js';
+import { handleUpgrades, connectUpstream, toWebSocketUrl, tunnel } from './websocket-proxy.js';
+import { getRetryPolicy, shouldRetry, getBackoffMs, createCircuitBreakers } from './upstream-resilience.js';
+import { createLoadBalancer } from './load-balancer.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,6 +54,129 @@ const HOST = process.env.HOST || '0.0.0.0';
 let publicUrl = process.env.PUBLIC_URL || `http://${HOST}:${PORT}`;
 const PUBLIC_URL = publicUrl.replace(/\/+$/, '');
 
+// x402 facilitator used to verify and settle gateway-side payments
+// "local" in FACILITATOR_URLS routes a network to the gateway's own facilitator
+const chainAdapters = createChainAdaptersFromEnv();
+const localFacilitator = createLocalFacilitator({ adapters: chainAdapters });
+const facilitatorConfig = parseFacilitatorConfig();
+const facilitator = createFacilitatorClient(facilitatorConfig, {
+  timeoutMs: Number(process.env.FACILITATOR_TIMEOUT_MS) || undefined,
+  facilitators: { local: localFacilitator }
+});
+
+// Directory for persistent gateway state (payment ledger, etc.)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Payment ledger - rejects replayed payments across restarts and cluster instances
+const paymentLedgerStore = process.env.PAYMENT_LEDGER_STORE || 'memory';
+const paymentLedger = createPaymentLedger({
+  store: await createStore(paymentLedgerStore, {
+    path: process.env.PAYMENT_LEDGER_PATH || path.join(DATA_DIR, 'payments.db'),
+    table: 'payments',
+    url: process.env.REDIS_URL
+  }),
+  retentionMs: process.env.PAYMENT_LEDGER_RETENTION_SECONDS
+    ? Number(process.env.PAYMENT_LEDGER_RETENTION_SECONDS) * 1000
+    : undefined
+});
+
+// Prepaid credits - enabled when a top-up payment destination is configured
+const creditsTopupPrice = process.env.CREDITS_PAY_TO ? {
+  network: process.env.CREDITS_NETWORK || 'base',
+  asset: process.env.CREDITS_ASSET,
+  payTo: process.env.CREDITS_PAY_TO,
+  amount: process.env.CREDITS_MIN_TOPUP || '1000000',
+  maxTimeoutSeconds: 120,
+  ...(process.env.CREDITS_ASSET_NAME && {
+    extra: { name: process.env.CREDITS_ASSET_NAME, version: process.env.CREDITS_ASSET_VERSION || '1' }
+  })
+} : null;
+// Credit balances are money - kept in SQLite unless CREDITS_STORE says otherwise
+const creditsLedger = createCreditsLedger({
+  store: await createStore(process.env.CREDITS_STORE || 'sqlite', {
+    path: process.env.CREDITS_LEDGER_PATH || path.join(DATA_DIR, 'credits.db'),
+    table: 'credits',
+    url: process.env.REDIS_URL
+  }),
+  ttlMs: process.env.CREDITS_TTL_SECONDS ? Number(process.env.CREDITS_TTL_SECONDS) * 1000 : undefined
+});
+if (!process.env.SESSION_SECRET) {
+  console.log('⚠️  SESSION_SECRET not set - session tokens are only valid for this process');
+}
+const sessionTokens = createSessionTokens({
+  secret: process.env.SESSION_SECRET,
+  ttlMs: process.env.SESSION_TOKEN_TTL_SECONDS ? Number(process.env.SESSION_TOKEN_TTL_SECONDS) * 1000 : undefined
+});
+// Body size, query and caller of a request, for dynamic pricing rules
+const getPricingContext = createPricingContextReader({ sessionTokens });
+
+// Signed receipts - issued for every paid call the upstream served. Kept in SQLite
+// unless RECEIPTS_STORE says otherwise
+const receiptStore = process.env.RECEIPTS_STORE || 'sqlite';
+const receiptIssuer = createReceiptIssuer({
+  privateKey: loadReceiptSigningKey({
+    key: process.env.RECEIPTS_SIGNING_KEY,
+    path: process.env.RECEIPTS_KEY_PATH || path.join(DATA_DIR, 'receipt-key.pem')
+  }),
+  store: await createStore(receiptStore, {
+    path: process.env.RECEIPTS_PATH || path.join(DATA_DIR, 'receipts.db'),
+    table: 'receipts',
+    url: process.env.REDIS_URL
+  }),
+  retentionMs: process.env.RECEIPTS_RETENTION_DAYS
+    ? Number(process.env.RECEIPTS_RETENTION_DAYS) * 24 * 60 * 60 * 1000
+    : undefined
+});
+
+// Refunds for paid calls the upstream failed to serve (policy per price block, see refunds.js)
+const refundLog = createRefundLog({
+  path: process.env.REFUND_LOG_PATH || path.join(DATA_DIR, 'refunds.jsonl')
+});
+const payoutAdapter = createPayoutAdapterFromEnv(process.env, { chainAdapters });
+const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS) || 30000;
+const UPSTREAM_STREAM_IDLE_TIMEOUT_MS = Number(process.env.UPSTREAM_STREAM_IDLE_TIMEOUT_MS) || 60000;
+// Streamed units billed to credits are reserved this many at a time (see createStreamBilling)
+const CREDITS_STREAM_RESERVE_UNITS = Number(process.env.CREDITS_STREAM_RESERVE_UNITS) || 50;
+// Default limit for request bodies forwarded to upstreams - endpoints and groups can set maxBodyBytes
+const MAX_REQUEST_BODY_BYTES = Number(process.env.MAX_REQUEST_BODY_BYTES) || 1024 * 1024;
+
+// Credentials the gateway adds to upstream requests (per group, see upstream-auth.js)
+const upstreamAuth = createUpstreamAuth({ timeoutMs: UPSTREAM_TIMEOUT_MS });
+
+// Groups with several upstream targets - balancing and health checks (see load-balancer.js)
+const loadBalancer = createLoadBalancer({ resolve: value => getReferenceResolver().resolve(value) });
+
+// One circuit breaker per group - failing upstreams get a rest (see upstream-resilience.js)
+const upstreamBreakers = createCircuitBreakers({
+  failureThreshold: Number(process.env.UPSTREAM_BREAKER_THRESHOLD) || undefined,
+  resetMs: Number(process.env.UPSTREAM_BREAKER_RESET_MS) || undefined
+});
+
+// Revenue split with agent owners - owed shares are tracked until paid out
+const operatorPayTo = parseOperatorPayTo();
+const settlementLedger = createSettlementLedger({
+  store: await createStore(process.env.SETTLEMENT_STORE || 'sqlite', {
+    path: process.env.SETTLEMENT_LEDGER_PATH || path.join(DATA_DIR, 'settlements.db'),
+    table: 'settlements',
+    url: process.env.REDIS_URL
+  })
+});
+
+// Admin API - disabled unless a bearer token is configured
+// ADMIN_TOKENS names each admin ("alice=token1,bob=token2") so the audit log shows who changed what
+const adminTokens = new Map(
+  (process.env.ADMIN_TOKENS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf('=');
+    return [entry.slice(separator + 1), entry.slice(0, separator)];
+  })
+);
+if (process.env.ADMIN_TOKEN) {
+  adminTokens.set(process.env.ADMIN_TOKEN, 'admin');
+}
+const agentsAuditLog = createAuditLog({
+  path: process.env.AGENTS_AUDIT_LOG_PATH || path.join(DATA_DIR, 'agents-audit.jsonl')
+});
+
 // Helper function to get real client IP from X-Forwarded-For
 function getClientIp(req) {
   // X-Forwarded-For header contains comma-separated IPs: "client, proxy1, proxy2"
@@ -78,17 +225,21 @@ app.use(helmet({
     },
   },
 })); // Security headers
-app.use(cors()); // Enable CORS
+app.use(cors({ exposedHeaders: ['X-PAYMENT-RESPONSE', 'X-PAYMENT-RECEIPT', 'X-PAYMENT-REFUND', 'X-CREDITS-BALANCE'] })); // Enable CORS
 app.use('/public', express.static(path.join(__dirname, 'public'))); // Serve static files
 
 // Custom morgan token for real client IP
 morgan.token('client-ip', (req) => getClientIp(req));
 
+// Request URL without the credits session token WebSocket handshakes may carry in the query
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]session_token=)[^&]*/g, '$1[redacted]'));
+
 // Request logging with real client IP
 app.use(morgan(':client-ip - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'));
 
-app.use(express.json()); // Parse JSON bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+// Body parsers for the gateway's own routes that read one. Nothing is parsed globally:
+// agent endpoints forward their bodies to the upstream as they are (see readRequestBody)
+const parseBody = [express.json(), express.urlencoded({ extended: true })];
 
 // Helper function to determine if client wants HTML
 function wantsHtml(req) {
@@ -97,8 +248,110 @@ function wantsHtml(req) {
   return accept.includes('text/html') && !accept.includes('application/json');
 }
 
+// Middleware - only lets requests with the admin bearer token through
+// Sets req.adminActor to the name of the token's admin
+function requireAdmin(req, res, next) {
+  if (adminTokens.size === 0) {
+    return res.status(404).json({ error: 'Not Found', message: 'The admin API is disabled on this gateway (set ADMIN_TOKEN or ADMIN_TOKENS)' });
+  }
+  
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  for (const [token, actor] of adminTokens) {
+    const expected = Buffer.from(token);
+    if (provided.length === expected.length && timingSafeEqual(provided, expected)) {
+      req.adminActor = actor;
+      return next();
+    }
+  }
+  res.status(401).json({ error: 'Unauthorized', message: 'Valid admin bearer token required' });
+}
+
+// JSON bodies - the only ones the envelope can wrap
+const JSON_CONTENT_TYPE = /^application\/([\w.+-]+\+)?json\b/i;
+// Methods whose requests carry no body - every other method's body is forwarded
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+// Headers that describe how a forwarded body is encoded - sent with it whatever the header policy says
+const BODY_HEADERS = ['content-type', 'content-encoding'];
+
+/**
+ * Read a request body as the client sent it - JSON, forms, multipart and binary alike
+ * Bodies over maxBytes are rejected as soon as the declared or received size tells,
+ * without reading the rest.
+ *
+ * @returns {Promise<Buffer>}
+ * @throws {Error} With status 413 if the body is larger than maxBytes
+ */
+function readRequestBody(req, maxBytes) {
+  const tooLarge = () => Object.assign(new Error(`request body exceeds ${maxBytes} bytes`), { status: 413 });
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      return reject(tooLarge());
+    }
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off('data', onData);
+        req.pause();
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.once('end', () => resolve(Buffer.concat(chunks)));
+    req.once('close', () => {
+      if (!req.complete) reject(new Error('the client closed the request before sending its body'));
+    });
+  });
+}
+
+// Headers sent to an upstream: the client headers upstream.headerPolicy allows (see
+// header-policy.js), without the caller's Authorization when the gateway authenticates,
+// and upstream.headers (static headers) replacing client headers of the same name
+function buildForwardHeaders(incomingHeaders, upstream) {
+  const forwardHeaders = {
+    'User-Agent': 'X402-Gateway/1.0',
+    ...filterRequestHeaders(incomingHeaders, upstream.headerPolicy || getHeaderPolicy())
+  };
+
+  // Callers' credentials aren't meant for an upstream the gateway authenticates to
+  if (!preservesCallerAuthorization(upstream.auth)) {
+    for (const key of Object.keys(forwardHeaders)) {
+      if (key.toLowerCase() === 'authorization') {
+        delete forwardHeaders[key];
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(upstream.headers || {})) {
+    for (const forwarded of Object.keys(forwardHeaders)) {
+      if (forwarded.toLowerCase() === key.toLowerCase()) {
+        delete forwardHeaders[forwarded];
+      }
+    }
+    forwardHeaders[key] = value;
+  }
+  return forwardHeaders;
+}
+
 // Helper function to proxy request to upstream
-async function proxyToUpstream(upstreamUrl, method, queryParams, body, incomingHeaders = {}) {
+// upstream.responseMode is "envelope" (JSON wrapped with endpoint details) or "raw" -
+// raw responses, and bodies the envelope can't wrap, come back as an unread `body` stream.
+// upstream.headerPolicy also picks the response headers that come back, and
+// upstream.auth adds the group's credentials. `body` (a Buffer from readRequestBody)
+// is forwarded untouched, with the client's Content-Type and Content-Encoding
+async function proxyToUpstream(upstreamUrl, method, queryParams, body, incomingHeaders = {}, upstream = {}) {
+  const headerPolicy = upstream.headerPolicy || getHeaderPolicy();
+  // upstream.timeoutMs (UPSTREAM_TIMEOUT_MS unless the group or endpoint sets one) bounds the wait for
+  // the response (and a JSON body) - a streamed body is bounded by UPSTREAM_STREAM_IDLE_TIMEOUT_MS between chunks instead
+  const timeoutMs = upstream.timeoutMs || UPSTREAM_TIMEOUT_MS;
+  const controller = new AbortController();
+  let timer = null;
+  const startTimeout = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(new DOMException(`no response within ${timeoutMs}ms`, 'TimeoutError')), timeoutMs);
+  };
   try {
     // Build URL with query parameters
     const url = new URL(upstreamUrl);
@@ -106,217 +359,263 @@ async function proxyToUpstream(upstreamUrl, method, queryParams, body, incomingH
       url.searchParams.append(key, queryParams[key]);
     });
 
-    // Forward relevant headers from the incoming request
-    const forwardHeaders = {
-      'User-Agent': 'X402-Gateway/1.0'
-    };
-
-    // Headers to forward from client (case-insensitive)
-    const headersToForward = [
-      'authorization',
-      'accept',
-      'accept-language',
-      'accept-encoding',
-      'content-type',
-      'x-requested-with',
-      'x-api-key',
-      'x-client-id',
-      // x402-specific payment headers
-      'x-payment-id',
-      'x-payment-proof',
-      'x-payment-signature',
-      'x-payment-timestamp',
-      'x-payment-hash',
-      'x-payment-network',
-      'x-payment-amount'
-    ];
-
-    // Copy headers from incoming request
-    for (const [key, value] of Object.entries(incomingHeaders)) {
-      const lowerKey = key.toLowerCase();
-      if (headersToForward.includes(lowerKey)) {
-        forwardHeaders[key] = value;
-      }
-      // Also forward any custom x- headers
-      else if (lowerKey.startsWith('x-')) {
-        forwardHeaders[key] = value;
-      }
-    }
-
-    // Ensure Content-Type is set for POST requests
-    if (method === 'POST' && !forwardHeaders['Content-Type'] && !forwardHeaders['content-type']) {
-      forwardHeaders['Content-Type'] = 'application/json';
-    }
+    const forwardHeaders = buildForwardHeaders(incomingHeaders, upstream);
 
     const options = {
       method: method,
       headers: forwardHeaders
     };
 
-    if (method === 'POST' && body) {
-      options.body = JSON.stringify(body);
+    if (body?.length > 0 && !BODYLESS_METHODS.includes(method)) {
+      options.body = body;
+      for (const name of BODY_HEADERS) {
+        if (incomingHeaders[name] && !Object.keys(forwardHeaders).some(key => key.toLowerCase() === name)) {
+          forwardHeaders[name] = incomingHeaders[name];
+        }
+      }
     }
 
-    const response = await fetch(url.toString(), options);
+    const outgoing = { method, url, headers: forwardHeaders, body: options.body };
+    await upstreamAuth.apply(upstream.auth, outgoing);
+    options.signal = controller.signal;
+    startTimeout();
+
+    let response = await fetch(url.toString(), options);
+    // An OAuth2 token the upstream no longer accepts is fetched again, once
+    if (response.status === 401 && upstreamAuth.invalidate(upstream.auth)) {
+      await response.body?.cancel();
+      await upstreamAuth.apply(upstream.auth, outgoing);
+      startTimeout();
+      response = await fetch(url.toString(), options);
+    }
+    
+    const headers = filterResponseHeaders(response.headers, headerPolicy);
+    const contentType = response.headers.get('content-type');
+    // A HEAD response has headers only - nothing for the envelope to wrap
+    if (upstream.responseMode === 'raw' || method === 'HEAD' || !JSON_CONTENT_TYPE.test(contentType || '')) {
+      clearTimeout(timer);
+      return {
+        success: true,
+        statusCode: response.status,
+        raw: true,
+        body: response.body,
+        // Cancels the upstream request, e.g. when the client goes away
+        abort: () => controller.abort(),
+        contentType,
+        // fetch decodes compressed bodies, so a compressed length no longer applies
+        contentLength: response.headers.get('content-encoding') ? null : response.headers.get('content-length'),
+        contentDisposition: response.headers.get('content-disposition'),
+        headers,
+        upstream: redactSecrets(upstreamUrl)
+      };
+    }
     const data = await response.json();
+    clearTimeout(timer);
     
     return {
       success: true,
       statusCode: response.status,
       data: data,
-      upstream: upstreamUrl
+      headers,
+      upstream: redactSecrets(upstreamUrl)
     };
   } catch (error) {
+    clearTimeout(timer);
     return {
       success: false,
-      error: error.message,
-      upstream: upstreamUrl
+      error: redactSecrets(error.message),
+      timedOut: error.name === 'TimeoutError' || /TIMEOUT/.test(error.cause?.code || ''),
+      upstream: redactSecrets(upstreamUrl)
     };
   }
 }
 
-// Favicon endpoint
-app.get('/favicon.ico', (req, res) => {
-  try {
-    const favicon = readFileSync('./favicon.svg');
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
-    res.send(favicon);
-  } catch (error) {
-    res.status(404).send('Favicon not found');
-  }
-});
-
-// Validation helper functions for x402 schema
-function validateBasicX402Schema(data) {
+// Helper function to open the upstream side of a WebSocket endpoint (see websocket-proxy.js)
+// Returns the open upstream `socket` (paused until tunnel()) - or, when the upstream answers
+// the handshake with a plain HTTP response, that response in the shape of a raw proxy result
+async function proxyWebSocket(upstreamUrl, queryParams, incomingHeaders = {}, upstream = {}) {
   try {
-    // Basic x402 validation - minimal requirements for most clients
-    if (typeof data !== 'object' || data === null) {
-      return { valid: false, errors: ['Response must be an object'] };
-    }
-
-    const errors = [];
+    const url = toWebSocketUrl(new URL(upstreamUrl));
+    Object.keys(queryParams).forEach(key => {
+      url.searchParams.append(key, queryParams[key]);
+    });
+    const headers = buildForwardHeaders(incomingHeaders, upstream);
+    const protocols = (incomingHeaders['sec-websocket-protocol'] || '').split(',').map(protocol => protocol.trim()).filter(Boolean);
 
-    // Check x402Version exists and is a number
-    if (typeof data.x402Version !== 'number') {
-      errors.push('x402Version must be a number');
+    const connect = async () => {
+      const outgoing = { method: 'GET', url: new URL(url), headers: { ...headers } };
+      await upstreamAuth.apply(upstream.auth, outgoing);
+      return connectUpstream(outgoing.url, { protocols, headers: outgoing.headers, timeoutMs: upstream.timeoutMs || UPSTREAM_TIMEOUT_MS });
+    };
+    let connection = await connect();
+    // An OAuth2 token the upstream no longer accepts is fetched again, once
+    if (connection.response?.statusCode === 401 && upstreamAuth.invalidate(upstream.auth)) {
+      connection.cancel();
+      connection = await connect();
     }
 
-    // If accepts exists, it should be an array
-    if (data.accepts !== undefined) {
-      if (!Array.isArray(data.accepts)) {
-        errors.push('accepts must be an array');
-      } else {
-        // Check each accepts item has minimal fields
-        data.accepts.forEach((item, idx) => {
-          if (typeof item !== 'object' || item === null) {
-            errors.push(`accepts[${idx}] must be an object`);
-          } else {
-            // Minimal fields check
-            if (!item.resource) errors.push(`accepts[${idx}].resource is required`);
-            if (!item.payTo) errors.push(`accepts[${idx}].payTo is required`);
-          }
-        });
-      }
+    const { response } = connection;
+    const responseHeaders = new Headers(Object.entries(response.headers).map(([name, value]) => [name, [].concat(value).join(', ')]));
+    if (connection.socket) {
+      return {
+        success: true,
+        statusCode: 101,
+        socket: connection.socket,
+        headers: filterResponseHeaders(responseHeaders, upstream.headerPolicy || getHeaderPolicy()),
+        upstream: redactSecrets(upstreamUrl)
+      };
     }
-
-    return { valid: errors.length === 0, errors };
-  } catch (e) {
-    return { valid: false, errors: [e.message] };
+    return {
+      success: true,
+      statusCode: response.statusCode,
+      raw: true,
+      body: Readable.toWeb(response),
+      abort: connection.cancel,
+      contentType: response.headers['content-type'],
+      contentLength: response.headers['content-encoding'] ? null : response.headers['content-length'],
+      contentDisposition: response.headers['content-disposition'],
+      headers: filterResponseHeaders(responseHeaders, upstream.headerPolicy || getHeaderPolicy()),
+      upstream: redactSecrets(upstreamUrl)
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: redactSecrets(error.message),
+      timedOut: error.name === 'TimeoutError',
+      upstream: redactSecrets(upstreamUrl)
+    };
   }
 }
 
-function validateStrictX402ScanSchema(data) {
-  try {
-    // Strict x402scan.com validation
-    if (typeof data !== 'object' || data === null) {
-      return { valid: false, errors: ['Response must be an object'] };
+/**
+ * Call a group's targets in order until one can be reached
+ * Only a connection error fails over to the next target - after a timeout or an
+ * error status the request may have been served. Every call is reported to the
+ * load balancer, so a target that can't be reached leaves the rotation.
+ *
+ * @param {Array<{target, url}>} candidates - Upstream URLs (target is null for a single baseUrl)
+ * @param {Function} attempt - Calls one upstream URL, resolving to a proxy result
+ * @param {string} groupKey - "agentId/groupId"
+ */
+async function callTargets(candidates, attempt, groupKey) {
+  for (const [index, { target, url }] of candidates.entries()) {
+    const startedAt = Date.now();
+    const proxyResult = await attempt(url);
+    if (target) {
+      loadBalancer.report(groupKey, target, { ok: proxyResult.success, latencyMs: proxyResult.success ? Date.now() - startedAt : undefined });
     }
-
-    const errors = [];
-
-    // Check x402Version
-    if (typeof data.x402Version !== 'number') {
-      errors.push('x402Version must be a number');
+    const next = candidates[index + 1];
+    if (proxyResult.success || proxyResult.timedOut || !next) {
+      return proxyResult;
     }
+    console.log(`  ${proxyResult.upstream} failed (${proxyResult.error}) - failing over to ${redactSecrets(next.url)}`);
+  }
+}
 
-    // accepts must exist and be an array
-    if (!data.accepts) {
-      errors.push('accepts array is required for x402scan.com');
-    } else if (!Array.isArray(data.accepts)) {
-      errors.push('accepts must be an array');
-    } else if (data.accepts.length === 0) {
-      errors.push('accepts array cannot be empty for x402scan.com');
+/**
+ * Call an upstream until it serves the request or the retry policy gives up
+ * Every attempt is reported to the group's circuit breaker; retries stop as soon as it opens.
+ *
+ * @param {Function} attempt - Makes one call, resolving to a proxy result
+ * @param {Object} options - { method, retryPolicy (see getRetryPolicy), breaker (or null) }
+ */
+async function callUpstream(attempt, { method, retryPolicy, breaker }) {
+  for (let attempts = 1; ; attempts++) {
+    const proxyResult = await attempt();
+    const failure = classifyUpstreamFailure(proxyResult);
+    // A 4xx is the caller's problem, not a sign of a failing upstream
+    if (failure && failure !== '4xx') {
+      breaker?.failure();
     } else {
-      // Strict validation for each accepts item
-      data.accepts.forEach((item, idx) => {
-        if (typeof item !== 'object' || item === null) {
-          errors.push(`accepts[${idx}] must be an object`);
-          return;
-        }
-
-        // All required fields for x402scan.com
-        const requiredFields = {
-          scheme: 'string',
-          network: 'string',
-          maxAmountRequired: 'string',
-          resource: 'string',
-          description: 'string',
-          mimeType: 'string',
-          payTo: 'string',
-          maxTimeoutSeconds: 'number',
-          asset: 'string'
-        };
-
-        for (const [field, expectedType] of Object.entries(requiredFields)) {
-          if (item[field] === undefined || item[field] === null) {
-            errors.push(`accepts[${idx}].${field} is required for x402scan.com`);
-          } else if (typeof item[field] !== expectedType) {
-            errors.push(`accepts[${idx}].${field} must be a ${expectedType}, got ${typeof item[field]}`);
-          }
-        }
-
-        // Validate scheme is exactly "exact"
-        if (item.scheme && item.scheme !== 'exact') {
-          errors.push(`accepts[${idx}].scheme must be "exact" for x402scan.com, got "${item.scheme}"`);
-        }
-
-        // Validate network is a known network (base, solana, ethereum, etc.)
-        const validNetworks = ['base', 'solana', 'ethereum', 'polygon', 'arbitrum', 'optimism'];
-        if (item.network && !validNetworks.includes(item.network.toLowerCase())) {
-          errors.push(`accepts[${idx}].network must be a valid network (e.g., base, solana, ethereum), got "${item.network}"`);
-        }
+      breaker?.success();
+    }
+    if (!shouldRetry(retryPolicy, method, failure, attempts) || (breaker && !breaker.check().allowed)) {
+      return proxyResult;
+    }
 
-        // Validate outputSchema structure if present
-        if (item.outputSchema !== undefined) {
-          if (typeof item.outputSchema !== 'object' || item.outputSchema === null) {
-            errors.push(`accepts[${idx}].outputSchema must be an object if provided`);
-          } else if (item.outputSchema.input) {
-            const input = item.outputSchema.input;
-            if (input.type !== 'http') {
-              errors.push(`accepts[${idx}].outputSchema.input.type must be "http"`);
-            }
-            if (input.method && !['GET', 'POST'].includes(input.method)) {
-              errors.push(`accepts[${idx}].outputSchema.input.method must be "GET" or "POST"`);
-            }
-            if (input.bodyType && !['json', 'form-data', 'multipart-form-data', 'text', 'binary'].includes(input.bodyType)) {
-              errors.push(`accepts[${idx}].outputSchema.input.bodyType must be one of: json, form-data, multipart-form-data, text, binary`);
-            }
-          }
-        }
+    await proxyResult.body?.cancel();
+    const delay = getBackoffMs(retryPolicy, attempts);
+    console.log(`  Upstream ${failure === 'error' || failure === 'timeout' ? failure : `answered ${proxyResult.statusCode}`} - retrying in ${delay}ms (attempt ${attempts + 1} of ${retryPolicy.attempts})`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
 
-        // Validate extra is an object if present
-        if (item.extra !== undefined && (typeof item.extra !== 'object' || item.extra === null || Array.isArray(item.extra))) {
-          errors.push(`accepts[${idx}].extra must be a plain object if provided`);
-        }
-      });
+/**
+ * Stream a raw upstream response to the client - status, content type and body bytes as they are
+ * The body passes through a stream meter (see streaming.js); the upstream request is
+ * cancelled when the client disconnects, a metering hook stops the stream or the
+ * upstream goes quiet for UPSTREAM_STREAM_IDLE_TIMEOUT_MS.
+ *
+ * @param {Object} metering - { unit, hooks, label (for the usage log) }
+ */
+function sendRawResponse(res, proxyResult, { unit, hooks = [], onEnd = async () => {}, label } = {}) {
+  const eventStream = isEventStream(proxyResult.contentType);
+  res.status(proxyResult.statusCode);
+  if (proxyResult.contentType) res.setHeader('Content-Type', proxyResult.contentType);
+  if (proxyResult.contentLength) res.setHeader('Content-Length', proxyResult.contentLength);
+  if (proxyResult.contentDisposition) res.setHeader('Content-Disposition', proxyResult.contentDisposition);
+  if (!proxyResult.body) {
+    return res.end();
+  }
+  if (eventStream) {
+    // Events must reach the client as they happen - no caching or proxy buffering on the way
+    if (!res.hasHeader('Cache-Control')) res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+  }
+  
+  const source = Readable.fromWeb(proxyResult.body);
+  const meter = createStreamMeter({
+    unit: unit || (eventStream ? 'event' : 'chunk'),
+    hooks,
+    // An SSE client learns why its stream ended
+    trailer: reason => eventStream ? `event: error\ndata: ${JSON.stringify({ error: 'Stream stopped', reason })}\n\n` : null
+  });
+  const idle = createIdleTimeout(UPSTREAM_STREAM_IDLE_TIMEOUT_MS, () => {
+    source.destroy(new Error(`upstream sent nothing for ${UPSTREAM_STREAM_IDLE_TIMEOUT_MS}ms`));
+  });
+  
+  const cancelUpstream = () => {
+    source.destroy();
+    idle.destroy();
+    proxyResult.abort();
+  };
+  const fail = error => {
+    console.error(`❌ Upstream stream failed: ${redactSecrets(error.message)}`);
+    cancelUpstream();
+    res.destroy();
+  };
+  source.on('error', fail);
+  idle.on('error', fail);
+  meter.on('error', fail);
+  meter.on('stop', reason => {
+    console.log(`  Stream stopped (${reason})`);
+    idle.unpipe(meter);
+    cancelUpstream();
+  });
+  res.on('close', () => {
+    if (!res.writableFinished) cancelUpstream();
+    const totals = meter.totals();
+    if (eventStream || hooks.length > 0) {
+      console.log(`  Streamed ${totals.units} ${totals.unit}${totals.units === 1 ? '' : 's'} (${totals.bytes} bytes) from ${label}`);
     }
+    onEnd().catch(error => console.error(`❌ Failed to settle streamed units: ${error.message}`));
+  });
+  
+  source.pipe(idle).pipe(meter).pipe(res);
+}
 
-    return { valid: errors.length === 0, errors };
-  } catch (e) {
-    return { valid: false, errors: [e.message] };
+// Favicon endpoint
+app.get('/favicon.ico', (req, res) => {
+  try {
+    const favicon = readFileSync('./favicon.svg');
+    res.setHeader('Content-Type', 'image/svg+xml');
+    res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
+    res.send(favicon);
+  } catch (error) {
+    res.status(404).send('Favicon not found');
   }
-}
+});
 
 // Test/validate x402 JSON endpoint
 app.post('/test', express.json(), (req, res) => {
@@ -368,6 +667,346 @@ app.post('/test', express.json(), (req, res) => {
   }
 });
 
+// Local facilitator - lets the gateway (and other resource servers) verify and settle payments
+app.get('/facilitator/supported', (req, res) => {
+  res.json(localFacilitator.supported());
+});
+
+app.post('/facilitator/verify', express.json(), async (req, res) => {
+  const { paymentPayload, paymentRequirements } = req.body || {};
+  if (!paymentPayload || !paymentRequirements) {
+    return res.status(400).json({ error: 'Must provide "paymentPayload" and "paymentRequirements" in request body' });
+  }
+  
+  try {
+    res.json(await localFacilitator.verify(paymentPayload, paymentRequirements));
+  } catch (error) {
+    res.status(500).json({ error: 'Verification failed', message: error.message });
+  }
+});
+
+app.post('/facilitator/settle', express.json(), async (req, res) => {
+  const { paymentPayload, paymentRequirements } = req.body || {};
+  if (!paymentPayload || !paymentRequirements) {
+    return res.status(400).json({ error: 'Must provide "paymentPayload" and "paymentRequirements" in request body' });
+  }
+  
+  try {
+    res.json(await localFacilitator.settle(paymentPayload, paymentRequirements));
+  } catch (error) {
+    res.status(500).json({ error: 'Settlement failed', message: error.message });
+  }
+});
+
+// Prepaid credits - buy a balance with one x402 payment, then spend it with a session token
+app.post('/credits/topup', async (req, res) => {
+  if (!creditsTopupPrice) {
+    return res.status(404).json({ error: 'Not Found', message: 'Prepaid credits are not enabled on this gateway' });
+  }
+  
+  const amount = String(req.query.amount || creditsTopupPrice.amount);
+  if (!/^\d+$/.test(amount) || BigInt(amount) < BigInt(creditsTopupPrice.amount)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `amount must be an integer of at least ${creditsTopupPrice.amount} (atomic units)`
+    });
+  }
+  
+  const requirements = buildPaymentRequirements(
+    { ...creditsTopupPrice, amount },
+    { description: 'Prepaid credits top-up', mimeType: 'application/json' },
+    `${PUBLIC_URL}${req.originalUrl}`
+  );
+  const verified = await verifyPaymentRequest(req, res, [requirements], '/credits/topup');
+  if (!verified) {
+    return; // Response already sent
+  }
+  
+  // Credits belong to the payer - without one there is no account to top up
+  if (!verified.payer) {
+    await paymentLedger.release(verified.paymentId);
+    return res.status(402).json(
+      buildPaymentRequiredResponse([requirements], 'invalid_payer')
+    );
+  }
+  
+  const settlement = await settlePayment(verified);
+  if (!settlement.success) {
+    return res.status(402).json(
+      buildPaymentRequiredResponse([requirements], settlement.errorReason || 'settlement_failed')
+    );
+  }
+  
+  const address = settlement.payer || verified.payer;
+  const account = await creditsLedger.topUp({
+    address,
+    network: requirements.network,
+    asset: requirements.asset,
+    amount,
+    transaction: settlement.transaction
+  });
+  const session = sessionTokens.issue(address);
+  console.log(`💰 Credits topped up for ${address}: ${amount} (${settlement.transaction})`);
+  
+  res.setHeader('X-PAYMENT-RESPONSE', encodeHeaderValue(settlement));
+  await sendReceipt(res, {
+    payer: address,
+    method: 'x402',
+    path: '/credits/topup',
+    httpMethod: req.method,
+    network: requirements.network,
+    asset: requirements.asset,
+    amount,
+    transaction: settlement.transaction,
+    upstreamStatus: 200
+  });
+  res.json({
+    address,
+    balances: account.balances,
+    creditsExpireAt: new Date(account.expiresAt).toISOString(),
+    token: session.token,
+    tokenExpiresAt: new Date(session.expiresAt).toISOString(),
+    usage: 'Send the token in the X-SESSION-TOKEN header to pay for endpoints from your balance'
+  });
+});
+
+// Balance and per agent/endpoint usage of the session's wallet
+app.get('/credits/balance', async (req, res) => {
+  const session = sessionTokens.verify(req.headers['x-session-token'] || '');
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Valid X-SESSION-TOKEN header required' });
+  }
+  
+  const account = await creditsLedger.getAccount(session.sub);
+  res.json({
+    address: session.sub,
+    balances: account.balances,
+    creditsExpireAt: account.expiresAt ? new Date(account.expiresAt).toISOString() : null,
+    tokenExpiresAt: new Date(session.exp * 1000).toISOString(),
+    usage: await creditsLedger.getUsage(session.sub)
+  });
+});
+
+// Exchange a still-valid session token for a fresh one
+app.post('/credits/session', (req, res) => {
+  const session = sessionTokens.verify(req.headers['x-session-token'] || '');
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Valid X-SESSION-TOKEN header required' });
+  }
+  
+  const renewed = sessionTokens.issue(session.sub);
+  res.json({
+    address: session.sub,
+    token: renewed.token,
+    tokenExpiresAt: new Date(renewed.expiresAt).toISOString()
+  });
+});
+
+// Refund decisions for the session's wallet
+app.get('/refunds', (req, res) => {
+  const session = sessionTokens.verify(req.headers['x-session-token'] || '');
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Valid X-SESSION-TOKEN header required' });
+  }
+  
+  res.json({
+    address: session.sub,
+    refunds: refundLog.list({ payer: session.sub, limit: Number(req.query.limit) || undefined })
+  });
+});
+
+// Receipt signing keys (JWKS) - verify receipts without asking the gateway
+app.get('/receipts/keys', (req, res) => {
+  res.json(receiptIssuer.getPublicKeys());
+});
+
+// Verify a receipt token - checks the signature and that the gateway still has it on record
+app.post('/receipts/verify', parseBody, async (req, res) => {
+  const token = req.body?.token || req.headers['x-payment-receipt'];
+  if (!token) {
+    return res.status(400).json({ error: 'Must provide "token" in request body or X-PAYMENT-RECEIPT header' });
+  }
+  
+  res.json(await receiptIssuer.verify(token));
+});
+
+// Look up a stored receipt by id
+app.get('/receipts/:id', async (req, res) => {
+  const stored = await receiptIssuer.get(req.params.id);
+  if (!stored) {
+    return res.status(404).json({ error: 'Receipt not found' });
+  }
+  
+  res.json(stored);
+});
+
+// Reload agents.json now instead of waiting for the file watcher
+app.post('/admin/reload', requireAdmin, (req, res) => {
+  const result = reloadAgents('admin API');
+  res.status(result.error ? 422 : 200).json(result);
+});
+
+// Owed balances per agent owner - JSON report, or batch payout instructions as CSV
+app.get('/admin/payouts', requireAdmin, async (req, res) => {
+  const instructions = await settlementLedger.getPayoutInstructions();
+  
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="payouts-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(toCsv(instructions, ['owner', 'network', 'asset', 'to', 'amount']));
+  }
+  
+  res.json({
+    generatedAt: new Date().toISOString(),
+    balances: await settlementLedger.getReport(),
+    instructions
+  });
+});
+
+// Record a payout made to an owner so it's no longer outstanding
+app.post('/admin/payouts', requireAdmin, parseBody, async (req, res) => {
+  const { ownerPayTo, network, asset, amount, transaction } = req.body || {};
+  if (!ownerPayTo || !network || !asset || !/^\d+$/.test(String(amount || ''))) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Must provide "ownerPayTo", "network", "asset" and an integer "amount" (atomic units)'
+    });
+  }
+  
+  const balance = (await settlementLedger.getReport()).find(entry =>
+    entry.ownerPayTo === ownerPayTo && entry.network === network && entry.asset.toLowerCase() === String(asset).toLowerCase()
+  );
+  if (!balance || BigInt(amount) > BigInt(balance.outstanding)) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: `Payout exceeds the outstanding balance (${balance ? balance.outstanding : '0'})`
+    });
+  }
+  
+  const payout = await settlementLedger.recordPayout({ ownerPayTo, network, asset: balance.asset, amount, transaction });
+  console.log(`💸 Payout recorded for ${ownerPayTo}: ${amount} on ${network}`);
+  res.status(201).json(payout);
+});
+
+// Admin agents API - ETag is the agents.json version, send it back in If-Match
+// to make sure a change isn't applied on top of one you haven't seen
+function parseIfMatch(req) {
+  const header = req.headers['if-match'];
+  if (!header || header.trim() === '*') return undefined;
+  return header.trim().replace(/^W\//, '').replace(/"/g, '');
+}
+
+function sendAgentsError(res, error) {
+  const titles = { 400: 'Bad Request', 404: 'Not Found', 409: 'Conflict', 412: 'Precondition Failed', 422: 'Invalid Agents Configuration' };
+  if (!titles[error.status]) {
+    console.error('❌ Admin agents change failed:', error);
+    return res.status(500).json({ error: 'Internal Server Error', message: error.message });
+  }
+  
+  res.status(error.status).json({
+    error: titles[error.status],
+    message: error.message,
+    ...(error.status === 412 && { currentVersion: getAgentsVersion() }),
+    ...(error.findings && { errors: error.findings })
+  });
+}
+
+// Route handler applying a create/update/delete of an agent, group or endpoint
+function agentsChangeHandler(action, target) {
+  return (req, res) => {
+    const { agentId, groupId, endpointId } = req.params;
+    const change = { action, target, agentId, groupId, endpointId, body: req.body };
+    
+    // Only agents.json is written back - other sources are managed where they live
+    const source = agentId && getAgentSource(agentId);
+    const primary = path.basename(getAgentSources().primary);
+    if (source && source !== primary) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Agent "${agentId}" is loaded from ${source} - change it there, the admin API only edits ${primary}`
+      });
+    }
+    
+    let update;
+    try {
+      update = updateAgents(agents => applyAgentChange(agents, change), {
+        expectedVersion: parseIfMatch(req),
+        reason: `admin API: ${action} ${target} by ${req.adminActor}`
+      });
+    } catch (error) {
+      return sendAgentsError(res, error);
+    }
+    
+    const { before, after } = update.result;
+    agentsAuditLog.record({
+      actor: req.adminActor,
+      ip: getClientIp(req),
+      action,
+      target,
+      agentId: target === 'agent' ? (after || before).id : agentId,
+      ...(target !== 'agent' && { groupId: target === 'group' ? (after || before).id : groupId }),
+      ...(target === 'endpoint' && { endpointId: (after || before).id }),
+      fromVersion: update.previousVersion,
+      toVersion: update.version,
+      before,
+      after
+    });
+    console.log(`🛠️  ${req.adminActor} ${action}d ${target} "${(after || before).id}"`);
+    
+    res.setHeader('ETag', `"${update.version}"`);
+    res.status(action === 'create' ? 201 : 200).json({
+      version: update.version,
+      action,
+      target,
+      before,
+      after,
+      diff: update.diff
+    });
+  };
+}
+
+// Full agents configuration, including internal groups
+app.get('/admin/agents', requireAdmin, (req, res) => {
+  res.setHeader('ETag', `"${getAgentsVersion()}"`);
+  res.json({
+    version: getAgentsVersion(),
+    sources: getAgentSources(),
+    origins: Object.fromEntries(getAllAgents().map(agent => [agent.id, getAgentSource(agent.id)])),
+    agents: getAllAgents()
+  });
+});
+
+app.get('/admin/agents/:agentId', requireAdmin, (req, res) => {
+  const agent = getAgentById(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Not Found', message: `Agent "${req.params.agentId}" not found` });
+  }
+  
+  res.setHeader('ETag', `"${getAgentsVersion()}"`);
+  res.json(agent);
+});
+
+app.post('/admin/agents', requireAdmin, parseBody, agentsChangeHandler('create', 'agent'));
+app.put('/admin/agents/:agentId', requireAdmin, parseBody, agentsChangeHandler('update', 'agent'));
+app.delete('/admin/agents/:agentId', requireAdmin, agentsChangeHandler('delete', 'agent'));
+app.post('/admin/agents/:agentId/groups', requireAdmin, parseBody, agentsChangeHandler('create', 'group'));
+app.put('/admin/agents/:agentId/groups/:groupId', requireAdmin, parseBody, agentsChangeHandler('update', 'group'));
+app.delete('/admin/agents/:agentId/groups/:groupId', requireAdmin, agentsChangeHandler('delete', 'group'));
+app.post('/admin/agents/:agentId/groups/:groupId/endpoints', requireAdmin, parseBody, agentsChangeHandler('create', 'endpoint'));
+app.put('/admin/agents/:agentId/groups/:groupId/endpoints/:endpointId', requireAdmin, parseBody, agentsChangeHandler('update', 'endpoint'));
+app.delete('/admin/agents/:agentId/groups/:groupId/endpoints/:endpointId', requireAdmin, agentsChangeHandler('delete', 'endpoint'));
+
+// Who changed what in agents.json through the admin API, newest first
+app.get('/admin/audit', requireAdmin, (req, res) => {
+  res.json({
+    entries: agentsAuditLog.list({
+      actor: req.query.actor,
+      agentId: req.query.agentId,
+      limit: Math.min(Number(req.query.limit) || 100, 1000)
+    })
+  });
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -377,7 +1016,12 @@ app.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     runtime: 'bun',
     agents: getAllAgents().length,
-    endpoints: getAllEndpoints().length
+    endpoints: getEndpointPaths().length,
+    agentsVersion: getAgentsVersion(),
+    // Circuit breakers by agent/group - only upstreams called since startup are listed
+    upstreams: upstreamBreakers.snapshot(),
+    // Health and latency of every target of groups with several
+    upstreamTargets: loadBalancer.snapshot()
   });
 });
 
@@ -634,7 +1278,7 @@ app.get('/', (req, res) => {
                             const method = Array.isArray(ep.method) ? ep.method[0] : ep.method;
                             const methodDisplay = Array.isArray(ep.method) ? ep.method.join('/') : ep.method;
                             return `
-                            <option value="${ep.path}" data-method="${method}">
+                            <option value="${getExamplePath(ep)}" data-method="${method}">
                                 ${ep.agentIcon} ${ep.agentName} - ${ep.name} (${methodDisplay})
                             </option>
                         `;
@@ -1209,7 +1853,8 @@ app.get('/agents/:agentId', (req, res) => {
           description: ep.description,
           path: ep.path,
           method: ep.method,
-          link: ep.path
+          link: getExamplePath(ep),
+          requirements: `/agents/${agent.id}/endpoints/${ep.id}/requirements`
         });
       }
     }
@@ -1229,6 +1874,369 @@ app.get('/agents/:agentId', (req, res) => {
   }
 });
 
+// Payment requirements of an endpoint - lets clients prepare a payment without triggering a 402
+// Query parameters are used to quote dynamically priced endpoints.
+app.get('/agents/:agentId/endpoints/:endpointId/requirements', (req, res) => {
+  const agent = getAgentById(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  
+  let match = null;
+  for (const group of (agent.groups || [])) {
+    const endpoint = group.endpoints.find(ep => ep.id === req.params.endpointId);
+    if (endpoint) {
+      match = { group, endpoint };
+      break;
+    }
+  }
+  if (!match) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  
+  const price = getEndpointPrice(match.group, match.endpoint);
+  try {
+    const revenueSplit = price ? getRevenueSplit(agent, match.group) : null;
+    res.json({
+      x402Version: X402_VERSION,
+      resource: `${PUBLIC_URL}${getExamplePath(match.endpoint)}`,
+      free: !price,
+      accepts: price ? buildEndpointAccepts(price, match.endpoint, getPricingContext(req), revenueSplit, getExamplePath(match.endpoint)) : []
+    });
+  } catch (error) {
+    // Query parameters a pricing rule can't use are the caller's mistake
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Bad Request', message: error.message, endpoint: match.endpoint.path });
+    }
+    res.status(500).json({
+      error: 'Invalid price configuration',
+      message: error.message,
+      endpoint: match.endpoint.path
+    });
+  }
+});
+
+/**
+ * Build the accepts[] array of an endpoint - one entry per payment option
+ * Resources (the requested path, for templated endpoints) are resolved against
+ * PUBLIC_URL, dynamic pricing rules applied and payTo routed according to the
+ * agent's revenue split.
+ */
+function buildEndpointAccepts(price, endpoint, pricingContext, revenueSplit = null, resourcePath = endpoint.path) {
+  const accepts = buildAccepts(price, endpoint, `${PUBLIC_URL}${resourcePath}`, pricingContext);
+  return revenueSplit
+    ? accepts.map(requirements => routePayTo(requirements, revenueSplit, operatorPayTo))
+    : accepts;
+}
+
+/**
+ * Record the agent owner's share of a paid call in the settlement ledger
+ * A ledger failure is logged but never fails the call.
+ */
+async function recordRevenue(revenueSplit, sale) {
+  if (!revenueSplit) return;
+  try {
+    const recorded = await settlementLedger.recordSale({ split: revenueSplit, ...sale });
+    if (!recorded.direct) {
+      console.log(`  Owed to ${recorded.owner}: ${recorded.owed} (fee ${recorded.fee})`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to record revenue split: ${error.message}`);
+  }
+}
+
+/**
+ * Metering hook that bills the streamed units beyond the ones a call's price includes
+ * Credits are reserved ahead in batches of CREDITS_STREAM_RESERVE_UNITS units instead
+ * of being debited per unit, and what the stream didn't use is credited back when it
+ * ends. Calls paid with x402 get the `included` units, then the stream stops.
+ *
+ * @param {Object} stream - The price's stream block { unit, amount, included }
+ * @param {Object} sale - { creditContext, revenueSplit, agent, endpoint }
+ * @returns {{hook: Function, finish: Function}} finish() settles the reservation once the stream has ended
+ */
+function createStreamBilling(stream, { creditContext, revenueSplit, agent, endpoint }) {
+  const included = Number(stream.included) || 0;
+  const unitsAmount = units => (BigInt(stream.amount) * BigInt(units)).toString();
+  let reservation = null;
+  let reserved = 0;
+  let used = 0;
+  let finished = false;
+  
+  async function hook({ totalUnits }) {
+    const units = totalUnits - included;
+    if (units <= reserved) {
+      used = Math.max(units, 0);
+      return;
+    }
+    if (!creditContext) return { stop: 'stream_limit_reached' };
+    
+    // A whole batch if the balance covers it, else what's left of the balance
+    const { address, debit: { network, asset } } = creditContext;
+    const shortfall = units - reserved;
+    let batch = Math.max(shortfall, CREDITS_STREAM_RESERVE_UNITS);
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const debit = await creditsLedger.debit({ address, network, asset, amount: unitsAmount(batch), agentId: agent.id, endpointId: endpoint.id, path: endpoint.path });
+      if (debit.success) {
+        reservation = { debit: debit.debit, units: batch };
+        reserved += batch;
+        used = units;
+        return;
+      }
+      const affordable = Number(BigInt(debit.balance) / BigInt(stream.amount));
+      if (affordable < shortfall || affordable >= batch) break;
+      batch = affordable;
+    }
+    return { stop: 'insufficient_credits' };
+  }
+  
+  async function finish() {
+    if (finished || !reservation) return;
+    finished = true;
+    // Reservations are only made once the earlier ones are used up, so anything unused is in the last
+    const unused = reserved - used;
+    if (unused > 0) {
+      await creditsLedger.refund(reservation.debit.id, unitsAmount(unused));
+    }
+    if (used > 0) {
+      const { network, asset } = reservation.debit;
+      await recordRevenue(revenueSplit, {
+        requirements: { network, asset, maxAmountRequired: unitsAmount(used), payTo: null },
+        agentId: agent.id,
+        endpointId: endpoint.id,
+        method: 'credits',
+        transaction: reservation.debit.id
+      });
+    }
+  }
+  
+  return { hook, finish };
+}
+
+/**
+ * The asset an X-PAYMENT payload transfers, when the payload names it
+ * Only Solana transactions do; an EVM authorization's token is bound by its signature.
+ */
+function getPaymentAsset(payment) {
+  if (!payment.payload?.transaction) {
+    return null;
+  }
+  try {
+    return decodeSolanaPayment(payment.payload).transfer.mint;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify the X-PAYMENT header of a request against the accepted payment options
+ * Sends the 402 (or 502) response itself and returns null if the payment is not usable.
+ *
+ * @returns {Promise<Object|null>} { payment, requirements, payer, paymentId }
+ */
+async function verifyPaymentRequest(req, res, accepts, resource) {
+  const paymentHeader = req.headers['x-payment'];
+  if (!paymentHeader) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, 'X-PAYMENT header is required')
+    );
+    return null;
+  }
+  
+  let payment;
+  try {
+    payment = decodePaymentHeader(paymentHeader);
+  } catch (error) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, `Invalid X-PAYMENT header: ${error.message}`)
+    );
+    return null;
+  }
+  
+  // The payment must be made for one of the accepted options
+  const candidates = matchPaymentRequirements(accepts, payment, getPaymentAsset(payment));
+  if (candidates.length === 0) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, payment.scheme === 'exact' ? 'invalid_network' : 'invalid_scheme')
+    );
+    return null;
+  }
+  
+  // Cheap local checks first, then the configured facilitator. The first
+  // option the payment verifies against is the one it was made for.
+  let paymentRequirements = null;
+  let verification = null;
+  for (const candidate of candidates) {
+    let result = validatePaymentPayload(payment, candidate);
+    if (result.isValid) {
+      try {
+        result = await facilitator.verify(payment, candidate);
+      } catch (error) {
+        res.status(502).json({
+          error: 'Bad Gateway',
+          message: 'Failed to verify payment with facilitator',
+          details: error.message,
+          endpoint: resource
+        });
+        return null;
+      }
+    }
+    if (result.isValid) {
+      paymentRequirements = candidate;
+      verification = result;
+      break;
+    }
+    verification = verification || result;
+  }
+  if (!paymentRequirements) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, verification.invalidReason)
+    );
+    return null;
+  }
+  
+  // Replay protection - a payment can only ever be used once, on any endpoint
+  let identity;
+  try {
+    identity = getPaymentIdentity(payment, paymentRequirements);
+  } catch (error) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, error.message)
+    );
+    return null;
+  }
+  const claim = await paymentLedger.claim({
+    ...identity,
+    resource,
+    network: payment.network,
+    payer: verification.payer || null
+  });
+  if (!claim.accepted) {
+    res.status(402).json(
+      buildPaymentRequiredResponse(accepts, claim.reason)
+    );
+    return null;
+  }
+  
+  return { payment, requirements: paymentRequirements, payer: verification.payer, paymentId: identity.id };
+}
+
+/**
+ * Issue a signed receipt for a served, paid call and attach it as X-PAYMENT-RECEIPT
+ * A receipt failure is logged but never fails the call - it was paid and served.
+ */
+async function sendReceipt(res, fields) {
+  try {
+    const { id, token } = await receiptIssuer.issue(fields);
+    res.setHeader('X-PAYMENT-RECEIPT', token);
+    console.log(`  Receipt issued: ${id}`);
+  } catch (error) {
+    console.error(`❌ Failed to issue receipt: ${error.message}`);
+  }
+}
+
+/**
+ * Append a refund decision to the refund log and attach it to the payment record
+ */
+async function recordRefund(entry) {
+  const record = refundLog.record(entry);
+  await paymentLedger.update(entry.paymentId, { refund: record });
+  console.log(`  Refund ${record.status} (${record.policy}, upstream ${record.trigger}): ${record.paymentId}`);
+  return record;
+}
+
+/**
+ * Apply an endpoint's refund policy to a verified payment the upstream failed to serve
+ *
+ * @param {Object} paymentContext - Result of verifyPaymentRequest
+ * @param {Object} refundPolicy - { policy, on } (see refunds.js)
+ * @param {string} trigger - How the upstream failed
+ * @param {Object} call - { agent, endpoint }
+ * @returns {Promise<Object>} Refund log record (plus a session token for credited refunds)
+ */
+async function refundPayment(paymentContext, refundPolicy, trigger, { agent, endpoint }) {
+  const { requirements } = paymentContext;
+  const entry = {
+    paymentId: paymentContext.paymentId,
+    method: 'x402',
+    policy: refundPolicy.policy,
+    trigger,
+    payer: paymentContext.payer || null,
+    agentId: agent.id,
+    endpointId: endpoint.id,
+    path: endpoint.path,
+    network: requirements.network,
+    asset: requirements.asset,
+    amount: requirements.maxAmountRequired
+  };
+  
+  if (refundPolicy.policy === 'skip') {
+    // Never settled - let the payer retry with the same payment
+    await paymentLedger.release(paymentContext.paymentId);
+    return recordRefund({ ...entry, status: 'skipped' });
+  }
+  
+  if (!entry.payer) {
+    // Nobody to give a captured payment back to - leave it unsettled instead
+    await paymentLedger.release(paymentContext.paymentId);
+    return recordRefund({ ...entry, status: 'skipped', error: 'unknown_payer' });
+  }
+  
+  // "refund" and "credit" capture the payment first, then give it back
+  const settlement = await settlePayment(paymentContext);
+  if (!settlement.success) {
+    return recordRefund({ ...entry, status: 'skipped', error: settlement.errorReason || 'settlement_failed' });
+  }
+  const settled = { ...entry, payer: settlement.payer || entry.payer, transaction: settlement.transaction };
+  
+  if (refundPolicy.policy === 'credit') {
+    await creditsLedger.topUp({
+      address: settled.payer,
+      network: settled.network,
+      asset: settled.asset,
+      amount: settled.amount,
+      transaction: settled.transaction
+    });
+    const record = await recordRefund({ ...settled, status: 'credited' });
+    return { ...record, token: sessionTokens.issue(settled.payer).token };
+  }
+  
+  try {
+    const payout = await payoutAdapter.refund({
+      network: settled.network,
+      asset: settled.asset,
+      from: requirements.payTo,
+      to: settled.payer,
+      amount: settled.amount,
+      reference: settled.paymentId
+    });
+    return recordRefund({ ...settled, status: payout.status, refundTransaction: payout.transaction });
+  } catch (error) {
+    console.error(`❌ Refund payout failed: ${error.message}`);
+    return recordRefund({ ...settled, status: 'failed', error: error.message });
+  }
+}
+
+/**
+ * Settle a verified payment with the facilitator
+ * Releases the payment from the ledger if settlement fails so it can be retried.
+ *
+ * @returns {Promise<Object>} Facilitator settlement response
+ */
+async function settlePayment(paymentContext) {
+  let settlement;
+  try {
+    settlement = await facilitator.settle(paymentContext.payment, paymentContext.requirements);
+  } catch (error) {
+    settlement = { success: false, errorReason: error.message };
+  }
+  
+  if (!settlement.success) {
+    await paymentLedger.release(paymentContext.paymentId);
+  }
+  return settlement;
+}
+
 // Dynamic endpoint handler - handles all agent endpoints
 app.all('*', async (req, res, next) => {
   const result = getEndpointByPath(req.path);
@@ -1237,7 +2245,7 @@ app.all('*', async (req, res, next) => {
     return next(); // Pass to 404 handler
   }
   
-  const { agent, group, endpoint } = result;
+  const { agent, group, endpoint, params } = result;
   
   // Check if request method matches
   const allowedMethods = Array.isArray(endpoint.method) ? endpoint.method : [endpoint.method];
@@ -1250,38 +2258,349 @@ app.all('*', async (req, res, next) => {
     });
   }
   
+  // Only WebSocket endpoints are upgraded
+  if (req.ws && endpoint.protocol !== 'ws') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'This endpoint does not accept WebSocket connections',
+      endpoint: endpoint.path
+    });
+  }
+  
+  // Read the body before anyone pays - a body over the limit mustn't cost the caller
+  let requestBody = null;
+  if (!BODYLESS_METHODS.includes(req.method)) {
+    const maxBodyBytes = endpoint.maxBodyBytes ?? group.maxBodyBytes ?? MAX_REQUEST_BODY_BYTES;
+    try {
+      requestBody = await readRequestBody(req, maxBodyBytes);
+    } catch (error) {
+      if (error.status !== 413) {
+        return; // The client went away
+      }
+      // The rest of the body is never read, so the connection can't be reused
+      res.setHeader('Connection', 'close');
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        message: `Request bodies for this endpoint are limited to ${maxBodyBytes} bytes`,
+        endpoint: endpoint.path,
+        maxBodyBytes
+      });
+    }
+  }
+  
+  // Payment requirements for endpoints priced at the gateway (null = free)
+  const price = getEndpointPrice(group, endpoint);
+  let refundPolicy = null;
+  let revenueSplit = null;
+  let accepts = [];
+  let pricingContext = null;
+  try {
+    refundPolicy = price ? getRefundPolicy(price) : null;
+    revenueSplit = price ? getRevenueSplit(agent, group) : null;
+    // Product pages quote dynamic prices for the example request
+    pricingContext = wantsHtml(req)
+      ? { query: Object.fromEntries(new URLSearchParams(endpoint.parameters || '')), now: new Date() }
+      : getPricingContext(req, requestBody);
+    accepts = price ? buildEndpointAccepts(price, endpoint, pricingContext, revenueSplit, req.path) : [];
+  } catch (error) {
+    // Query parameters a pricing rule can't use are the caller's mistake
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Bad Request', message: error.message, endpoint: endpoint.path });
+    }
+    return res.status(500).json({
+      error: 'Invalid price configuration',
+      message: error.message,
+      endpoint: endpoint.path
+    });
+  }
+  
   // Content negotiation - HTML or JSON
-  if (wantsHtml(req)) {
+  if (wantsHtml(req) && !req.ws) {
     // Serve product description page
-    const html = generateEndpointPage(agent, endpoint, PUBLIC_URL);
+    const pricingRules = hasPricingRules(price) ? price.rules.map(describePricingRule) : [];
+    const html = generateEndpointPage(agent, endpoint, PUBLIC_URL, accepts, pricingRules, req.path);
     res.send(html);
+  } else if (endpoint.protocol === 'ws' && !req.ws) {
+    res.setHeader('Upgrade', 'websocket');
+    res.status(426).json({
+      error: 'Upgrade Required',
+      message: 'This endpoint is a WebSocket - connect to it with a WebSocket client',
+      endpoint: endpoint.path
+    });
   } else {
-    // Proxy to upstream and return JSON
-    const queryParams = req.query || {};
-    const body = req.body || {};
+    // Resolve ${ENV_VAR} and secret:// references before anyone pays - a misconfigured upstream mustn't cost the caller
+    const groupKey = `${agent.id}/${group.id}`;
+    let candidates;
+    let upstream;
+    try {
+      // Groups with several targets are tried in the load balancer's order
+      const targets = loadBalancer.pick(groupKey, group, { caller: getPricingContext(req).caller || getClientIp(req) });
+      candidates = targets.length > 0
+        ? targets.map(target => ({ target, url: buildUpstreamUrl(group, endpoint, params, target.url) }))
+        : [{ target: null, url: buildUpstreamUrl(group, endpoint, params) }];
+      // A full upstreamUrl doesn't use the group's targets
+      if (candidates.length > 1 && new Set(candidates.map(candidate => candidate.url)).size === 1) {
+        candidates = [{ target: null, url: candidates[0].url }];
+      }
+      upstream = {
+        headers: buildUpstreamHeaders(group, endpoint),
+        auth: buildUpstreamAuth(group),
+        headerPolicy: getHeaderPolicy(group, endpoint),
+        responseMode: endpoint.responseMode || group.responseMode || 'envelope',
+        timeoutMs: endpoint.timeoutMs ?? group.timeoutMs
+      };
+    } catch (error) {
+      console.error(`❌ Can't resolve the upstream of ${endpoint.path}: ${error.message}`);
+      return res.status(500).json({
+        error: 'Invalid upstream configuration',
+        message: 'The upstream of this endpoint references a value the gateway does not have',
+        endpoint: endpoint.path
+      });
+    }
     
-    // Build full upstream URL from group baseUrl + endpoint upstreamUrl
-    const fullUpstreamUrl = buildUpstreamUrl(group, endpoint);
+    // An upstream that keeps failing is given a rest - callers are turned away before they pay
+    const breaker = upstreamBreakers.get(groupKey, group.circuitBreaker);
+    const circuit = breaker ? breaker.check() : { allowed: true };
+    if (!circuit.allowed) {
+      const retryAfter = Math.ceil(circuit.retryAfterMs / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'The upstream of this endpoint is failing - try again later',
+        endpoint: endpoint.path,
+        retryAfter
+      });
+    }
+    
+    // Gateway-side paywall - unpaid requests never reach the upstream
+    const forwardedHeaders = { ...req.headers };
+    let paymentContext = null;
+    let creditContext = null;
+    // Browsers can't set headers on a WebSocket handshake, so it may carry the session token in the query
+    const sessionToken = req.headers['x-session-token'] || (req.ws ? req.query.session_token : undefined);
+    delete forwardedHeaders['x-session-token'];
+    
+    if (accepts.length > 0 && sessionToken && !req.headers['x-payment']) {
+      // Prepaid credits - debit the session's balance instead of paying on-chain
+      const session = sessionTokens.verify(sessionToken);
+      if (!session) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid or expired session token',
+          topup: '/credits/topup'
+        });
+      }
+      
+      // Pay from the first payment option the balance covers
+      let debit;
+      for (const requirements of accepts) {
+        debit = await creditsLedger.debit({
+          address: session.sub,
+          network: requirements.network,
+          asset: requirements.asset,
+          amount: requirements.maxAmountRequired,
+          agentId: agent.id,
+          endpointId: endpoint.id,
+          path: endpoint.path
+        });
+        if (debit.success) break;
+      }
+      if (!debit.success) {
+        return res.status(402).json(
+          buildPaymentRequiredResponse(accepts, debit.reason)
+        );
+      }
+      
+      creditContext = { address: session.sub, debit: debit.debit };
+      res.setHeader('X-CREDITS-BALANCE', debit.balance);
+      console.log(`  Credits debited for ${endpoint.path}: ${debit.debit.amount} (balance ${debit.balance})`);
+    } else if (accepts.length > 0) {
+      const verified = await verifyPaymentRequest(req, res, accepts, endpoint.path);
+      if (!verified) {
+        return; // Response already sent
+      }
+      
+      // A price given to the payer the header named holds only if verification confirms that payer
+      if (pricingContext.caller && hasCallerRule(price) && String(verified.payer || '').toLowerCase() !== pricingContext.caller.toLowerCase()) {
+        await paymentLedger.release(verified.paymentId);
+        return res.status(402).json(
+          buildPaymentRequiredResponse(accepts, 'invalid_payer')
+        );
+      }
+      
+      paymentContext = verified;
+      console.log(`  Payment verified for ${endpoint.path} on ${verified.payment.network}`);
+      // The payment was consumed by the gateway - don't leak it to the upstream
+      delete forwardedHeaders['x-payment'];
+    }
+    
+    // Legacy x-payment-* headers are verified by the upstream, but replays are caught here
+    const legacyPayment = paymentContext || creditContext ? null : getLegacyPaymentIdentity(req.headers);
+    if (legacyPayment) {
+      const claim = await paymentLedger.claim({
+        ...legacyPayment,
+        resource: endpoint.path,
+        network: req.headers['x-payment-network'] || null,
+        // Verified by the upstream, not here - so there's no payer the gateway could vouch for
+        payer: null
+      });
+      if (!claim.accepted) {
+        return res.status(402).json({
+          error: 'Payment Required',
+          message: claim.reason === 'payment_expired'
+            ? 'Payment proof has expired'
+            : `Payment ${req.headers['x-payment-id']} has already been used`,
+          reason: claim.reason,
+          endpoint: endpoint.path
+        });
+      }
+    }
+    
+    // Proxy to upstream and return its response (see responseMode)
+    const queryParams = { ...req.query };
+    if (req.ws) {
+      delete queryParams.session_token;
+    }
     
     // Use the actual request method (already validated above)
-    console.log(`Proxying ${req.method} request to: ${fullUpstreamUrl}`);
+    console.log(`Proxying ${req.ws ? 'WebSocket' : req.method} request to: ${redactSecrets(candidates[0].url)}`);
     console.log(`  Agent: ${agent.name}, Group: ${group.name}`);
+    if (Object.keys(params).length > 0) {
+      console.log(`  Path Params:`, params);
+    }
     if (Object.keys(queryParams).length > 0) {
       console.log(`  Query Params:`, queryParams);
     }
-    if (req.method === 'POST' && Object.keys(body).length > 0) {
-      console.log(`  Body:`, body);
+    if (requestBody?.length > 0) {
+      console.log(`  Body: ${requestBody.length} bytes (${req.headers['content-type'] || 'no content type'})`);
     }
     
-    const proxyResult = await proxyToUpstream(
-      fullUpstreamUrl,
-      req.method,
-      queryParams,
-      body,
-      req.headers
+    const proxyResult = await callUpstream(
+      () => callTargets(candidates, upstreamUrl => req.ws
+        ? proxyWebSocket(upstreamUrl, queryParams, forwardedHeaders, upstream)
+        : proxyToUpstream(
+          upstreamUrl,
+          req.method,
+          queryParams,
+          requestBody,
+          forwardedHeaders,
+          upstream
+        ), groupKey),
+      { method: req.method, retryPolicy: getRetryPolicy(group, endpoint), breaker }
     );
     
+    // Settle only once the upstream has served the request - failures go through the refund policy
+    const failure = classifyUpstreamFailure(proxyResult);
+    const refundable = Boolean(failure) && refundPolicy?.on.includes(failure);
+    if (paymentContext && !refundable) {
+      const settlement = await settlePayment(paymentContext);
+      if (!settlement.success) {
+        await proxyResult.body?.cancel();
+        proxyResult.socket?.terminate();
+        return res.status(402).json(
+          buildPaymentRequiredResponse(accepts, settlement.errorReason || 'settlement_failed')
+        );
+      }
+      
+      console.log(`  Payment settled: ${settlement.transaction}`);
+      res.setHeader('X-PAYMENT-RESPONSE', encodeHeaderValue(settlement));
+      await sendReceipt(res, {
+        payer: settlement.payer || paymentContext.payer || null,
+        method: 'x402',
+        agentId: agent.id,
+        endpointId: endpoint.id,
+        path: endpoint.path,
+        httpMethod: req.method,
+        network: paymentContext.requirements.network,
+        asset: paymentContext.requirements.asset,
+        amount: paymentContext.requirements.maxAmountRequired,
+        transaction: settlement.transaction,
+        upstreamStatus: proxyResult.statusCode
+      });
+      await recordRevenue(revenueSplit, {
+        requirements: paymentContext.requirements,
+        agentId: agent.id,
+        endpointId: endpoint.id,
+        method: 'x402',
+        transaction: settlement.transaction
+      });
+    } else if (paymentContext) {
+      const refund = await refundPayment(paymentContext, refundPolicy, failure, { agent, endpoint });
+      res.setHeader('X-PAYMENT-REFUND', encodeHeaderValue(refund));
+    } else if (creditContext && refundable) {
+      // Calls paid from prepaid credits are always credited back
+      const { debit } = creditContext;
+      const refund = await creditsLedger.refund(debit.id);
+      if (refund) {
+        res.setHeader('X-CREDITS-BALANCE', refund.balance);
+        const record = refundLog.record({
+          paymentId: debit.id,
+          method: 'credits',
+          policy: 'credit',
+          trigger: failure,
+          status: 'credited',
+          payer: creditContext.address,
+          agentId: agent.id,
+          endpointId: endpoint.id,
+          path: endpoint.path,
+          network: debit.network,
+          asset: debit.asset,
+          amount: debit.amount
+        });
+        res.setHeader('X-PAYMENT-REFUND', encodeHeaderValue(record));
+      }
+    } else if (creditContext) {
+      const { debit } = creditContext;
+      await sendReceipt(res, {
+        payer: creditContext.address,
+        method: 'credits',
+        agentId: agent.id,
+        endpointId: endpoint.id,
+        path: endpoint.path,
+        httpMethod: req.method,
+        network: debit.network,
+        asset: debit.asset,
+        amount: debit.amount,
+        transaction: debit.id,
+        upstreamStatus: proxyResult.statusCode
+      });
+      // Credits are held by the operator, so the owner's share is always owed
+      await recordRevenue(revenueSplit, {
+        requirements: { network: debit.network, asset: debit.asset, maxAmountRequired: debit.amount, payTo: null },
+        agentId: agent.id,
+        endpointId: endpoint.id,
+        method: 'credits',
+        transaction: debit.id
+      });
+    } else if (legacyPayment && (!proxyResult.success || proxyResult.statusCode >= 500)) {
+      await paymentLedger.release(legacyPayment.id);
+    }
+    
     if (proxyResult.success) {
+      // Upstream headers the policy passes back - the gateway's own (X-PAYMENT-RESPONSE, receipts) win
+      for (const [name, value] of Object.entries(proxyResult.headers)) {
+        if (!res.hasHeader(name)) {
+          res.setHeader(name, value);
+        }
+      }
+      if (proxyResult.socket) {
+        console.log(`🔌 WebSocket open: ${endpoint.path} ↔ ${proxyResult.upstream}`);
+        return tunnel(req, res, proxyResult.socket, ({ code, fromClient, fromUpstream }) => {
+          console.log(`🔌 WebSocket closed: ${endpoint.path} (code ${code}, ${fromClient} messages in, ${fromUpstream} out)`);
+        });
+      }
+      if (proxyResult.raw) {
+        // Only a served stream is billed - an upstream error body passes through free
+        const billing = price?.stream && proxyResult.statusCode < 400
+          ? createStreamBilling(price.stream, { creditContext, revenueSplit, agent, endpoint })
+          : null;
+        return sendRawResponse(res, proxyResult, {
+          unit: price?.stream?.unit,
+          hooks: billing ? [billing.hook] : [],
+          onEnd: billing?.finish,
+          label: endpoint.path
+        });
+      }
       res.status(proxyResult.statusCode).json({
         endpoint: endpoint.path,
         agent: agent.name,
@@ -1301,6 +2620,7 @@ app.all('*', async (req, res, next) => {
 });
 
 // 404 handler
+const NOT_FOUND_ENDPOINT_SAMPLE = 50;
 app.use((req, res) => {
   if (wantsHtml(req)) {
     const html = `
@@ -1363,7 +2683,10 @@ app.use((req, res) => {
       error: 'Not Found',
       message: `Route ${req.url} not found`,
       method: req.method,
-      availableEndpoints: getAllEndpoints().map(ep => ep.path)
+      // Only a sample - gateways can serve thousands of endpoints, /agents lists them all
+      availableEndpoints: getEndpointPaths().slice(0, NOT_FOUND_ENDPOINT_SAMPLE),
+      totalEndpoints: getEndpointPaths().length,
+      agents: '/agents'
     });
   }
 });
@@ -1378,14 +2701,46 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, HOST, () => {
+// Pick up agents.json changes without a restart
+watchAgents({
+  intervalMs: process.env.AGENTS_RELOAD_INTERVAL_MS !== undefined ? Number(process.env.AGENTS_RELOAD_INTERVAL_MS) : undefined,
+  registryIntervalMs: process.env.AGENTS_REGISTRY_INTERVAL_MS !== undefined ? Number(process.env.AGENTS_REGISTRY_INTERVAL_MS) : undefined
+});
+
+const server = app.listen(PORT, HOST, () => {
   console.log(`🚀 Server running on http://${HOST}:${PORT}`);
   console.log(`🌐 Public URL: ${PUBLIC_URL}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`⚡ Runtime: Bun ${Bun.version}`);
+  console.log(`⚡ Runtime: ${typeof Bun === 'undefined' ? `Node ${process.versions.node}` : `Bun ${Bun.version}`}`);
   console.log(`📊 Process ID: ${process.pid}`);
+  console.log(`🤖 Agents: ${getAllAgents().length} (version ${getAgentsVersion()})`);
+  for (const [network, urls] of Object.entries(facilitatorConfig)) {
+    console.log(`💳 Facilitator (${network}): ${urls.join(', ')}`);
+  }
+  console.log(`🧾 Payment ledger: ${paymentLedgerStore}`);
+  console.log(`🔏 Receipts: ${receiptStore} (key ${receiptIssuer.keyId})`);
+  console.log(`↩️  Refund payouts: ${payoutAdapter.name}`);
+  const localNetworks = localFacilitator.supported().kinds.map(kind => kind.network);
+  if (localNetworks.length > 0) {
+    console.log(`🏦 Local facilitator networks: ${localNetworks.join(', ')}`);
+  }
+
+  // Optional: report upstreams that don't answer (never blocks startup)
+  if (process.env.AGENTS_CHECK_URLS === 'true') {
+    checkUpstreamUrls(getAllAgents(), { resolver: getReferenceResolver() }).then(warnings => {
+      if (warnings.length > 0) {
+        console.warn(`⚠️  Unreachable upstreams:\n${formatFindings(warnings)}`);
+      }
+    });
+  }
 });
 
+// WebSocket handshakes go through the app like any other request
+handleUpgrades(server, app);
+
+// Take unhealthy upstream targets out of rotation
+loadBalancer.start(getAllAgents);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
@@ -0,0 +1,53 @@
+/**
+ * Append-only JSONL Logs
+ *
+ * One JSON record per line, each stamped with an `id` and an `at` timestamp.
+ * Shared by the refund log (refunds.js) and the admin audit log
+ * (agents-admin.js), which add their own filters on top.
+ */
+
+import { appendFileSync, readFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Create an append-only log persisted to a JSONL file
+ *
+ * @param {Object} options - { path }
+ */
+export function createJsonlLog({ path }) {
+  return {
+    /**
+     * Append an entry
+     *
+     * @returns {Object} The entry as recorded, with `id` and `at`
+     */
+    record(entry) {
+      const record = { id: randomUUID(), ...entry, at: new Date().toISOString() };
+      mkdirSync(dirname(path), { recursive: true });
+      appendFileSync(path, `${JSON.stringify(record)}\n`);
+      return record;
+    },
+
+    /**
+     * List entries, newest first
+     *
+     * @param {Function} filter - Predicate an entry must match
+     * @param {number} limit - Maximum number of entries
+     */
+    list(filter = () => true, limit = 100) {
+      let lines;
+      try {
+        lines = readFileSync(path, 'utf-8').split('\n').filter(Boolean);
+      } catch (error) {
+        return [];
+      }
+
+      return lines
+        .map(line => JSON.parse(line))
+        .filter(filter)
+        .reverse()
+        .slice(0, limit);
+    }
+  };
+}
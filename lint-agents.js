@@ -0,0 +1,77 @@
+#!/usr/bin/env bun
+/**
+ * agents.json Linter
+ *
+ * Validates an agents document without starting the gateway.
+ *
+ * Usage: bun lint-agents.js [file] [--check-urls] [--strict] [--json]
+ * - file:         Document (JSON or YAML) or directory of per-agent files to check
+ *                 (default: AGENTS_PATH or ./agents.json)
+ * - --check-urls: Also check that full upstream URLs, baseUrls and targets answer
+ * - --strict:     Exit non-zero on warnings too
+ * - --json:       Print findings as JSON
+ *
+ * ${ENV_VAR} and secret:// references are checked against this environment
+ * (and SECRETS_PROVIDER / SECRETS_PATH) - ones that don't resolve are warnings.
+ *
+ * Exits 0 when the document is valid, 1 otherwise.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { validateAgents, checkReferences, checkUpstreamUrls, formatFindings } from './agents-validator.js';
+import { parseAgentsContent, readAgentsDirectory, mergeAgentSources } from './agent-sources.js';
+import { createSecretProvider, createReferenceResolver } from './secrets.js';
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(arg => arg.startsWith('--')));
+const file = args.find(arg => !arg.startsWith('--')) || process.env.AGENTS_PATH || 'agents.json';
+
+let data;
+const errors = [];
+const warnings = [];
+try {
+  if (statSync(file).isDirectory()) {
+    const directory = readAgentsDirectory(file);
+    const merged = mergeAgentSources(directory.sources);
+    data = merged.agents;
+    errors.push(...directory.errors, ...merged.errors);
+    warnings.push(...merged.warnings);
+  } else {
+    data = parseAgentsContent(readFileSync(file, 'utf-8'), file);
+    // Per-agent files hold a single agent
+    if (data && !Array.isArray(data) && data.id) {
+      data = [data];
+    }
+  }
+} catch (error) {
+  console.error(`❌ ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const resolver = createReferenceResolver({
+  provider: createSecretProvider(process.env.SECRETS_PROVIDER || (process.env.SECRETS_PATH ? 'file' : 'env'), { path: process.env.SECRETS_PATH })
+});
+const validation = validateAgents(data);
+errors.push(...validation.errors);
+warnings.push(...validation.warnings, ...checkReferences(data, resolver));
+if (flags.has('--check-urls')) {
+  warnings.push(...await checkUpstreamUrls(data, { resolver }));
+}
+
+const failed = errors.length > 0 || (flags.has('--strict') && warnings.length > 0);
+
+if (flags.has('--json')) {
+  console.log(JSON.stringify({ file, valid: !failed, errors, warnings }, null, 2));
+} else {
+  if (errors.length > 0) {
+    console.error(`❌ ${errors.length} error${errors.length === 1 ? '' : 's'} in ${file}:\n${formatFindings(errors)}`);
+  }
+  if (warnings.length > 0) {
+    console.warn(`⚠️  ${warnings.length} warning${warnings.length === 1 ? '' : 's'} in ${file}:\n${formatFindings(warnings)}`);
+  }
+  if (!failed) {
+    console.log(`✅ ${file} is valid`);
+  }
+}
+
+process.exit(failed ? 1 : 0);
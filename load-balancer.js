@@ -0,0 +1,246 @@
+/**
+ * Upstream Targets and Load Balancing
+ *
+ * A group can list several upstream targets instead of one baseUrl - replicas
+ * of the same service - and spread its requests over them:
+ *
+ *   "targets": [
+ *     { "url": "https://eu.weather.example", "weight": 2 },
+ *     { "url": "https://us.weather.example" }
+ *   ],
+ *   "loadBalancing": {
+ *     "strategy": "round-robin",
+ *     "healthCheck": { "path": "/health", "intervalMs": 10000 }
+ *   }
+ *
+ * Strategies:
+ * - round-robin:     weighted round-robin (a weight 2 target gets twice the requests)
+ * - least-latency:   the target with the lowest recent latency, divided by its weight
+ * - consistent-hash: the same caller (payer, session or client IP) always lands on the
+ *                    same target while it's healthy (rendezvous hashing, weighted)
+ *
+ * Active health checks GET each target's `healthCheck.path` every `intervalMs`;
+ * any answer below 500 is healthy. A target leaves the rotation after
+ * `unhealthyThreshold` failed checks in a row and comes back after
+ * `healthyThreshold` good ones. Connection errors while proxying count as
+ * failed checks too. When every target is unhealthy, all of them are tried
+ * rather than none.
+ */
+
+import { createHash } from 'crypto';
+
+export const BALANCING_STRATEGIES = ['round-robin', 'least-latency', 'consistent-hash'];
+
+const DEFAULT_HEALTH_CHECK = {
+  enabled: true,
+  path: '/',
+  intervalMs: 10000,
+  timeoutMs: 2000,
+  unhealthyThreshold: 2,
+  healthyThreshold: 2
+};
+// How often due health checks are looked for
+const HEALTH_CHECK_TICK_MS = 1000;
+// Weight of the newest sample in the latency average
+const LATENCY_SMOOTHING = 0.2;
+
+/**
+ * The effective health check settings of a group
+ */
+export function getHealthCheck(group = {}) {
+  return { ...DEFAULT_HEALTH_CHECK, ...group.loadBalancing?.healthCheck };
+}
+
+// A number in (0, 1) derived from the caller and the target
+function hashToUnit(caller, url) {
+  const value = createHash('sha256').update(`${caller}\n${url}`).digest().readUIntBE(0, 6);
+  return (value + 1) / (2 ** 48 + 1);
+}
+
+/**
+ * Create the load balancer for all groups with targets
+ *
+ * @param {Object} options - { resolve (resolves ${ENV} and secret:// references in target URLs) }
+ */
+export function createLoadBalancer({ resolve = value => value } = {}) {
+  // Target state by group key, then by target URL (as written)
+  const groups = new Map();
+  let ticker = null;
+
+  // Target states of a group, in sync with its current targets (they change on reload)
+  function getTargets(key, group) {
+    const targets = Array.isArray(group.targets) ? group.targets : [];
+    const known = groups.get(key) || new Map();
+    const current = new Map();
+    for (const target of targets) {
+      const state = known.get(target.url) || {
+        url: target.url,
+        healthy: true,
+        failures: 0,
+        successes: 0,
+        latencyMs: null,
+        currentWeight: 0,
+        nextCheckAt: 0,
+        checking: false
+      };
+      state.weight = target.weight || 1;
+      current.set(target.url, state);
+    }
+    if (current.size > 0) {
+      groups.set(key, current);
+    } else {
+      groups.delete(key);
+    }
+    return [...current.values()];
+  }
+
+  function record(key, state, ok, latencyMs) {
+    const { unhealthyThreshold, healthyThreshold } = state.healthCheck || DEFAULT_HEALTH_CHECK;
+    if (ok) {
+      state.failures = 0;
+      state.successes++;
+      if (latencyMs !== undefined) {
+        state.latencyMs = state.latencyMs === null ? latencyMs : Math.round(state.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+      }
+      if (!state.healthy && state.successes >= healthyThreshold) {
+        state.healthy = true;
+        console.log(`✅ Upstream target ${state.url} (${key}) is healthy again`);
+      }
+    } else {
+      state.successes = 0;
+      state.failures++;
+      if (state.healthy && state.failures >= unhealthyThreshold) {
+        state.healthy = false;
+        console.warn(`⚠️  Upstream target ${state.url} (${key}) is unhealthy - taken out of rotation`);
+      }
+    }
+  }
+
+  function roundRobin(pool) {
+    // Smooth weighted round-robin - spreads a heavy target's turns instead of bunching them
+    const totalWeight = pool.reduce((total, state) => total + state.weight, 0);
+    let chosen = pool[0];
+    for (const state of pool) {
+      state.currentWeight += state.weight;
+      if (state.currentWeight > chosen.currentWeight) chosen = state;
+    }
+    chosen.currentWeight -= totalWeight;
+    return [chosen, ...pool.filter(state => state !== chosen)];
+  }
+
+  function order(pool, strategy, caller) {
+    switch (strategy) {
+      case 'least-latency':
+        // Targets without a sample yet go first, so every target gets measured
+        return [...pool].sort((a, b) => (a.latencyMs ?? 0) / a.weight - (b.latencyMs ?? 0) / b.weight);
+      case 'consistent-hash':
+        if (caller) {
+          const score = state => state.weight / -Math.log(hashToUnit(caller, state.url));
+          return [...pool].sort((a, b) => score(b) - score(a));
+        }
+        return roundRobin(pool);
+      default:
+        return roundRobin(pool);
+    }
+  }
+
+  async function check(key, state, healthCheck) {
+    state.checking = true;
+    state.healthCheck = healthCheck;
+    const startedAt = Date.now();
+    let ok = false;
+    try {
+      // WebSocket targets answer plain HTTP on the same address
+      const url = `${resolve(state.url).replace(/^ws/i, 'http').replace(/\/+$/, '')}${healthCheck.path}`;
+      const response = await fetch(url, { signal: AbortSignal.timeout(healthCheck.timeoutMs) });
+      await response.body?.cancel();
+      ok = response.status < 500;
+    } catch (error) {
+      ok = false;
+    }
+    record(key, state, ok, ok ? Date.now() - startedAt : undefined);
+    state.nextCheckAt = Date.now() + healthCheck.intervalMs;
+    state.checking = false;
+  }
+
+  return {
+    /**
+     * Order a group's targets for a request - the chosen one first, then the ones to fail over to
+     *
+     * @param {string} key - e.g. "agentId/groupId"
+     * @param {Object} group - The group (with `targets` and `loadBalancing`)
+     * @param {Object} options - { caller } for consistent-hash
+     * @returns {Array<{url, weight}>} Healthy targets in order, or every target if none is healthy; empty without targets
+     */
+    pick(key, group, { caller } = {}) {
+      const targets = getTargets(key, group);
+      if (targets.length === 0) {
+        return [];
+      }
+      const healthy = targets.filter(state => state.healthy);
+      const pool = healthy.length > 0 ? healthy : targets;
+      return order(pool, group.loadBalancing?.strategy, caller).map(state => ({ url: state.url, weight: state.weight }));
+    },
+
+    /**
+     * Report how a proxied call to a target went
+     *
+     * @param {Object} outcome - { ok, latencyMs (of a call that got a response) }
+     */
+    report(key, target, { ok, latencyMs }) {
+      const state = groups.get(key)?.get(target.url);
+      if (state) {
+        record(key, state, ok, latencyMs);
+      }
+    },
+
+    /**
+     * Run the health checks that are due
+     *
+     * @param {Array} agents - All agents
+     */
+    async checkHealth(agents) {
+      const checks = [];
+      const keys = new Set();
+      for (const agent of agents) {
+        for (const group of agent.groups || []) {
+          const healthCheck = getHealthCheck(group);
+          const key = `${agent.id}/${group.id}`;
+          keys.add(key);
+          for (const state of getTargets(key, group)) {
+            state.healthCheck = healthCheck;
+            if (healthCheck.enabled && !state.checking && state.nextCheckAt <= Date.now()) {
+              checks.push(check(key, state, healthCheck));
+            }
+          }
+        }
+      }
+      // Groups that were removed by a reload
+      for (const key of groups.keys()) {
+        if (!keys.has(key)) groups.delete(key);
+      }
+      await Promise.all(checks);
+    },
+
+    /**
+     * Check target health in the background
+     *
+     * @param {Function} getAgents - Returns the current agents (they change on reload)
+     */
+    start(getAgents) {
+      if (!ticker) {
+        ticker = setInterval(() => this.checkHealth(getAgents()), HEALTH_CHECK_TICK_MS).unref();
+      }
+    },
+
+    /**
+     * Every target's state by group, for /health - URLs as written, so no resolved secret shows
+     */
+    snapshot() {
+      return Object.fromEntries([...groups].map(([key, targets]) => [
+        key,
+        [...targets.values()].map(({ url, weight, healthy, latencyMs }) => ({ url, weight, healthy, latencyMs }))
+      ]));
+    }
+  };
+}
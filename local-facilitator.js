@@ -0,0 +1,419 @@
+/**
+ * Local x402 Facilitator
+ *
+ * Lets the gateway act as its own facilitator instead of delegating to a
+ * remote one. Implements the "exact" scheme for:
+ * - EVM networks: EIP-3009 `transferWithAuthorization` messages signed with EIP-712
+ * - Solana networks: partially signed SPL-token `TransferChecked` transactions
+ *   (the facilitator is the fee payer and co-signs on settlement)
+ *
+ * Chain access (balances, expiry, submitting transactions) goes through a
+ * pluggable chain adapter per network - see chain-adapters.js.
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { ed25519 } from '@noble/curves/ed25519';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { X402_VERSION, validatePaymentPayload } from './x402.js';
+
+// Chain IDs used in the EIP-712 domain of EIP-3009 tokens
+export const EVM_CHAIN_IDS = {
+  'ethereum': 1,
+  'sepolia': 11155111,
+  'base': 8453,
+  'base-sepolia': 84532,
+  'polygon': 137,
+  'polygon-amoy': 80002,
+  'arbitrum': 42161,
+  'optimism': 10,
+  'avalanche': 43114,
+  'avalanche-fuji': 43113
+};
+
+export const SOLANA_NETWORKS = ['solana', 'solana-devnet'];
+
+export const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+export const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111';
+const SET_COMPUTE_UNIT_LIMIT_INSTRUCTION = 2;
+const SET_COMPUTE_UNIT_PRICE_INSTRUCTION = 3;
+const TRANSFER_CHECKED_INSTRUCTION = 12;
+
+// The fee payer covers priority fees, so a payment can't ask for more than this
+export const MAX_COMPUTE_UNIT_LIMIT = 200000;
+export const MAX_COMPUTE_UNIT_PRICE = 5000000n; // micro-lamports, i.e. 5 lamports per unit
+
+/**
+ * Get the chain family of a network
+ *
+ * @param {string} network - x402 network name
+ * @returns {'evm'|'svm'|null}
+ */
+export function getNetworkKind(network) {
+  if (EVM_CHAIN_IDS[network] !== undefined) return 'evm';
+  if (SOLANA_NETWORKS.includes(network)) return 'svm';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// EVM (EIP-3009)
+// ---------------------------------------------------------------------------
+
+function hexToBytes(hex) {
+  return Buffer.from(String(hex).replace(/^0x/, ''), 'hex');
+}
+
+function keccak(data) {
+  return Buffer.from(keccak_256(data));
+}
+
+function encodeUint256(value) {
+  return hexToBytes(BigInt(value).toString(16).padStart(64, '0'));
+}
+
+function encodeAddress(address) {
+  return hexToBytes(String(address).replace(/^0x/, '').toLowerCase().padStart(64, '0'));
+}
+
+const EIP712_DOMAIN_TYPEHASH = keccak(Buffer.from(
+  'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
+));
+const TRANSFER_WITH_AUTHORIZATION_TYPEHASH = keccak(Buffer.from(
+  'TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)'
+));
+
+/**
+ * Compute the EIP-712 digest of a TransferWithAuthorization message
+ *
+ * @param {Object} authorization - { from, to, value, validAfter, validBefore, nonce }
+ * @param {Object} domain - { name, version, chainId, verifyingContract }
+ * @returns {Buffer} 32 byte digest
+ */
+export function hashTransferWithAuthorization(authorization, domain) {
+  const domainSeparator = keccak(Buffer.concat([
+    EIP712_DOMAIN_TYPEHASH,
+    keccak(Buffer.from(domain.name)),
+    keccak(Buffer.from(domain.version)),
+    encodeUint256(domain.chainId),
+    encodeAddress(domain.verifyingContract)
+  ]));
+
+  const structHash = keccak(Buffer.concat([
+    TRANSFER_WITH_AUTHORIZATION_TYPEHASH,
+    encodeAddress(authorization.from),
+    encodeAddress(authorization.to),
+    encodeUint256(authorization.value),
+    encodeUint256(authorization.validAfter),
+    encodeUint256(authorization.validBefore),
+    hexToBytes(authorization.nonce).subarray(0, 32)
+  ]));
+
+  return keccak(Buffer.concat([Buffer.from([0x19, 0x01]), domainSeparator, structHash]));
+}
+
+/**
+ * Recover the signer address of a 65 byte (r, s, v) ECDSA signature
+ *
+ * @returns {string} Lowercase 0x-prefixed address
+ */
+export function recoverEvmAddress(digest, signature) {
+  const bytes = hexToBytes(signature);
+  if (bytes.length !== 65) {
+    throw new Error('Signature must be 65 bytes');
+  }
+
+  const v = bytes[64] >= 27 ? bytes[64] - 27 : bytes[64];
+  const publicKey = secp256k1.Signature.fromCompact(bytes.subarray(0, 64))
+    .addRecoveryBit(v)
+    .recoverPublicKey(digest)
+    .toRawBytes(false);
+
+  return `0x${keccak(publicKey.subarray(1)).subarray(12).toString('hex')}`;
+}
+
+async function verifyEvmPayment(paymentPayload, requirements, adapter) {
+  const { authorization, signature } = paymentPayload.payload;
+  if (!authorization || !signature) {
+    return { isValid: false, invalidReason: 'invalid_exact_evm_payload_signature' };
+  }
+
+  const domain = {
+    name: requirements.extra?.name || 'USD Coin',
+    version: requirements.extra?.version || '2',
+    chainId: EVM_CHAIN_IDS[requirements.network],
+    verifyingContract: requirements.asset
+  };
+
+  let signer;
+  try {
+    signer = recoverEvmAddress(hashTransferWithAuthorization(authorization, domain), signature);
+  } catch (error) {
+    return { isValid: false, invalidReason: 'invalid_exact_evm_payload_signature' };
+  }
+
+  const payer = String(authorization.from).toLowerCase();
+  if (signer !== payer) {
+    return { isValid: false, invalidReason: 'invalid_exact_evm_payload_signature', payer };
+  }
+
+  if (await adapter.isAuthorizationUsed({ asset: requirements.asset, from: payer, nonce: authorization.nonce })) {
+    return { isValid: false, invalidReason: 'invalid_exact_evm_payload_authorization_nonce', payer };
+  }
+
+  const balance = await adapter.getBalance({ asset: requirements.asset, owner: payer });
+  if (balance < BigInt(authorization.value)) {
+    return { isValid: false, invalidReason: 'insufficient_funds', payer };
+  }
+
+  return { isValid: true, payer };
+}
+
+// ---------------------------------------------------------------------------
+// Solana (SPL token)
+// ---------------------------------------------------------------------------
+
+/**
+ * Derive the associated token account of an owner for a mint
+ */
+export function getAssociatedTokenAddress(owner, mint, tokenProgramId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(tokenProgramId).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+/**
+ * Decode an X-PAYMENT Solana payload into its transaction and SPL transfer
+ *
+ * @param {Object} payload - { transaction: base64 serialized VersionedTransaction }
+ * @returns {{transaction: VersionedTransaction, transfer: Object, feePayer: string, computeBudget: {unitLimit: number|null, unitPrice: BigInt|null}}}
+ * @throws {Error} With an x402 invalid reason as message
+ */
+export function decodeSolanaPayment(payload) {
+  let transaction;
+  try {
+    transaction = VersionedTransaction.deserialize(Buffer.from(payload.transaction, 'base64'));
+  } catch (error) {
+    throw new Error('invalid_exact_svm_payload_transaction');
+  }
+
+  const message = transaction.message;
+  if (message.addressTableLookups?.length > 0) {
+    throw new Error('invalid_exact_svm_payload_transaction');
+  }
+
+  const accountKeys = message.staticAccountKeys.map(key => key.toBase58());
+  const transfers = [];
+  const computeBudget = { unitLimit: null, unitPrice: null };
+
+  for (const instruction of message.compiledInstructions) {
+    const programId = accountKeys[instruction.programIdIndex];
+    if (programId === COMPUTE_BUDGET_PROGRAM_ID) {
+      // Only the unit limit and price, each at most once
+      const data = Buffer.from(instruction.data);
+      if (data[0] === SET_COMPUTE_UNIT_LIMIT_INSTRUCTION && data.length === 5 && computeBudget.unitLimit === null) {
+        computeBudget.unitLimit = data.readUInt32LE(1);
+      } else if (data[0] === SET_COMPUTE_UNIT_PRICE_INSTRUCTION && data.length === 9 && computeBudget.unitPrice === null) {
+        computeBudget.unitPrice = data.readBigUInt64LE(1);
+      } else {
+        throw new Error('invalid_exact_svm_payload_transaction_instructions');
+      }
+      continue;
+    }
+    if (programId !== TOKEN_PROGRAM_ID && programId !== TOKEN_2022_PROGRAM_ID) {
+      throw new Error('invalid_exact_svm_payload_transaction_instructions');
+    }
+
+    const data = Buffer.from(instruction.data);
+    if (data[0] !== TRANSFER_CHECKED_INSTRUCTION || data.length < 10 || instruction.accountKeyIndexes.length < 4) {
+      throw new Error('invalid_exact_svm_payload_transaction_instructions');
+    }
+
+    const [source, mint, destination, authority] = instruction.accountKeyIndexes.map(index => accountKeys[index]);
+    transfers.push({
+      programId,
+      source,
+      mint,
+      destination,
+      authority,
+      amount: data.readBigUInt64LE(1),
+      decimals: data[9]
+    });
+  }
+
+  if (transfers.length !== 1) {
+    throw new Error('invalid_exact_svm_payload_transaction_instructions');
+  }
+
+  return { transaction, transfer: transfers[0], feePayer: accountKeys[0], computeBudget };
+}
+
+function hasValidSignature(transaction, signerIndex) {
+  const signer = transaction.message.staticAccountKeys[signerIndex];
+  const signature = transaction.signatures[signerIndex];
+  if (!signature || signature.every(byte => byte === 0)) {
+    return false;
+  }
+  try {
+    return ed25519.verify(signature, transaction.message.serialize(), signer.toBytes());
+  } catch (error) {
+    return false;
+  }
+}
+
+async function verifySolanaPayment(paymentPayload, requirements, adapter) {
+  if (typeof paymentPayload.payload.transaction !== 'string') {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction' };
+  }
+
+  let decoded;
+  try {
+    decoded = decodeSolanaPayment(paymentPayload.payload);
+  } catch (error) {
+    return { isValid: false, invalidReason: error.message };
+  }
+
+  const { transaction, transfer, feePayer, computeBudget } = decoded;
+  const payer = transfer.authority;
+
+  if (computeBudget.unitLimit !== null && computeBudget.unitLimit > MAX_COMPUTE_UNIT_LIMIT) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_instructions_compute_limit_instruction_too_high', payer };
+  }
+  if (computeBudget.unitPrice !== null && computeBudget.unitPrice > MAX_COMPUTE_UNIT_PRICE) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_instructions_compute_price_instruction_too_high', payer };
+  }
+
+  // The facilitator pays the fees, but must never be the one paying the resource
+  if (adapter.feePayer && feePayer !== adapter.feePayer) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_fee_payer', payer };
+  }
+  if (payer === feePayer || transfer.source === getAssociatedTokenAddress(feePayer, transfer.mint, transfer.programId)) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_fee_payer', payer };
+  }
+
+  if (transfer.mint !== requirements.asset) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_asset_mismatch', payer };
+  }
+  // The token program rejects a TransferChecked with the wrong decimals - only on settlement
+  if (transfer.decimals !== await adapter.getMintDecimals(transfer.mint)) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_decimals_mismatch', payer };
+  }
+  if (transfer.destination !== getAssociatedTokenAddress(requirements.payTo, transfer.mint, transfer.programId)) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_recipient_mismatch', payer };
+  }
+  if (transfer.amount < BigInt(requirements.maxAmountRequired)) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_amount_mismatch', payer };
+  }
+
+  // Every signer except the fee payer (who signs on settlement) must have signed already
+  const requiredSigners = transaction.message.header.numRequiredSignatures;
+  for (let index = 1; index < requiredSigners; index++) {
+    if (!hasValidSignature(transaction, index)) {
+      return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_signature', payer };
+    }
+  }
+
+  if (!(await adapter.isBlockhashValid(transaction.message.recentBlockhash))) {
+    return { isValid: false, invalidReason: 'invalid_exact_svm_payload_transaction_expired', payer };
+  }
+
+  const balance = await adapter.getBalance({ asset: transfer.mint, owner: payer, tokenAccount: transfer.source });
+  if (balance < transfer.amount) {
+    return { isValid: false, invalidReason: 'insufficient_funds', payer };
+  }
+
+  return { isValid: true, payer };
+}
+
+// ---------------------------------------------------------------------------
+// Facilitator
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a local facilitator backed by chain adapters
+ *
+ * @param {Object} options - { adapters: { [network]: chainAdapter } }
+ * @returns {Object} Facilitator with verify, settle and supported
+ */
+export function createLocalFacilitator({ adapters = {} } = {}) {
+  async function verify(paymentPayload, requirements) {
+    const adapter = adapters[requirements.network];
+    if (!adapter) {
+      return { isValid: false, invalidReason: 'invalid_network' };
+    }
+
+    const result = validatePaymentPayload(paymentPayload, requirements);
+    if (!result.isValid) {
+      return result;
+    }
+
+    return getNetworkKind(requirements.network) === 'evm'
+      ? verifyEvmPayment(paymentPayload, requirements, adapter)
+      : verifySolanaPayment(paymentPayload, requirements, adapter);
+  }
+
+  async function settle(paymentPayload, requirements) {
+    const verification = await verify(paymentPayload, requirements);
+    if (!verification.isValid) {
+      return {
+        success: false,
+        errorReason: verification.invalidReason,
+        transaction: '',
+        network: requirements.network,
+        payer: verification.payer
+      };
+    }
+
+    const adapter = adapters[requirements.network];
+    try {
+      let result;
+      if (getNetworkKind(requirements.network) === 'evm') {
+        const { authorization, signature } = paymentPayload.payload;
+        result = await adapter.transferWithAuthorization({ asset: requirements.asset, authorization, signature });
+      } else {
+        const { transaction, transfer } = decodeSolanaPayment(paymentPayload.payload);
+        result = await adapter.sendSolanaTransaction({
+          transaction,
+          transfer: { asset: transfer.mint, from: transfer.authority, to: requirements.payTo, amount: transfer.amount }
+        });
+      }
+
+      return {
+        success: true,
+        transaction: result.transaction,
+        network: requirements.network,
+        payer: verification.payer
+      };
+    } catch (error) {
+      return {
+        success: false,
+        errorReason: 'unexpected_settle_error',
+        error: error.message,
+        transaction: '',
+        network: requirements.network,
+        payer: verification.payer
+      };
+    }
+  }
+
+  function supported() {
+    return {
+      kinds: Object.entries(adapters).map(([network, adapter]) => ({
+        x402Version: X402_VERSION,
+        scheme: 'exact',
+        network,
+        ...(adapter.feePayer && { extra: { feePayer: adapter.feePayer } })
+      }))
+    };
+  }
+
+  return {
+    name: 'local',
+    verify,
+    settle,
+    supported
+  };
+}
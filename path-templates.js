@@ -0,0 +1,173 @@
+/**
+ * Endpoint Path Templates
+ *
+ * Endpoint paths can capture parts of the request path, Express-style:
+ * - "/weather/:city"   captures one segment as `city`
+ * - "/files/*"         captures the rest of the path as `*`
+ * - "/files/*key"      captures the rest of the path as `key`
+ *
+ * Captured parameters are substituted into `{name}` placeholders of the
+ * endpoint's upstreamUrl ("/cities/{city}/forecast", "/objects/{*}").
+ * Example values for the product page come from the endpoint's
+ * `pathParameters` ({ "city": "london" }).
+ */
+
+const PARAM_SEGMENT = /^:([A-Za-z_][A-Za-z0-9_]*)$/;
+const WILDCARD_SEGMENT = /^\*([A-Za-z_][A-Za-z0-9_]*)?$/;
+const PLACEHOLDER = /\{(\*|[A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// Compiled templates by path - cleared on every agents reload (see clearPathTemplateCache)
+const compiled = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split an endpoint path into its segments
+ *
+ * @returns {Array<{type: 'static'|'param'|'wildcard', value: string}>} value is the parameter name for params and wildcards
+ */
+export function getPathSegments(path) {
+  const segments = path.split('/').slice(1);
+  return segments.map((segment, index) => {
+    const param = segment.match(PARAM_SEGMENT);
+    if (param) {
+      return { type: 'param', value: param[1] };
+    }
+    const rest = segment.match(WILDCARD_SEGMENT);
+    if (rest && index === segments.length - 1) {
+      return { type: 'wildcard', value: rest[1] || '*' };
+    }
+    return { type: 'static', value: segment };
+  });
+}
+
+/**
+ * Compile an endpoint path into a template
+ *
+ * @param {string} path - Endpoint path
+ * @returns {{params: string[], wildcard: string|null, regex: RegExp}|null} null for plain paths
+ */
+export function compilePathTemplate(path) {
+  if (compiled.has(path)) {
+    return compiled.get(path);
+  }
+
+  const params = [];
+  let wildcard = null;
+  const pattern = getPathSegments(path).map(segment => {
+    if (segment.type === 'param') {
+      params.push(segment.value);
+      return '([^/]+)';
+    }
+    if (segment.type === 'wildcard') {
+      wildcard = segment.value;
+      params.push(wildcard);
+      return '(.*)';
+    }
+    return escapeRegExp(segment.value);
+  }).join('/');
+
+  const template = params.length > 0 ? { params, wildcard, regex: new RegExp(`^/${pattern}$`) } : null;
+  compiled.set(path, template);
+  return template;
+}
+
+/**
+ * Forget every compiled template
+ * Called when the agents reload, so paths that are no longer served (or were
+ * only validated, like a rejected admin change) don't stay cached.
+ */
+export function clearPathTemplateCache() {
+  compiled.clear();
+}
+
+/**
+ * Decode captured path parameters
+ * Captures containing "." or ".." segments are rejected, so a wildcard
+ * can't be used to walk up the upstream's path.
+ *
+ * @param {string[]} names - Parameter names, in path order
+ * @param {string[]} values - Raw captured values
+ * @returns {Object|null} Decoded parameters by name, or null if a capture is rejected
+ */
+export function decodePathParameters(names, values) {
+  const params = {};
+  for (const [index, name] of names.entries()) {
+    let value = values[index];
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    if (value.split('/').some(segment => segment === '.' || segment === '..')) {
+      return null;
+    }
+    params[name] = value;
+  }
+  return params;
+}
+
+/**
+ * Match a request path against an endpoint path template
+ *
+ * @returns {Object|null} Decoded parameters by name, or null if the path doesn't match
+ */
+export function matchPathTemplate(template, requestPath) {
+  const match = template.regex.exec(requestPath);
+  return match ? decodePathParameters(template.params, match.slice(1)) : null;
+}
+
+/**
+ * Substitute captured parameters into the `{name}` placeholders of a URL
+ * Values are URL-encoded; a wildcard keeps its slashes.
+ *
+ * @param {string} url - Upstream URL template
+ * @param {string} path - Endpoint path (to tell the wildcard apart)
+ * @param {Object} params - Captured parameters
+ */
+export function substitutePathParameters(url, path, params = {}) {
+  const wildcard = compilePathTemplate(path)?.wildcard;
+  return url.replace(PLACEHOLDER, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined) {
+      return placeholder;
+    }
+    return name === wildcard
+      ? value.split('/').map(encodeURIComponent).join('/')
+      : encodeURIComponent(value);
+  });
+}
+
+/**
+ * Names of the `{name}` placeholders in a URL
+ */
+export function getPlaceholders(url) {
+  return [...url.matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Fill an endpoint's path template with its example `pathParameters`
+ * Parameters without an example are left as written ("/weather/:city").
+ */
+export function getExamplePath(endpoint) {
+  const path = endpoint.path || '';
+  const template = compilePathTemplate(path);
+  if (!template) {
+    return path;
+  }
+
+  const examples = endpoint.pathParameters || {};
+  return path.split('/').map((segment, index, segments) => {
+    const param = segment.match(PARAM_SEGMENT);
+    if (param && examples[param[1]] !== undefined) {
+      return encodeURIComponent(examples[param[1]]);
+    }
+    const rest = index === segments.length - 1 && segment.match(WILDCARD_SEGMENT);
+    if (rest && examples[rest[1] || '*'] !== undefined) {
+      return String(examples[rest[1] || '*']).split('/').map(encodeURIComponent).join('/');
+    }
+    return segment;
+  }).join('/');
+}
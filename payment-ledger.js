@@ -0,0 +1,147 @@
+/**
+ * Payment Ledger
+ *
+ * Records every accepted payment so the same payment can't be replayed -
+ * neither on the same endpoint nor on another one. Backed by a pluggable
+ * store (see store.js) so replay detection survives restarts and is shared
+ * between PM2 cluster instances.
+ *
+ * Payment Record Structure:
+ * - id: Unique payment id (EVM: network + payer + EIP-3009 nonce, Solana: transaction hash,
+ *       legacy headers: x-payment-id)
+ * - nonce: Payment nonce, if the scheme has one
+ * - resource: Endpoint path the payment was first used for
+ * - network: Payment network
+ * - payer: Payer address, if known
+ * - acceptedAt / expiresAt: Timestamps (ms)
+ * - refund: Refund decision, if the upstream failed to serve the call (see refunds.js)
+ */
+
+import { createHash } from 'crypto';
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000; // Keep records a day past expiry
+const DEFAULT_LEGACY_MAX_AGE_SECONDS = 300;
+
+function sha256(value) {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Derive the replay identity of a decoded X-PAYMENT payload
+ *
+ * @param {Object} payment - Decoded X-PAYMENT payload
+ * @param {Object} requirements - Payment requirements the payment was made for
+ * @returns {{id: string, nonce: string|null, expiresAt: number}}
+ * @throws {Error} With an x402 invalid reason as message if an authorization has no usable validBefore
+ */
+export function getPaymentIdentity(payment, requirements) {
+  const payload = payment.payload || {};
+  const timeoutMs = (requirements.maxTimeoutSeconds || 60) * 1000;
+
+  if (payload.authorization) {
+    const { from, nonce, validBefore } = payload.authorization;
+    // The record must be kept while the authorization can be replayed
+    const expiresAt = /^\d+$/.test(String(validBefore)) ? Number(validBefore) * 1000 : NaN;
+    if (!Number.isSafeInteger(expiresAt)) {
+      throw new Error('invalid_exact_evm_payload_authorization_valid_before');
+    }
+    return {
+      id: `${payment.network}:${String(from).toLowerCase()}:${nonce}`,
+      nonce,
+      expiresAt
+    };
+  }
+
+  if (typeof payload.transaction === 'string') {
+    return {
+      id: `${payment.network}:${sha256(payload.transaction)}`,
+      nonce: null,
+      expiresAt: Date.now() + timeoutMs
+    };
+  }
+
+  return {
+    id: `${payment.network}:${sha256(JSON.stringify(payload))}`,
+    nonce: null,
+    expiresAt: Date.now() + timeoutMs
+  };
+}
+
+/**
+ * Derive the replay identity of a legacy x-payment-* header payment
+ * (forwarded to x402-enabled upstreams by the wallet connector)
+ *
+ * @param {Object} headers - Incoming request headers
+ * @returns {{id: string, nonce: string|null, expiresAt: number}|null} null if no legacy payment
+ */
+export function getLegacyPaymentIdentity(headers, maxAgeSeconds = DEFAULT_LEGACY_MAX_AGE_SECONDS) {
+  const paymentId = headers['x-payment-id'];
+  if (!paymentId) {
+    return null;
+  }
+
+  const timestamp = Date.parse(headers['x-payment-timestamp'] || '');
+  const issuedAt = Number.isNaN(timestamp) ? Date.now() : timestamp;
+
+  return {
+    id: `${headers['x-payment-network'] || 'legacy'}:${paymentId}`,
+    nonce: headers['x-payment-hash'] || null,
+    expiresAt: issuedAt + maxAgeSeconds * 1000
+  };
+}
+
+/**
+ * Create a payment ledger
+ *
+ * @param {Object} options - { store, retentionMs }
+ */
+export function createPaymentLedger({ store, retentionMs = DEFAULT_RETENTION_MS }) {
+  const key = id => `payment:${id}`;
+
+  return {
+    /**
+     * Atomically record a payment as used
+     *
+     * @param {Object} record - { id, nonce, resource, network, payer, expiresAt }
+     * @returns {{accepted: boolean, reason?: string, record?: Object}}
+     */
+    async claim(record) {
+      const now = Date.now();
+      if (record.expiresAt && record.expiresAt <= now) {
+        return { accepted: false, reason: 'payment_expired' };
+      }
+
+      const entry = { ...record, acceptedAt: now };
+      const ttlMs = Math.max((record.expiresAt || now) - now, 0) + retentionMs;
+
+      if (await store.setIfAbsent(key(record.id), entry, ttlMs)) {
+        return { accepted: true, record: entry };
+      }
+      return { accepted: false, reason: 'payment_already_used', record: await store.get(key(record.id)) };
+    },
+
+    /**
+     * Forget a payment that was never settled so the payer can retry with it
+     */
+    async release(id) {
+      await store.delete(key(id));
+    },
+
+    async get(id) {
+      return store.get(key(id));
+    },
+
+    /**
+     * Attach details to a recorded payment (e.g. its refund decision)
+     */
+    async update(id, fields) {
+      const record = await store.get(key(id));
+      if (!record) return null;
+
+      const updated = { ...record, ...fields };
+      const ttlMs = Math.max((record.expiresAt || Date.now()) - Date.now(), 0) + retentionMs;
+      await store.set(key(id), updated, ttlMs);
+      return updated;
+    }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Payout Adapters
+ *
+ * Send money back to a payer (e.g. an on-chain refund). Every adapter implements:
+ * - refund({ network, asset, from, to, amount, reference }) => { status, transaction? }
+ *   status is "paid" once the transfer went out, or "pending" if it was only queued
+ *
+ * Available adapters:
+ * - manual:  Records nothing on-chain - refunds stay "pending" in the refund log
+ *            for an operator to pay out
+ * - webhook: POSTs the refund instruction to REFUND_WEBHOOK_URL (e.g. a treasury
+ *            service) which answers { status, transaction? }
+ * - local:   Transfers with the local facilitator's chain adapters (see chain-adapters.js)
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Create a payout adapter that leaves refunds for manual processing
+ */
+export function createManualPayoutAdapter() {
+  return {
+    name: 'manual',
+    async refund() {
+      return { status: 'pending' };
+    }
+  };
+}
+
+/**
+ * Create a payout adapter that hands refunds to an external service
+ *
+ * @param {Object} options - { url, secret (sent as a bearer token), timeoutMs }
+ */
+export function createWebhookPayoutAdapter({ url, secret, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  return {
+    name: 'webhook',
+    async refund(instruction) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret && { Authorization: `Bearer ${secret}` })
+        },
+        body: JSON.stringify({ type: 'refund', ...instruction }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Refund webhook responded with ${response.status}`);
+      }
+      const result = await response.json().catch(() => ({}));
+      return { status: result.status || 'pending', transaction: result.transaction };
+    }
+  };
+}
+
+/**
+ * Create a payout adapter that transfers through chain adapters
+ *
+ * @param {Object} options - { adapters: { [network]: chain adapter } }
+ */
+export function createChainPayoutAdapter({ adapters }) {
+  return {
+    name: 'local',
+    async refund({ network, asset, from, to, amount }) {
+      const adapter = adapters[network];
+      if (!adapter?.transfer) {
+        throw new Error(`No chain adapter with transfer support for network "${network}"`);
+      }
+      const { transaction } = await adapter.transfer({ asset, from, to, amount });
+      return { status: 'paid', transaction };
+    }
+  };
+}
+
+/**
+ * Create the payout adapter selected by REFUND_PAYOUT_ADAPTER
+ *
+ * @param {Object} env - Environment (usually process.env)
+ * @param {Object} options - { chainAdapters } for the "local" adapter
+ */
+export function createPayoutAdapterFromEnv(env = process.env, { chainAdapters = {} } = {}) {
+  const kind = env.REFUND_PAYOUT_ADAPTER || 'manual';
+
+  switch (kind) {
+    case 'manual':
+      return createManualPayoutAdapter();
+    case 'webhook':
+      if (!env.REFUND_WEBHOOK_URL) {
+        throw new Error('REFUND_WEBHOOK_URL is required for the webhook payout adapter');
+      }
+      return createWebhookPayoutAdapter({
+        url: env.REFUND_WEBHOOK_URL,
+        secret: env.REFUND_WEBHOOK_SECRET,
+        timeoutMs: Number(env.REFUND_WEBHOOK_TIMEOUT_MS) || undefined
+      });
+    case 'local':
+      return createChainPayoutAdapter({ adapters: chainAdapters });
+    default:
+      throw new Error(`Unknown payout adapter "${kind}" (expected manual, webhook or local)`);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Pricing Context
+ *
+ * Collects the request properties dynamic pricing rules depend on (see
+ * pricing.js): the body size, the query and who is calling.
+ *
+ * The caller is the session's wallet, else the payer the X-PAYMENT header
+ * names - the signer of an EVM authorization or the authority of a Solana
+ * transfer. Plain headers like X-WALLET-PUBKEY prove nothing and are never
+ * used. A payment only keeps a caller's price if verification confirms that
+ * payer (see the request handler in index.js).
+ */
+
+import { decodePaymentHeader } from './x402.js';
+import { decodeSolanaPayment } from './local-facilitator.js';
+
+/**
+ * Create a reader for the pricing context of requests
+ *
+ * @param {Object} options - { sessionTokens (see createSessionTokens in credits.js) }
+ * @returns {Function} (req, body?) => { bodySize, query, caller, now }
+ */
+export function createPricingContextReader({ sessionTokens }) {
+  return function getPricingContext(req, body = null) {
+    let caller = null;
+    // WebSocket handshakes can't set headers from browsers, so they may pass the token in the query
+    const sessionToken = req.headers['x-session-token'] || (req.ws ? req.query.session_token : undefined);
+    const session = sessionToken && sessionTokens.verify(sessionToken);
+    if (session) {
+      caller = session.sub;
+    } else if (req.headers['x-payment']) {
+      try {
+        const { payload = {} } = decodePaymentHeader(req.headers['x-payment']);
+        caller = payload.authorization
+          ? payload.authorization.from || null
+          : decodeSolanaPayment(payload).transfer.authority;
+      } catch (error) {
+        caller = null;
+      }
+    }
+
+    return {
+      bodySize: body ? body.length : Number(req.headers['content-length'] || 0),
+      query: req.query || {},
+      caller,
+      now: new Date()
+    };
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Dynamic Pricing Rules
+ *
+ * Computes an endpoint's `maxAmountRequired` at request time from the
+ * `rules` array of its price block. The price block's `amount` is the base
+ * price; additive rules are applied first, then multipliers, in order.
+ *
+ * Rule Types:
+ * - perKilobyte: { amount, free? } - amount per started KB of request body (after `free` KB)
+ * - query:       { param, values?: { value: amount }, perUnit?, default? } - priced by a query parameter
+ * - timeOfDay:   { from: "HH:MM", to: "HH:MM", multiplier, timezone?, days? } - e.g. peak hours
+ * - caller:      { tiers: [{ name, callers: [address], multiplier }] } - discounts/markups per caller
+ *
+ * Optional `minAmount` / `maxAmount` on the price block clamp the result.
+ * All amounts are in the asset's atomic units. A request that can't be priced
+ * (e.g. a perUnit parameter that isn't a number) throws an error with status 400.
+ */
+
+const MULTIPLIER_SCALE = 1000000n;
+
+function applyMultiplier(amount, multiplier) {
+  return amount * BigInt(Math.round(Number(multiplier) * Number(MULTIPLIER_SCALE))) / MULTIPLIER_SCALE;
+}
+
+function getLocalTime(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short'
+  }).formatToParts(now);
+  const part = type => parts.find(p => p.type === type).value;
+
+  return {
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    day: part('weekday').toLowerCase()
+  };
+}
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+function isWithinWindow(rule, now) {
+  const { minutes, day } = getLocalTime(now, rule.timezone);
+  if (rule.days && !rule.days.map(d => d.toLowerCase().slice(0, 3)).includes(day)) {
+    return false;
+  }
+
+  const from = parseClock(rule.from || '00:00');
+  const to = parseClock(rule.to || '24:00');
+  // Windows like 22:00-06:00 wrap around midnight
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+const additiveRules = {
+  perKilobyte(rule, context) {
+    const kilobytes = Math.ceil((context.bodySize || 0) / 1024);
+    const billable = Math.max(kilobytes - Number(rule.free || 0), 0);
+    return {
+      amount: BigInt(rule.amount) * BigInt(billable),
+      detail: `${billable} KB × ${rule.amount}`
+    };
+  },
+
+  query(rule, context) {
+    const value = context.query?.[rule.param];
+    if (value === undefined) {
+      return { amount: BigInt(rule.default || 0), detail: `${rule.param} not set` };
+    }
+    if (rule.values) {
+      // Own keys only - "constructor" or "__proto__" aren't prices
+      const amount = typeof value === 'string' && Object.hasOwn(rule.values, value) ? rule.values[value] : rule.default ?? 0;
+      return { amount: BigInt(amount), detail: `${rule.param}=${value}` };
+    }
+    const number = typeof value === 'string' ? Number(value) : NaN;
+    if (!Number.isFinite(number)) {
+      throw Object.assign(new Error(`Query parameter "${rule.param}" must be a number`), { status: 400 });
+    }
+    const units = Math.max(Math.ceil(number), 0);
+    return {
+      amount: BigInt(rule.perUnit || 0) * BigInt(units),
+      detail: `${rule.param}=${units} × ${rule.perUnit}`
+    };
+  }
+};
+
+const multiplierRules = {
+  timeOfDay(rule, context) {
+    const active = isWithinWindow(rule, context.now || new Date());
+    return {
+      multiplier: active ? Number(rule.multiplier) : 1,
+      detail: `${rule.from || '00:00'}-${rule.to || '24:00'} ${rule.timezone || 'UTC'}${active ? '' : ' (inactive)'}`
+    };
+  },
+
+  caller(rule, context) {
+    const caller = String(context.caller || '').toLowerCase();
+    const tier = caller && (rule.tiers || []).find(t =>
+      (t.callers || []).some(c => String(c).toLowerCase() === caller)
+    );
+    return tier
+      ? { multiplier: Number(tier.multiplier), detail: `tier ${tier.name || 'custom'}` }
+      : { multiplier: 1, detail: 'default tier' };
+  }
+};
+
+/**
+ * Check whether a price block uses dynamic pricing rules
+ */
+export function hasPricingRules(price) {
+  return Array.isArray(price?.rules) && price.rules.length > 0;
+}
+
+/**
+ * Check whether a price block prices by caller - its price then depends on who pays
+ */
+export function hasCallerRule(price) {
+  return hasPricingRules(price) && price.rules.some(rule => rule.type === 'caller');
+}
+
+/**
+ * Compute the price of a request
+ *
+ * @param {Object} price - Effective price block (amount + optional rules)
+ * @param {Object} context - { bodySize, query, caller, now }
+ * @returns {{amount: string, breakdown: Array}} Total in atomic units plus how it was computed
+ */
+export function computePrice(price, context = {}) {
+  let total = BigInt(price.amount || 0);
+  const breakdown = [{ rule: 'base', amount: total.toString() }];
+  const rules = price.rules || [];
+
+  for (const rule of rules) {
+    const apply = additiveRules[rule.type];
+    if (!apply) continue;
+
+    const { amount, detail } = apply(rule, context);
+    total += amount;
+    breakdown.push({ rule: rule.type, detail, amount: amount.toString() });
+  }
+
+  for (const rule of rules) {
+    const apply = multiplierRules[rule.type];
+    if (!apply) continue;
+
+    const { multiplier, detail } = apply(rule, context);
+    const adjusted = applyMultiplier(total, multiplier);
+    breakdown.push({ rule: rule.type, detail, multiplier, amount: (adjusted - total).toString() });
+    total = adjusted;
+  }
+
+  if (price.minAmount !== undefined && total < BigInt(price.minAmount)) {
+    breakdown.push({ rule: 'minAmount', amount: (BigInt(price.minAmount) - total).toString() });
+    total = BigInt(price.minAmount);
+  }
+  if (price.maxAmount !== undefined && total > BigInt(price.maxAmount)) {
+    breakdown.push({ rule: 'maxAmount', amount: (BigInt(price.maxAmount) - total).toString() });
+    total = BigInt(price.maxAmount);
+  }
+
+  return { amount: total.toString(), breakdown };
+}
+
+/**
+ * Describe pricing rules in plain words (for the HTML endpoint page)
+ */
+export function describePricingRule(rule) {
+  switch (rule.type) {
+    case 'perKilobyte':
+      return `+${rule.amount} per KB of request body${rule.free ? ` (first ${rule.free} KB free)` : ''}`;
+    case 'query':
+      return rule.values
+        ? `Priced by "${rule.param}": ${Object.entries(rule.values).map(([value, amount]) => `${value} = +${amount}`).join(', ')}`
+        : `+${rule.perUnit} per unit of "${rule.param}"`;
+    case 'timeOfDay':
+      return `×${rule.multiplier} between ${rule.from || '00:00'} and ${rule.to || '24:00'} ${rule.timezone || 'UTC'}${rule.days ? ` on ${rule.days.join(', ')}` : ''}`;
+    case 'caller':
+      return (rule.tiers || []).map(tier => `×${tier.multiplier} for ${tier.name || 'listed'} callers`).join(', ');
+    default:
+      return `Unknown rule "${rule.type}"`;
+  }
+}
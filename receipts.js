@@ -0,0 +1,153 @@
+/**
+ * Signed Payment Receipts
+ *
+ * After a paid call has been served, the gateway issues a receipt signed
+ * with its Ed25519 key. Receipts are compact JWS tokens (alg "EdDSA"), so
+ * accounting can verify them with any JOSE library and the public key
+ * published at /receipts/keys - or ask the gateway via /receipts/verify.
+ *
+ * Receipt Structure (JWS payload):
+ * - id: Receipt id
+ * - payer: Payer wallet address
+ * - method: How the call was paid ("x402" or "credits")
+ * - agentId / endpointId / path / httpMethod: What was called
+ * - network / asset / amount: What was paid (atomic units)
+ * - transaction: Settlement transaction hash (credits: the debit id)
+ * - upstreamStatus: HTTP status the upstream answered with
+ * - issuedAt: ISO timestamp
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify, randomUUID } from 'crypto';
+
+const RECEIPT_VERSION = 1;
+
+// PKCS#8 DER prefix of an Ed25519 private key - followed by the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Load the gateway's receipt signing key
+ *
+ * `key` may be a PEM private key or a base64 encoded 32-byte seed. Without
+ * one, a key is read from (or generated once into) `path`, so every cluster
+ * instance and restart signs with the same key.
+ *
+ * @param {Object} options - { key, path }
+ * @returns {KeyObject} Ed25519 private key
+ */
+export function loadReceiptSigningKey({ key, path }) {
+  if (key) {
+    if (key.includes('PRIVATE KEY')) {
+      return createPrivateKey(key.replace(/\\n/g, '\n'));
+    }
+    const seed = Buffer.from(key, 'base64');
+    if (seed.length !== 32) {
+      throw new Error('Receipt signing key must be a PEM private key or a base64 encoded 32-byte seed');
+    }
+    return createPrivateKey({ key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' });
+  }
+
+  try {
+    return createPrivateKey(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  mkdirSync(dirname(path), { recursive: true });
+  const { privateKey } = generateKeyPairSync('ed25519');
+  try {
+    // "wx" fails if another instance generated the key first - use theirs
+    writeFileSync(path, privateKey.export({ format: 'pem', type: 'pkcs8' }), { flag: 'wx', mode: 0o600 });
+    return privateKey;
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    return createPrivateKey(readFileSync(path, 'utf-8'));
+  }
+}
+
+/**
+ * Create a receipt issuer
+ *
+ * @param {Object} options - { privateKey, store, retentionMs (keep forever if unset) }
+ */
+export function createReceiptIssuer({ privateKey, store, retentionMs }) {
+  const publicKey = createPublicKey(privateKey);
+  const publicJwk = publicKey.export({ format: 'jwk' });
+  const keyId = createHash('sha256').update(publicJwk.x).digest('base64url').slice(0, 16);
+  const encodedHeader = base64url(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid: keyId }));
+  const key = id => `receipt:${id}`;
+
+  return {
+    keyId,
+
+    /**
+     * Public key set for independent verification (JWKS)
+     */
+    getPublicKeys() {
+      return { keys: [{ ...publicJwk, kid: keyId, alg: 'EdDSA', use: 'sig' }] };
+    },
+
+    /**
+     * Sign and store a receipt for a served, paid call
+     *
+     * @returns {Promise<{id: string, receipt: Object, token: string}>}
+     */
+    async issue(fields) {
+      const receipt = {
+        id: randomUUID(),
+        version: RECEIPT_VERSION,
+        ...fields,
+        issuedAt: new Date().toISOString()
+      };
+      const signingInput = `${encodedHeader}.${base64url(JSON.stringify(receipt))}`;
+      const token = `${signingInput}.${sign(null, Buffer.from(signingInput), privateKey).toString('base64url')}`;
+
+      await store.set(key(receipt.id), { receipt, token }, retentionMs);
+      return { id: receipt.id, receipt, token };
+    },
+
+    /**
+     * Get a stored receipt
+     *
+     * @returns {Promise<{receipt: Object, token: string}|null>}
+     */
+    async get(id) {
+      return store.get(key(id));
+    },
+
+    /**
+     * Verify a receipt token's signature and check it against the stored receipt
+     *
+     * @returns {Promise<{valid: boolean, reason?: string, receipt?: Object, recorded?: boolean}>}
+     */
+    async verify(token) {
+      const [header, payload, signature] = String(token || '').split('.');
+      if (!header || !payload || !signature) {
+        return { valid: false, reason: 'malformed_receipt' };
+      }
+
+      let receipt;
+      try {
+        const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf-8'));
+        if (alg !== 'EdDSA' || kid !== keyId) {
+          return { valid: false, reason: 'unknown_signing_key' };
+        }
+        receipt = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+      } catch (error) {
+        return { valid: false, reason: 'malformed_receipt' };
+      }
+
+      const signatureValid = verify(null, Buffer.from(`${header}.${payload}`), publicKey, Buffer.from(signature, 'base64url'));
+      if (!signatureValid) {
+        return { valid: false, reason: 'invalid_signature' };
+      }
+
+      // A valid signature proves the gateway issued it; the stored copy proves it wasn't purged
+      const stored = await store.get(key(receipt.id));
+      return { valid: true, receipt, recorded: stored?.token === token };
+    }
+  };
+}
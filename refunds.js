@@ -0,0 +1,88 @@
+/**
+ * Refund Policies and Refund Log
+ *
+ * Decides what happens to a payment when the upstream fails to serve a paid
+ * call. The policy is declared in the price block's `refund` field:
+ *
+ *   "refund": { "policy": "credit", "on": ["error", "timeout", "5xx"] }
+ *
+ * Policies:
+ * - skip:   Don't settle the payment - the payer keeps their money (default)
+ * - refund: Settle, then pay the amount back on-chain through the payout adapter
+ * - credit: Settle, then credit the amount to the payer's prepaid credits balance
+ *
+ * Triggers (`on`, default: error, timeout and 5xx):
+ * - error:   The upstream could not be reached
+ * - timeout: The upstream didn't answer in time
+ * - 5xx / 4xx: The upstream answered with an error status
+ * Failures not listed in `on` are charged like a successful call. A 4xx is
+ * usually the caller's own mistake, so it only triggers a refund when listed.
+ *
+ * Every decision is appended to a JSONL refund log:
+ * - { id, paymentId, method, policy, trigger, status, payer, agentId, endpointId, path,
+ *     network, asset, amount, transaction?, refundTransaction?, error?, at }
+ */
+
+import { createJsonlLog } from './jsonl-log.js';
+
+export const REFUND_POLICIES = ['skip', 'refund', 'credit'];
+export const REFUND_TRIGGERS = ['error', 'timeout', '5xx', '4xx'];
+const DEFAULT_REFUND_TRIGGERS = ['error', 'timeout', '5xx'];
+
+/**
+ * Get the effective refund policy of a price block
+ *
+ * @returns {{policy: string, on: string[]}}
+ */
+export function getRefundPolicy(price) {
+  const refund = price?.refund || {};
+  const policy = refund.policy || 'skip';
+  if (!REFUND_POLICIES.includes(policy)) {
+    throw new Error(`Unknown refund policy "${policy}" (expected ${REFUND_POLICIES.join(', ')})`);
+  }
+  return { policy, on: refund.on || DEFAULT_REFUND_TRIGGERS };
+}
+
+/**
+ * Classify how an upstream call failed
+ *
+ * @param {Object} proxyResult - Result of proxyToUpstream
+ * @returns {string|null} Refund trigger, or null if the upstream served the call
+ */
+export function classifyUpstreamFailure(proxyResult) {
+  if (!proxyResult.success) {
+    return proxyResult.timedOut ? 'timeout' : 'error';
+  }
+  if (proxyResult.statusCode >= 500) return '5xx';
+  if (proxyResult.statusCode >= 400) return '4xx';
+  return null;
+}
+
+/**
+ * Create an append-only refund log persisted to a JSONL file
+ *
+ * @param {Object} options - { path }
+ */
+export function createRefundLog({ path }) {
+  const log = createJsonlLog({ path });
+  return {
+    /**
+     * Append a refund decision
+     */
+    record(entry) {
+      return log.record(entry);
+    },
+
+    /**
+     * List refund decisions, newest first
+     *
+     * @param {Object} filter - { payer, status, limit }
+     */
+    list({ payer, status, limit = 100 } = {}) {
+      return log.list(entry =>
+        (!payer || String(entry.payer).toLowerCase() === String(payer).toLowerCase()) &&
+        (!status || entry.status === status),
+      limit);
+    }
+  };
+}
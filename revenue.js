@@ -0,0 +1,226 @@
+/**
+ * Revenue Split and Settlement Ledger
+ *
+ * Agents hosted for third parties declare who owns them and the gateway's
+ * fee in a `revenue` block (on the agent or a group - group fields win):
+ *
+ *   "revenue": { "owner": "acme", "ownerPayTo": { "evm": "0x...", "solana": "..." }, "feePercent": 10 }
+ *
+ * `ownerPayTo` is an address, or a map keyed by network ("base") or network
+ * kind ("evm", "solana"). Without a fee the owner is paid directly. With a fee
+ * the payer pays the gateway operator (OPERATOR_PAY_TO_EVM / OPERATOR_PAY_TO_SOLANA,
+ * else the price block's payTo) and the owner's share is recorded as owed in
+ * the settlement ledger until it is paid out.
+ *
+ * The settlement ledger keeps two append-only lists in a store (see store.js),
+ * so every instance adds to the same ledger without overwriting the others:
+ * - settlements:sales:   { id, owner, ownerPayTo, agentId, endpointId, method, network, asset,
+ *                          gross, fee, owed, direct, transaction, at }
+ * - settlements:payouts: { id, ownerPayTo, network, asset, amount, transaction, at }
+ */
+
+import { randomUUID } from 'crypto';
+import { getNetworkKind } from './local-facilitator.js';
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * Get the revenue split of an agent's group
+ *
+ * @returns {Object|null} { owner, ownerPayTo, feePercent }, or null if the gateway keeps everything
+ */
+export function getRevenueSplit(agent, group) {
+  const revenue = { ...(agent.revenue || {}), ...(group.revenue || {}) };
+  if (!revenue.ownerPayTo) {
+    return null;
+  }
+
+  const feePercent = Number(revenue.feePercent || 0);
+  if (!(feePercent >= 0 && feePercent <= 100)) {
+    throw new Error(`revenue.feePercent must be between 0 and 100, got "${revenue.feePercent}"`);
+  }
+  return { owner: revenue.owner || agent.id, ownerPayTo: revenue.ownerPayTo, feePercent };
+}
+
+/**
+ * Pick the address for a network from an address or a network/kind keyed map
+ */
+export function resolveNetworkAddress(addresses, network) {
+  if (!addresses || typeof addresses === 'string') {
+    return addresses || null;
+  }
+  const kind = getNetworkKind(network) === 'svm' ? 'solana' : getNetworkKind(network);
+  return addresses[network] || addresses[kind] || null;
+}
+
+/**
+ * Read the operator's payout addresses from environment variables
+ */
+export function parseOperatorPayTo(env = process.env) {
+  return {
+    evm: env.OPERATOR_PAY_TO_EVM,
+    solana: env.OPERATOR_PAY_TO_SOLANA
+  };
+}
+
+/**
+ * Route an accepts[] entry's payTo according to a revenue split
+ *
+ * @param {Object} requirements - Payment requirements (payTo = the price block's payTo)
+ * @param {Object} split - Result of getRevenueSplit
+ * @param {Object} operatorPayTo - Result of parseOperatorPayTo
+ * @returns {Object} Requirements with the routed payTo
+ */
+export function routePayTo(requirements, split, operatorPayTo) {
+  const ownerPayTo = resolveNetworkAddress(split.ownerPayTo, requirements.network);
+  if (!ownerPayTo) {
+    throw new Error(`No revenue.ownerPayTo address for network "${requirements.network}"`);
+  }
+  if (split.feePercent === 0) {
+    return { ...requirements, payTo: ownerPayTo };
+  }
+
+  const payTo = resolveNetworkAddress(operatorPayTo, requirements.network) || requirements.payTo;
+  if (!payTo) {
+    throw new Error(`No operator payTo address for network "${requirements.network}"`);
+  }
+  return { ...requirements, payTo };
+}
+
+/**
+ * Split a gross amount into the gateway fee and the owner's share
+ *
+ * @returns {{fee: string, owed: string}} Atomic amounts
+ */
+export function splitAmount(amount, feePercent) {
+  const gross = BigInt(amount);
+  const fee = gross * BigInt(Math.round(feePercent * 100)) / BASIS_POINTS;
+  return { fee: fee.toString(), owed: (gross - fee).toString() };
+}
+
+/**
+ * Create a settlement ledger on a store
+ *
+ * @param {Object} options - { store }
+ */
+export function createSettlementLedger({ store }) {
+  const balanceKey = (ownerPayTo, network, asset) => `${network}:${String(asset).toLowerCase()}:${ownerPayTo}`;
+
+  return {
+    /**
+     * Record the split of a paid call
+     *
+     * @param {Object} sale - { split, requirements (as paid), agentId, endpointId, method, transaction }
+     */
+    async recordSale({ split, requirements, agentId, endpointId, method, transaction }) {
+      const ownerPayTo = resolveNetworkAddress(split.ownerPayTo, requirements.network);
+      const direct = requirements.payTo === ownerPayTo;
+      const { fee, owed } = direct
+        ? { fee: '0', owed: '0' }
+        : splitAmount(requirements.maxAmountRequired, split.feePercent);
+
+      const sale = {
+        id: randomUUID(),
+        owner: split.owner,
+        ownerPayTo,
+        agentId,
+        endpointId,
+        method,
+        network: requirements.network,
+        asset: requirements.asset,
+        gross: String(requirements.maxAmountRequired),
+        fee,
+        owed,
+        direct,
+        transaction,
+        at: new Date().toISOString()
+      };
+      await store.append('settlements:sales', sale);
+      return sale;
+    },
+
+    /**
+     * Record a payout made to an owner
+     */
+    async recordPayout({ ownerPayTo, network, asset, amount, transaction }) {
+      const payout = {
+        id: randomUUID(),
+        ownerPayTo,
+        network,
+        asset,
+        amount: String(amount),
+        transaction: transaction || null,
+        at: new Date().toISOString()
+      };
+      await store.append('settlements:payouts', payout);
+      return payout;
+    },
+
+    /**
+     * Owed, paid out and outstanding amounts per owner address and asset
+     */
+    async getReport() {
+      const balances = {};
+
+      for (const sale of await store.list('settlements:sales')) {
+        const key = balanceKey(sale.ownerPayTo, sale.network, sale.asset);
+        const entry = balances[key] || {
+          owner: sale.owner,
+          ownerPayTo: sale.ownerPayTo,
+          network: sale.network,
+          asset: sale.asset,
+          agents: [],
+          sales: 0,
+          gross: '0',
+          fees: '0',
+          owed: '0',
+          paidOut: '0'
+        };
+        entry.sales++;
+        entry.gross = (BigInt(entry.gross) + BigInt(sale.gross)).toString();
+        entry.fees = (BigInt(entry.fees) + BigInt(sale.fee)).toString();
+        entry.owed = (BigInt(entry.owed) + BigInt(sale.owed)).toString();
+        if (!entry.agents.includes(sale.agentId)) entry.agents.push(sale.agentId);
+        balances[key] = entry;
+      }
+
+      for (const payout of await store.list('settlements:payouts')) {
+        const entry = balances[balanceKey(payout.ownerPayTo, payout.network, payout.asset)];
+        if (entry) {
+          entry.paidOut = (BigInt(entry.paidOut) + BigInt(payout.amount)).toString();
+        }
+      }
+
+      return Object.values(balances).map(entry => ({
+        ...entry,
+        outstanding: (BigInt(entry.owed) - BigInt(entry.paidOut)).toString()
+      }));
+    },
+
+    /**
+     * Batch payout instructions for every outstanding balance
+     */
+    async getPayoutInstructions() {
+      return (await this.getReport())
+        .filter(entry => BigInt(entry.outstanding) > 0n)
+        .map(entry => ({
+          owner: entry.owner,
+          network: entry.network,
+          asset: entry.asset,
+          to: entry.ownerPayTo,
+          amount: entry.outstanding
+        }));
+    }
+  };
+}
+
+/**
+ * Format rows of flat objects as CSV
+ */
+export function toCsv(rows, columns) {
+  const escape = value => {
+    const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
@@ -0,0 +1,121 @@
+/**
+ * Route Index
+ *
+ * Compiled lookup of endpoints by request path, rebuilt whenever the agents
+ * change so a request never walks every agent, group and endpoint:
+ * - Plain paths live in a Map - one lookup
+ * - Templated paths ("/weather/:city", "/files/*") live in a segment tree,
+ *   walked once per request segment
+ *
+ * Precedence: a plain path wins over any template; within templates a static
+ * segment wins over `:param`, which wins over a `*` wildcard. If two endpoints
+ * share the same path, the first one defined wins (and lint reports it).
+ *
+ * Run `bun run bench:routes` to compare lookups against a linear scan.
+ */
+
+import { compilePathTemplate, getPathSegments, decodePathParameters } from './path-templates.js';
+
+function createNode() {
+  return { children: new Map(), param: null, wildcard: null, route: null };
+}
+
+function insert(root, route) {
+  let node = root;
+  for (const segment of getPathSegments(route.endpoint.path)) {
+    if (segment.type === 'wildcard') {
+      node.wildcard = node.wildcard || route;
+      return;
+    }
+    if (segment.type === 'param') {
+      node.param = node.param || createNode();
+      node = node.param;
+    } else {
+      if (!node.children.has(segment.value)) {
+        node.children.set(segment.value, createNode());
+      }
+      node = node.children.get(segment.value);
+    }
+  }
+  node.route = node.route || route;
+}
+
+// Depth-first, most specific branch first; captured holds the raw values of the current branch
+function find(node, segments, index, captured) {
+  if (index === segments.length) {
+    return node.route ? { route: node.route, captured } : null;
+  }
+
+  const segment = segments[index];
+  const child = node.children.get(segment);
+  if (child) {
+    const match = find(child, segments, index + 1, captured);
+    if (match) return match;
+  }
+  if (node.param && segment !== '') {
+    const match = find(node.param, segments, index + 1, [...captured, segment]);
+    if (match) return match;
+  }
+  if (node.wildcard) {
+    return { route: node.wildcard, captured: [...captured, segments.slice(index).join('/')] };
+  }
+  return null;
+}
+
+/**
+ * Build a route index over a list of agents
+ *
+ * @param {Array} agents - Agents with groups and endpoints
+ * @returns {{lookup: Function, paths: string[], size: number}}
+ */
+export function createRouteIndex(agents) {
+  const exact = new Map();
+  const root = createNode();
+  const paths = [];
+
+  for (const agent of agents) {
+    for (const group of (agent.groups || [])) {
+      for (const endpoint of (group.endpoints || [])) {
+        if (typeof endpoint.path !== 'string') continue;
+        paths.push(endpoint.path);
+
+        const template = compilePathTemplate(endpoint.path);
+        if (!template) {
+          if (!exact.has(endpoint.path)) {
+            exact.set(endpoint.path, { agent, group, endpoint, params: {} });
+          }
+          continue;
+        }
+        insert(root, { agent, group, endpoint, names: template.params });
+      }
+    }
+  }
+
+  return {
+    paths,
+    size: paths.length,
+
+    /**
+     * Find the endpoint serving a request path
+     *
+     * @returns {{agent, group, endpoint, params: Object}|null}
+     */
+    lookup(path) {
+      const match = exact.get(path);
+      if (match) {
+        return match;
+      }
+
+      const found = path.startsWith('/') ? find(root, path.split('/').slice(1), 0, []) : null;
+      if (!found) {
+        return null;
+      }
+      const params = decodePathParameters(found.route.names, found.captured);
+      if (!params) {
+        return null;
+      }
+      const { agent, group, endpoint } = found.route;
+      return { agent, group, endpoint, params };
+    }
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Configuration References and Secret Providers
+ *
+ * Group `baseUrl` and `headers` and endpoint `upstreamUrl` can reference
+ * values that are kept out of agents.json:
+ * - ${NAME}        the environment variable NAME, if AGENTS_ENV_ALLOWLIST allows it
+ * - secret://name  the secret `name` from the secret provider
+ *
+ *   { "baseUrl": "${WEATHER_API_URL}", "headers": { "X-Api-Key": "secret://weather-key" } }
+ *
+ * References are resolved only when a request is proxied. The loaded agents
+ * keep the references, so product pages, /agents and the admin API never
+ * see a resolved value - and redact() masks resolved values in error
+ * responses and logs.
+ *
+ * Agents can come from a directory, a remote registry or the admin API, so
+ * ${NAME} only reads variables meant for them: AGENTS_ENV_ALLOWLIST is a
+ * comma-separated list of names, where a trailing * matches a prefix
+ * (default AGENT_*). The gateway's own settings - SESSION_SECRET,
+ * ADMIN_TOKEN, signing and fee payer keys - stay out of reach.
+ *
+ * Secret providers implement:
+ * - get(name) => string|undefined
+ * - refresh() - forget cached values (called whenever the agents reload)
+ *
+ * Available providers:
+ * - env:  secret://weather-key reads the SECRET_WEATHER_KEY environment variable
+ * - file: SECRETS_PATH is either a directory with one file per secret (Docker
+ *         and Kubernetes secret mounts) or a JSON/YAML file mapping names to values
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import YAML from 'yaml';
+
+const REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}|secret:\/\/([A-Za-z0-9_][A-Za-z0-9_.-]*)/g;
+// Resolved values shorter than this aren't masked - they would mask half of every message
+const MIN_REDACTED_LENGTH = 4;
+const DEFAULT_ENV_ALLOWLIST = 'AGENT_*';
+
+/**
+ * Create a secret provider that reads SECRET_<NAME> environment variables
+ */
+export function createEnvSecretProvider({ env = process.env } = {}) {
+  return {
+    name: 'env',
+    get(name) {
+      return env[`SECRET_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    },
+    refresh() {}
+  };
+}
+
+/**
+ * Create a secret provider that reads secrets from disk
+ *
+ * @param {Object} options - { path } of a secrets directory or a JSON/YAML file
+ */
+export function createFileSecretProvider({ path }) {
+  if (!path) {
+    throw new Error('The file secret provider needs SECRETS_PATH');
+  }
+  const cache = new Map();
+  let values = null;
+
+  function readValues() {
+    if (!values) {
+      const content = readFileSync(path, 'utf-8');
+      values = /\.ya?ml$/i.test(path) ? YAML.parse(content) : JSON.parse(content);
+    }
+    return values || {};
+  }
+
+  return {
+    name: 'file',
+    get(name) {
+      if (cache.has(name)) {
+        return cache.get(name);
+      }
+
+      let value;
+      if (statSync(path).isDirectory()) {
+        try {
+          // Mounted secrets usually end with a newline
+          value = readFileSync(join(path, name), 'utf-8').replace(/\r?\n$/, '');
+        } catch (error) {
+          value = undefined;
+        }
+      } else {
+        const stored = readValues()[name];
+        value = stored === undefined || stored === null ? undefined : String(stored);
+      }
+      cache.set(name, value);
+      return value;
+    },
+    refresh() {
+      cache.clear();
+      values = null;
+    }
+  };
+}
+
+/**
+ * Create a secret provider by name
+ *
+ * @param {string} kind - "env" or "file"
+ * @param {Object} options - { path } for file
+ */
+export function createSecretProvider(kind = 'env', options = {}) {
+  switch (kind) {
+    case 'env':
+      return createEnvSecretProvider(options);
+    case 'file':
+      return createFileSecretProvider(options);
+    default:
+      throw new Error(`Unknown secret provider "${kind}" (expected env or file)`);
+  }
+}
+
+/**
+ * Parse an environment variable allowlist ("AGENT_*,WEATHER_API_URL")
+ *
+ * @returns {Function} Predicate telling whether a variable name is allowed
+ */
+export function parseEnvAllowlist(value = DEFAULT_ENV_ALLOWLIST) {
+  const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+  return name => entries.some(entry => entry.endsWith('*')
+    ? name.startsWith(entry.slice(0, -1))
+    : name === entry);
+}
+
+/**
+ * Create a resolver for ${NAME} and secret://name references
+ *
+ * @param {Object} options - { provider, env, allowlist (default: AGENTS_ENV_ALLOWLIST or AGENT_*) }
+ */
+export function createReferenceResolver({ provider, env = process.env, allowlist = env.AGENTS_ENV_ALLOWLIST || DEFAULT_ENV_ALLOWLIST }) {
+  // Resolved value -> reference, for redact()
+  const resolvedValues = new Map();
+  const isAllowed = parseEnvAllowlist(allowlist);
+
+  function lookup(reference, variable, secret) {
+    if (variable && !isAllowed(variable)) {
+      throw Object.assign(new Error(`${reference} is not allowed - AGENTS_ENV_ALLOWLIST is "${allowlist}"`), { reference });
+    }
+    const value = variable ? env[variable] : provider.get(secret);
+    if (value === undefined) {
+      throw Object.assign(new Error(variable
+        ? `${reference} is not set`
+        : `${reference} is not known to the ${provider.name} secret provider`), { reference });
+    }
+    if (value.length >= MIN_REDACTED_LENGTH) {
+      resolvedValues.set(value, reference);
+    }
+    return value;
+  }
+
+  return {
+    /**
+     * Replace every reference in a string with its value
+     *
+     * @throws {Error} With `reference` if a reference can't be resolved
+     */
+    resolve(value) {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      return value.replace(REFERENCE, (reference, variable, secret) => lookup(reference, variable, secret));
+    },
+
+    /**
+     * Resolve every value of a headers object
+     */
+    resolveHeaders(headers = {}) {
+      return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, this.resolve(value)]));
+    },
+
+    /**
+     * Problems with the references in a string, without resolving anything
+     * that isn't needed to tell
+     *
+     * @returns {string[]} One message per unresolvable or malformed reference
+     */
+    check(value) {
+      if (typeof value !== 'string') {
+        return [];
+      }
+      const problems = [];
+      for (const [reference, variable, secret] of value.matchAll(REFERENCE)) {
+        try {
+          lookup(reference, variable, secret);
+        } catch (error) {
+          problems.push(error.message);
+        }
+      }
+      const leftover = value.replace(REFERENCE, '');
+      if (leftover.includes('${')) {
+        problems.push(`malformed reference in "${value}" - use \${NAME} with letters, digits and underscores`);
+      }
+      return problems;
+    },
+
+    /**
+     * Mask every value resolved so far with the reference it came from
+     */
+    redact(text) {
+      if (typeof text !== 'string' || resolvedValues.size === 0) {
+        return text;
+      }
+      const values = [...resolvedValues.keys()].sort((a, b) => b.length - a.length);
+      return values.reduce((redacted, value) => redacted.split(value).join(resolvedValues.get(value)), text);
+    }
+  };
+}
@@ -0,0 +1,273 @@
+/**
+ * Pluggable Key-Value Stores
+ *
+ * Small async key-value stores used for gateway state that must survive
+ * restarts and be shared between PM2 cluster instances.
+ *
+ * Every store implements:
+ * - get(key) => value | null
+ * - set(key, value, ttlMs?) => void
+ * - setIfAbsent(key, value, ttlMs?) => boolean (true if the key was written - atomic)
+ * - delete(key) => void
+ * - increment(key, amount, { min, ttlMs }) => string | null (the new value - atomic; integers
+ *   of any size as decimal strings. null, and nothing changes, if the result would drop below min)
+ * - append(key, value) => void (adds to the end of a list - atomic)
+ * - list(key) => value[]
+ *
+ * Values are JSON-serializable objects. Available stores:
+ * - memory: Process-local Map (not shared between instances), swept for expired keys
+ * - sqlite: SQLite file (bun:sqlite, or node:sqlite on Node) - shared on one host
+ * - redis: Any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly) - shared everywhere
+ */
+
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory store
+ * Expired keys are dropped when read and by a periodic sweep, so keys that
+ * are never read again (most payment ledger entries) don't pile up.
+ *
+ * @param {Object} options - { sweepIntervalMs } (0 disables the periodic sweep)
+ */
+export function createMemoryStore({ sweepIntervalMs = MEMORY_SWEEP_INTERVAL_MS } = {}) {
+  const entries = new Map();
+  const lists = new Map();
+
+  function sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  if (sweepIntervalMs > 0) {
+    setInterval(sweep, sweepIntervalMs).unref();
+  }
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (read(key) !== null) return false;
+      entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+      return true;
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async increment(key, amount, { min = null, ttlMs } = {}) {
+      const value = BigInt(read(key) ?? 0) + BigInt(amount);
+      if (min !== null && value < BigInt(min)) return null;
+      const expiresAt = ttlMs ? Date.now() + ttlMs : entries.get(key)?.expiresAt ?? null;
+      entries.set(key, { value: value.toString(), expiresAt });
+      return value.toString();
+    },
+    async append(key, value) {
+      if (!lists.has(key)) lists.set(key, []);
+      lists.get(key).push(value);
+    },
+    async list(key) {
+      return [...(lists.get(key) || [])];
+    },
+
+    /**
+     * Drop every expired key now
+     *
+     * @returns {number} How many keys were dropped
+     */
+    sweep
+  };
+}
+
+async function openSqliteDatabase(path) {
+  try {
+    const { Database } = await import('bun:sqlite');
+    return new Database(path, { create: true });
+  } catch (error) {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(path);
+  }
+}
+
+/**
+ * Create a SQLite backed store
+ * WAL mode lets several processes on the same host share the file.
+ *
+ * @param {Object} options - { path, table }
+ */
+export async function createSqliteStore({ path, table = 'kv' }) {
+  mkdirSync(dirname(path), { recursive: true });
+  const db = await openSqliteDatabase(path);
+
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA busy_timeout = 5000');
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)`);
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table}_lists (id INTEGER PRIMARY KEY AUTOINCREMENT, key TEXT NOT NULL, value TEXT NOT NULL)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS ${table}_lists_key ON ${table}_lists (key)`);
+
+  const selectStatement = db.prepare(`SELECT value, expires_at FROM ${table} WHERE key = ?`);
+  const upsertStatement = db.prepare(`INSERT INTO ${table} (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`);
+  const insertStatement = db.prepare(`INSERT INTO ${table} (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT(key) DO NOTHING`);
+  const deleteStatement = db.prepare(`DELETE FROM ${table} WHERE key = ?`);
+  const purgeStatement = db.prepare(`DELETE FROM ${table} WHERE key = ? AND expires_at IS NOT NULL AND expires_at <= ?`);
+  const appendStatement = db.prepare(`INSERT INTO ${table}_lists (key, value) VALUES (?, ?)`);
+  const listStatement = db.prepare(`SELECT value FROM ${table}_lists WHERE key = ? ORDER BY id`);
+
+  const expiresAt = ttlMs => ttlMs ? Date.now() + ttlMs : null;
+
+  return {
+    async get(key) {
+      const row = selectStatement.get(key);
+      if (!row) return null;
+      if (row.expires_at && row.expires_at <= Date.now()) {
+        deleteStatement.run(key);
+        return null;
+      }
+      return JSON.parse(row.value);
+    },
+    async set(key, value, ttlMs) {
+      upsertStatement.run(key, JSON.stringify(value), expiresAt(ttlMs));
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      purgeStatement.run(key, Date.now());
+      const result = insertStatement.run(key, JSON.stringify(value), expiresAt(ttlMs));
+      return Number(result.changes) === 1;
+    },
+    async delete(key) {
+      deleteStatement.run(key);
+    },
+    async increment(key, amount, { min = null, ttlMs } = {}) {
+      // IMMEDIATE takes the write lock up front, so no other process reads the old value in between
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        purgeStatement.run(key, Date.now());
+        const row = selectStatement.get(key);
+        const value = BigInt(row ? JSON.parse(row.value) : 0) + BigInt(amount);
+        if (min !== null && value < BigInt(min)) {
+          db.exec('ROLLBACK');
+          return null;
+        }
+        upsertStatement.run(key, JSON.stringify(value.toString()), ttlMs ? expiresAt(ttlMs) : row?.expires_at ?? null);
+        db.exec('COMMIT');
+        return value.toString();
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    async append(key, value) {
+      appendStatement.run(key, JSON.stringify(value));
+    },
+    async list(key) {
+      return listStatement.all(key).map(row => JSON.parse(row.value));
+    }
+  };
+}
+
+/**
+ * Create a store on a Redis-compatible server
+ *
+ * @param {Object} options - { url, prefix }
+ */
+export async function createRedisStore({ url, prefix = 'x402:' }) {
+  const { default: Redis } = await import('ioredis');
+  const client = new Redis(url);
+  // WATCH belongs to a connection - increments get their own, one at a time per process
+  const transactions = client.duplicate();
+  let pending = Promise.resolve();
+  const exclusive = task => {
+    const run = pending.then(task, task);
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async get(key) {
+      const value = await client.get(prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs);
+      } else {
+        await client.set(prefix + key, JSON.stringify(value));
+      }
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const result = ttlMs
+        ? await client.set(prefix + key, JSON.stringify(value), 'PX', ttlMs, 'NX')
+        : await client.set(prefix + key, JSON.stringify(value), 'NX');
+      return result === 'OK';
+    },
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+    increment(key, amount, { min = null, ttlMs } = {}) {
+      // Optimistic transaction - retried if another process changed the key after WATCH
+      return exclusive(async () => {
+        for (;;) {
+          await transactions.watch(prefix + key);
+          const current = await transactions.get(prefix + key);
+          const value = BigInt(current === null ? 0 : JSON.parse(current)) + BigInt(amount);
+          if (min !== null && value < BigInt(min)) {
+            await transactions.unwatch();
+            return null;
+          }
+          const written = ttlMs
+            ? transactions.multi().set(prefix + key, JSON.stringify(value.toString()), 'PX', ttlMs)
+            : transactions.multi().set(prefix + key, JSON.stringify(value.toString()), 'KEEPTTL');
+          if (await written.exec()) {
+            return value.toString();
+          }
+        }
+      });
+    },
+    async append(key, value) {
+      await client.rpush(prefix + key, JSON.stringify(value));
+    },
+    async list(key) {
+      return (await client.lrange(prefix + key, 0, -1)).map(value => JSON.parse(value));
+    }
+  };
+}
+
+/**
+ * Create a store by name
+ *
+ * @param {string} kind - "memory", "sqlite" or "redis"
+ * @param {Object} options - { path, table } for sqlite, { url, prefix } for redis
+ */
+export async function createStore(kind = 'memory', options = {}) {
+  switch (kind) {
+    case 'memory':
+      return createMemoryStore();
+    case 'sqlite':
+      return createSqliteStore(options);
+    case 'redis':
+      return createRedisStore(options);
+    default:
+      throw new Error(`Unknown store "${kind}" (expected memory, sqlite or redis)`);
+  }
+}
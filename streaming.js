@@ -0,0 +1,174 @@
+/**
+ * Streamed Responses
+ *
+ * Upstream bodies that aren't wrapped in the JSON envelope - Server-Sent
+ * Events, chunked transfers, files - are piped to the client as they arrive,
+ * with backpressure: a slow client slows the upstream read down instead of
+ * filling the gateway's memory.
+ *
+ * A stream meter sits in that pipe and counts the units each chunk carries:
+ * - event: complete SSE events (comment-only blocks like ": keep-alive" are free)
+ * - chunk: every chunk the upstream flushes
+ * - kb:    every started kilobyte
+ *
+ * Metering hooks see every chunk before the client does, and can stop the
+ * stream (e.g. when the caller's credits run out):
+ * - hook({ units, bytes, totalUnits, totalBytes }) => { stop: reason } | undefined (may be async)
+ */
+
+import { Transform } from 'stream';
+
+export const STREAM_UNITS = ['event', 'chunk', 'kb'];
+
+const NEWLINE = 0x0a;
+const CARRIAGE_RETURN = 0x0d;
+const COLON = 0x3a;
+
+/**
+ * Whether a content type is an SSE stream
+ */
+export function isEventStream(contentType) {
+  return /^text\/event-stream\b/i.test(contentType || '');
+}
+
+// Finds where SSE blocks end across chunk boundaries - a block ends with a blank line,
+// and is an event unless all its lines are comments
+function createEventSplitter() {
+  let lineLength = 0;
+  let commentLine = false;
+  let pendingBlock = false;
+  let pendingEvent = false;
+
+  // [offset just past the block, 1 for an event or 0 for a comment block] for each block ending in the chunk
+  return chunk => {
+    const ends = [];
+    for (let offset = 0; offset < chunk.length; offset++) {
+      const byte = chunk[offset];
+      if (byte === NEWLINE) {
+        if (lineLength === 0) {
+          if (pendingBlock) ends.push([offset + 1, pendingEvent ? 1 : 0]);
+          pendingBlock = false;
+          pendingEvent = false;
+        } else {
+          pendingBlock = true;
+          if (!commentLine) pendingEvent = true;
+        }
+        lineLength = 0;
+        commentLine = false;
+      } else if (byte !== CARRIAGE_RETURN) {
+        if (lineLength === 0 && byte === COLON) commentLine = true;
+        lineLength++;
+      }
+    }
+    return ends;
+  };
+}
+
+/**
+ * Create a transform stream that meters the chunks passing through it
+ * Emits "stop" (with the hook's reason) when a hook stops the stream - the
+ * chunk that triggered it is not delivered, `trailer` is, and the stream ends.
+ * With the event unit, chunks are metered and delivered block by block: a
+ * chunk carrying several events can be cut between two of them, and when there
+ * are hooks the start of an event waits for the rest of it (SSE clients only
+ * act on whole events).
+ *
+ * @param {Object} options - { unit, hooks, trailer (reason => Buffer|string|null) }
+ */
+export function createStreamMeter({ unit = 'chunk', hooks = [], trailer = () => null }) {
+  const findEventEnds = unit === 'event' ? createEventSplitter() : null;
+  let totalUnits = 0;
+  let totalBytes = 0;
+  let stopped = false;
+  // The start of an event whose end hasn't arrived yet
+  let partial = Buffer.alloc(0);
+
+  // [piece, units] pairs to meter - whole SSE blocks, else the chunk itself
+  function measure(chunk) {
+    if (findEventEnds) {
+      const data = Buffer.concat([partial, chunk]);
+      const pieces = [];
+      let start = 0;
+      for (const [end, units] of findEventEnds(chunk)) {
+        pieces.push([data.subarray(start, partial.length + end), units]);
+        start = partial.length + end;
+      }
+      partial = data.subarray(start);
+      // Nothing can stop an unmetered stream, so the start of an event needn't wait
+      if (hooks.length === 0 && partial.length > 0) {
+        pieces.push([partial, 0]);
+        partial = Buffer.alloc(0);
+      }
+      return pieces;
+    }
+    if (unit === 'kb') return [[chunk, Math.ceil((totalBytes + chunk.length) / 1024) - Math.ceil(totalBytes / 1024)]];
+    return [[chunk, 1]];
+  }
+
+  const meter = new Transform({
+    async transform(chunk, encoding, callback) {
+      if (stopped) {
+        return callback();
+      }
+
+      try {
+        for (const [piece, units] of measure(chunk)) {
+          const usage = { units, bytes: piece.length, totalUnits: totalUnits + units, totalBytes: totalBytes + piece.length };
+          for (const hook of hooks) {
+            const result = await hook(usage);
+            if (result?.stop) {
+              stopped = true;
+              meter.emit('stop', result.stop);
+              const last = trailer(result.stop);
+              if (last) this.push(last);
+              this.push(null);
+              return callback();
+            }
+          }
+          totalUnits = usage.totalUnits;
+          totalBytes = usage.totalBytes;
+          this.push(piece);
+        }
+      } catch (error) {
+        return callback(error);
+      }
+      callback();
+    },
+
+    // An unfinished last event is passed on as it is, unmetered
+    flush(callback) {
+      if (!stopped && partial.length > 0) {
+        totalBytes += partial.length;
+        this.push(partial);
+      }
+      callback();
+    }
+  });
+
+  /**
+   * Units and bytes delivered so far
+   */
+  meter.totals = () => ({ unit, units: totalUnits, bytes: totalBytes });
+  return meter;
+}
+
+/**
+ * Create a pass-through stream that calls `onIdle` when no chunk arrives for `ms`
+ */
+export function createIdleTimeout(ms, onIdle) {
+  let timer = setTimeout(onIdle, ms);
+  const clear = () => clearTimeout(timer);
+  const idle = new Transform({
+    transform(chunk, encoding, callback) {
+      clear();
+      timer = setTimeout(onIdle, ms);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      clear();
+      callback();
+    }
+  });
+  idle.on('close', clear);
+  return idle;
+}
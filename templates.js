@@ -4,6 +4,29 @@
  * Generates beautiful product description pages for endpoints
  */
 
+import { findAsset, formatAtomicAmount } from './assets.js';
+import { compilePathTemplate, getExamplePath } from './path-templates.js';
+
+/**
+ * Helper function to escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Helper function to embed a value in an inline <script> as a JavaScript literal
+ * "<" is escaped too, so a value can't close the script element
+ */
+function toScriptValue(value) {
+  return JSON.stringify(value ?? null).replace(/</g, '\\u003c');
+}
+
 /**
  * Helper function to format method(s) as string
  */
@@ -36,8 +59,7 @@ function getPrimaryMethod(method) {
  * Auto-generate example request URL from endpoint path and parameters
  * This ensures consistency and prevents manual URL errors
  */
-function generateExampleRequest(endpoint) {
-  const path = endpoint.path || '';
+function generateExampleRequest(endpoint, path = getExamplePath(endpoint)) {
   const parameters = endpoint.parameters || '';
   
   // If no parameters, just return the path
@@ -52,11 +74,182 @@ function generateExampleRequest(endpoint) {
   return `${path}${queryString}`;
 }
 
+/**
+ * Helper function to turn the gateway's http(s) URL into the ws(s) URL WebSocket clients connect to
+ */
+function toWebSocketBaseUrl(baseUrl) {
+  return baseUrl.replace(/^http/, 'ws');
+}
+
+/**
+ * Helper function to generate the example request card
+ * WebSocket endpoints get websocat and browser WebSocket examples instead of cURL and fetch
+ */
+function generateExampleRequestCard(endpoint, baseUrl, requestPath) {
+  // The request path comes from the client - escaped wherever it lands in the page
+  const exampleRequest = escapeHtml(generateExampleRequest(endpoint, requestPath));
+  
+  if (endpoint.protocol === 'ws') {
+    const url = `${toWebSocketBaseUrl(baseUrl)}${exampleRequest}`;
+    return `
+        <div class="content-card">
+            <h2>📝 Example Connection</h2>
+            <div class="code-block-header">
+                <span class="code-block-title">websocat</span>
+                <button class="copy-btn" data-copy-target="websocat-example">Copy</button>
+            </div>
+            <div class="code-wrapper">
+                <pre id="websocat-example">websocat \\
+  -H "X-SESSION-TOKEN: &lt;token from /credits/topup&gt;" \\
+  "${url}"</pre>
+            </div>
+            
+            <div class="code-block-header" style="margin-top: 20px;">
+                <span class="code-block-title">JavaScript</span>
+                <button class="copy-btn" data-copy-target="js-example">Copy</button>
+            </div>
+            <div class="code-wrapper">
+                <pre id="js-example">// Browsers can't set headers on a WebSocket - the session token goes in the query
+const socket = new WebSocket('${url}${exampleRequest.includes('?') ? '&' : '?'}session_token=' + encodeURIComponent(token));
+socket.addEventListener('message', event => console.log(event.data));
+socket.addEventListener('open', () => socket.send('hello'));</pre>
+            </div>
+        </div>`;
+  }
+  
+  return `
+        <div class="content-card">
+            <h2>📝 Example Request</h2>
+            <div class="code-block-header">
+                <span class="code-block-title">cURL</span>
+                <button class="copy-btn" data-copy-target="curl-example">Copy</button>
+            </div>
+            <div class="code-wrapper">
+                <pre id="curl-example">curl -X ${getPrimaryMethod(endpoint.method)} \\
+  -H "Accept: application/json" \\
+  "${baseUrl}${exampleRequest}"</pre>
+            </div>
+            
+            <div class="code-block-header" style="margin-top: 20px;">
+                <span class="code-block-title">JavaScript</span>
+                <button class="copy-btn" data-copy-target="js-example">Copy</button>
+            </div>
+            <div class="code-wrapper">
+                <pre id="js-example">const response = await fetch('${baseUrl}${exampleRequest}', {
+  method: '${getPrimaryMethod(endpoint.method)}',
+  headers: {
+    'Accept': 'application/json'
+  }
+});
+const data = await response.json();</pre>
+            </div>
+        </div>`;
+}
+
+/**
+ * Helper function to format an accepts[] entry's amount with the asset's symbol
+ */
+function formatPaymentAmount(requirements) {
+  const asset = findAsset(requirements.network, requirements.asset);
+  return asset
+    ? `${formatAtomicAmount(requirements.maxAmountRequired, asset.decimals)} ${asset.symbol}`
+    : `${requirements.maxAmountRequired} (atomic units)`;
+}
+
+/**
+ * Helper function to generate the pricing card for endpoints priced at the gateway
+ * Lists every accepted payment option; dynamic prices also show the rules and
+ * the breakdown quoted for the example request (in units of the first option)
+ */
+function generatePricingCard(accepts, pricingRules) {
+  if (accepts.length === 0) {
+    return '';
+  }
+  
+  const breakdown = accepts[0].extra?.pricing?.breakdown || [];
+  
+  return `
+        <div class="content-card">
+            <h2>💰 Pricing</h2>
+            <p style="color: #666; margin-bottom: 10px;">${breakdown.length > 0 ? 'Example price' : 'Price'} - pay with any of:</p>
+            <table>
+                <thead>
+                    <tr><th>Network</th><th>Amount</th><th>Asset</th></tr>
+                </thead>
+                <tbody>
+                    ${accepts.map(requirements => `
+                    <tr>
+                        <td>${requirements.network}</td>
+                        <td>${formatPaymentAmount(requirements)}</td>
+                        <td><code>${requirements.asset}</code></td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${pricingRules.length > 0 ? `
+            <p style="color: #666; margin-top: 20px;">The price is computed per request:</p>
+            <ul style="color: #666; margin: 10px 0 0 20px;">
+                ${pricingRules.map(rule => `<li>${rule}</li>`).join('')}
+            </ul>
+            ` : ''}
+            ${breakdown.length > 0 ? `
+            <table>
+                <thead>
+                    <tr><th>Rule</th><th>Detail</th><th>Amount</th></tr>
+                </thead>
+                <tbody>
+                    ${breakdown.map(item => `
+                    <tr>
+                        <td><code>${item.rule}</code></td>
+                        <td>${item.detail || ''}${item.multiplier !== undefined ? ` (×${item.multiplier})` : ''}</td>
+                        <td>${item.amount}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : ''}
+        </div>
+  `;
+}
+
+/**
+ * Helper function to generate the path parameters table of a templated endpoint path
+ */
+function generatePathParameters(endpoint) {
+  const template = compilePathTemplate(endpoint.path || '');
+  if (!template) {
+    return '';
+  }
+  
+  const examples = endpoint.pathParameters || {};
+  const rows = template.params.map(name => `
+                    <tr>
+                        <td><code>${name === template.wildcard ? (name === '*' ? '*' : `*${name}`) : `:${name}`}</code></td>
+                        <td>${name === template.wildcard ? 'Rest of the path' : 'Path segment'}</td>
+                        <td>${examples[name] !== undefined ? `<code>${examples[name]}</code>` : '-'}</td>
+                    </tr>`).join('');
+  
+  return `
+            <p style="color: #666; margin-bottom: 10px;">Path parameters:</p>
+            <table>
+                <thead>
+                    <tr><th>Parameter</th><th>Captures</th><th>Example</th></tr>
+                </thead>
+                <tbody>${rows}
+                </tbody>
+            </table>
+  `;
+}
+
 /**
  * Generate HTML page for an endpoint
+ * accepts is non-empty when the gateway itself charges for the endpoint,
+ * requestPath is the path the page was requested at (fills path templates in the examples)
  */
-export function generateEndpointPage(agent, endpoint, baseUrl = 'http://localhost:3000') {
+export function generateEndpointPage(agent, endpoint, baseUrl = 'http://localhost:3000', accepts = [], pricingRules = [], requestPath = getExamplePath(endpoint)) {
   const exampleResponseFormatted = JSON.stringify(endpoint.exampleResponse, null, 2);
+  // Summarised in the price line, so prefer a Solana option for Phantom users
+  const paymentRequirements = accepts.find(requirements => requirements.network.startsWith('solana')) || accepts[0] || null;
 
   return `
 <!DOCTYPE html>
@@ -387,45 +580,35 @@ export function generateEndpointPage(agent, endpoint, baseUrl = 'http://localhos
                     <span class="meta-label">Path:</span>
                     <code>${endpoint.path}</code>
                 </div>
+                ${endpoint.protocol === 'ws' ? `
+                <div class="meta-item">
+                    <span class="meta-label">Protocol:</span>
+                    <code>WebSocket</code>
+                </div>
+                ` : ''}
+                ${paymentRequirements ? `
+                <div class="meta-item">
+                    <span class="meta-label">Price:</span>
+                    <code>${formatPaymentAmount(paymentRequirements)}</code> on ${paymentRequirements.network}${accepts.length > 1 ? ` (+${accepts.length - 1} more)` : ''}
+                </div>
+                ` : ''}
             </div>
         </div>
         
         <div class="content-card">
             <h2>📋 Parameters</h2>
+            ${generatePathParameters(endpoint)}
             ${endpoint.parameters ? `
             <p style="color: #666; margin-bottom: 10px;">Example query string:</p>
             <div class="code-wrapper">
                 <pre><code>${endpoint.parameters}</code></pre>
             </div>
-            ` : '<p style="color: #666; margin-top: 10px;">No parameters required.</p>'}
+            ` : compilePathTemplate(endpoint.path || '') ? '' : '<p style="color: #666; margin-top: 10px;">No parameters required.</p>'}
         </div>
         
-        <div class="content-card">
-            <h2>📝 Example Request</h2>
-            <div class="code-block-header">
-                <span class="code-block-title">cURL</span>
-                <button class="copy-btn" data-copy-target="curl-example">Copy</button>
-            </div>
-            <div class="code-wrapper">
-                <pre id="curl-example">curl -X ${getPrimaryMethod(endpoint.method)} \\
-  -H "Accept: application/json" \\
-  "${baseUrl}${generateExampleRequest(endpoint)}"</pre>
-            </div>
-            
-            <div class="code-block-header" style="margin-top: 20px;">
-                <span class="code-block-title">JavaScript</span>
-                <button class="copy-btn" data-copy-target="js-example">Copy</button>
-            </div>
-            <div class="code-wrapper">
-                <pre id="js-example">const response = await fetch('${baseUrl}${generateExampleRequest(endpoint)}', {
-  method: '${getPrimaryMethod(endpoint.method)}',
-  headers: {
-    'Accept': 'application/json'
-  }
-});
-const data = await response.json();</pre>
-            </div>
-        </div>
+        ${generatePricingCard(accepts, pricingRules)}
+        
+        ${generateExampleRequestCard(endpoint, baseUrl, requestPath)}
         
         <div class="content-card">
             <h2>✨ Example Response</h2>
@@ -441,13 +624,22 @@ const data = await response.json();</pre>
         <div class="content-card">
             <h2>🔧 Access Methods</h2>
             
+            ${endpoint.protocol === 'ws' ? `
+            <div class="json-access">
+                <div class="json-access-title">🔌 WebSocket Access</div>
+                <div class="json-access-desc">
+                    Connect to <code>${toWebSocketBaseUrl(baseUrl)}${escapeHtml(requestPath)}</code> with a WebSocket client. Payment is checked during the handshake -
+                    send <code>X-PAYMENT</code> or <code>X-SESSION-TOKEN</code> as a header, or from a browser pass the session token as <code>?session_token=</code>.
+                    Once connected, messages are relayed to and from the upstream service as they are.
+                </div>
+            </div>` : `
             <div class="json-access">
                 <div class="json-access-title">💡 JSON API Access</div>
                 <div class="json-access-desc">
                     To get the raw JSON response from the upstream service, include the <code>Accept: application/json</code> header in your request.
                     The server will proxy the request to the upstream URL and return the data.
                 </div>
-            </div>
+            </div>`}
             
             <div class="json-access" style="background: #dbeafe; border-left-color: #3b82f6; margin-top: 15px;">
                 <div class="json-access-title" style="color: #1e3a8a;">📄 HTML Documentation</div>
@@ -456,9 +648,10 @@ const data = await response.json();</pre>
                 </div>
             </div>
             
+            ${endpoint.protocol === 'ws' ? '' : `
             <div style="margin-top: 30px; text-align: center;">
-                <a href="${endpoint.path}" class="try-it">Try It Now (JSON) →</a>
-            </div>
+                <a href="${escapeHtml(requestPath)}" class="try-it">Try It Now (JSON) →</a>
+            </div>`}
         </div>
         
         <div class="content-card">
@@ -566,6 +759,23 @@ const data = await response.json();</pre>
             // Payment info will be populated from upstream's 402 response
             let paymentInfo = null;
             
+            // The wallet flow pays native SOL with x-payment-* headers, which the gateway's
+            // paywall doesn't accept: gateway-priced endpoints need an X-PAYMENT header
+            const gatewayPayment = ${toScriptValue(paymentRequirements && {
+              amount: formatPaymentAmount(paymentRequirements),
+              network: paymentRequirements.network,
+              payTo: paymentRequirements.payTo
+            })};
+            if (gatewayPayment) {
+                document.getElementById('payment-amount').textContent = gatewayPayment.amount;
+                document.getElementById('payment-network').textContent = gatewayPayment.network;
+                document.getElementById('payment-recipient').textContent = gatewayPayment.payTo;
+                makePaymentBtn.disabled = true;
+                makePaymentBtn.style.opacity = '0.5';
+                makePaymentBtn.style.cursor = 'not-allowed';
+                makePaymentBtn.textContent = '🔒 Pay with an x402 client (X-PAYMENT header)';
+            }
+            
             // Check if Phantom is installed
             function checkPhantom() {
                 if (!window.walletConnector.isPhantomInstalled()) {
@@ -646,7 +856,7 @@ const data = await response.json();</pre>
                 
                 try {
                     const result = await window.walletConnector.makeX402Request(
-                        '${endpoint.path}',
+                        ${toScriptValue(requestPath)},
                         paymentInfo,
                         {
                             method: '${getPrimaryMethod(endpoint.method)}',
@@ -862,7 +1072,7 @@ export function generateAgentDetailPage(agent, baseUrl = 'http://localhost:3000'
   }
   
   const endpointCards = allEndpoints.map(endpoint => `
-    <a href="${endpoint.path}" class="endpoint-card">
+    <a href="${getExamplePath(endpoint)}" class="endpoint-card">
       <div class="endpoint-header">
         <h3>${endpoint.name}</h3>
         ${generateMethodBadges(endpoint.method)}
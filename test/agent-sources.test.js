@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { readAgentsDirectory, mergeAgentSources, applyAgentsOverlay } from '../agent-sources.js';
+
+const AGENTS_MODULE = new URL('../agents.js', import.meta.url).href;
+
+function agent(id, path, baseUrl = 'https://api.example.com') {
+  return {
+    id,
+    name: id,
+    description: `${id} agent`,
+    icon: '🤖',
+    groups: [{
+      id: 'main',
+      name: 'Main',
+      baseUrl,
+      endpoints: [{ id: 'get', name: 'Get', description: 'Get', path, upstreamUrl: '/get', method: 'GET', exampleResponse: {} }]
+    }]
+  };
+}
+
+function withTempDir(run) {
+  const dir = mkdtempSync(join(tmpdir(), 'x402-agents-'));
+  try {
+    return run(dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// agents.js loads its sources on import, so each setup gets its own process
+function loadAgents(env) {
+  const script = `
+    const { getAllAgents, getAgentSource } = await import(${JSON.stringify(AGENTS_MODULE)});
+    console.log(JSON.stringify(getAllAgents().map(agent => ({
+      id: agent.id,
+      baseUrl: agent.groups[0].baseUrl,
+      source: getAgentSource(agent.id)
+    }))));
+  `;
+  const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    timeout: 30000
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+test('reads every agent file of a directory and reports the ones that don\'t parse', () => {
+  withTempDir(dir => {
+    writeFileSync(join(dir, 'a.json'), JSON.stringify(agent('a', '/a')));
+    writeFileSync(join(dir, 'b.yaml'), '- id: b\n  name: b\n- id: c\n  name: c\n');
+    writeFileSync(join(dir, 'broken.json'), '{ nope');
+    writeFileSync(join(dir, 'notes.txt'), 'ignored');
+
+    const { sources, errors } = readAgentsDirectory(dir);
+    assert.deepEqual(sources.map(source => [source.name.split('/').pop(), source.agents.map(item => item.id)]), [
+      ['a.json', ['a']],
+      ['b.yaml', ['b', 'c']]
+    ]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].location, /broken\.json$/);
+  });
+});
+
+test('the highest source wins an agent id and the conflict is a warning', () => {
+  const merged = mergeAgentSources([
+    { name: 'agents.json', agents: [agent('a', '/a', 'https://primary.example')] },
+    { name: 'registry', agents: [agent('a', '/a', 'https://registry.example'), agent('b', '/b')] },
+    { name: 'broken', agents: { not: 'an array' } }
+  ]);
+
+  assert.deepEqual(merged.agents.map(item => item.groups[0].baseUrl), ['https://primary.example', 'https://api.example.com']);
+  assert.deepEqual(merged.origins, ['agents.json', 'registry']);
+  assert.equal(merged.warnings.length, 1);
+  assert.deepEqual(merged.errors, [{ location: 'broken', message: 'must contain an array of agents' }]);
+});
+
+test('an overlay overrides groups by id and ignores unknown ids', () => {
+  const agents = [agent('a', '/a')];
+  const { errors, warnings } = applyAgentsOverlay(agents, {
+    a: { groups: { main: { baseUrl: 'https://staging.example' }, missing: {} } },
+    ghost: { name: 'Ghost' }
+  }, 'agents.staging.json');
+
+  assert.equal(agents[0].groups[0].baseUrl, 'https://staging.example');
+  assert.deepEqual(errors, []);
+  assert.equal(warnings.length, 2);
+});
+
+test('loads agents.json, a directory, a registry and the environment overlay together', () => {
+  withTempDir(dir => {
+    mkdirSync(join(dir, 'agents.d'));
+    writeFileSync(join(dir, 'agents.json'), JSON.stringify([agent('primary', '/primary')]));
+    writeFileSync(join(dir, 'agents.d', 'dir.json'), JSON.stringify(agent('from-dir', '/dir')));
+    writeFileSync(join(dir, 'registry.json'), JSON.stringify({ agents: [agent('from-registry', '/registry'), agent('primary', '/shadowed')] }));
+    writeFileSync(join(dir, 'agents.staging.json'), JSON.stringify({ 'from-dir': { groups: { main: { baseUrl: 'https://staging.example' } } } }));
+
+    const loaded = loadAgents({
+      AGENTS_PATH: join(dir, 'agents.json'),
+      AGENTS_DIR: join(dir, 'agents.d'),
+      AGENTS_REGISTRY_URL: pathToFileURL(join(dir, 'registry.json')).href,
+      AGENTS_ENV: 'staging'
+    });
+
+    assert.deepEqual(loaded, [
+      { id: 'primary', baseUrl: 'https://api.example.com', source: 'agents.json' },
+      { id: 'from-dir', baseUrl: 'https://staging.example', source: 'agents.d/dir.json' },
+      { id: 'from-registry', baseUrl: 'https://api.example.com', source: pathToFileURL(join(dir, 'registry.json')).href }
+    ]);
+  });
+});
+
+test('an invalid agent is skipped at startup and the others are served', () => {
+  withTempDir(dir => {
+    const invalid = agent('invalid', '/invalid');
+    invalid.groups[0].endpoints[0].method = 'FETCH';
+    writeFileSync(join(dir, 'agents.json'), JSON.stringify([invalid, agent('valid', '/valid')]));
+
+    const loaded = loadAgents({ AGENTS_PATH: join(dir, 'agents.json') });
+    assert.deepEqual(loaded.map(item => item.id), ['valid']);
+
+    assert.throws(
+      () => loadAgents({ AGENTS_PATH: join(dir, 'agents.json'), AGENTS_FAIL_FAST: 'true' }),
+      error => error.status === 1
+    );
+  });
+});
@@ -0,0 +1,143 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, utimesSync, existsSync } from 'node:fs';
+import { applyAgentChange } from '../agents-admin.js';
+import { startGateway, agent } from './gateway.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+const BASE_URL = 'https://api.example.com';
+
+function admin(gateway, path, { method = 'GET', body, ifMatch, token = ADMIN_TOKEN } = {}) {
+  return fetch(`${gateway.url}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(ifMatch && { 'If-Match': ifMatch })
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+test('changes are applied in place and refused when they don\'t fit', () => {
+  const agents = [agent('weather', BASE_URL, [{ path: '/weather', upstreamUrl: '/weather' }])];
+
+  const { before, after } = applyAgentChange(agents, { action: 'update', target: 'group', agentId: 'weather', groupId: 'main', body: { name: 'Renamed', baseUrl: BASE_URL } });
+  assert.equal(before.name, 'Main');
+  assert.equal(after.name, 'Renamed');
+  // Leaving out the endpoints keeps them
+  assert.equal(agents[0].groups[0].endpoints.length, 1);
+
+  const status = change => {
+    try {
+      applyAgentChange(agents, change);
+    } catch (error) {
+      return error.status;
+    }
+  };
+  assert.equal(status({ action: 'create', target: 'agent', body: { id: 'weather' } }), 409);
+  assert.equal(status({ action: 'create', target: 'agent', body: { name: 'No id' } }), 400);
+  assert.equal(status({ action: 'update', target: 'agent', agentId: 'weather', body: { id: 'renamed' } }), 400);
+  assert.equal(status({ action: 'delete', target: 'endpoint', agentId: 'weather', groupId: 'main', endpointId: 'missing' }), 404);
+  assert.equal(status({ action: 'delete', target: 'group', agentId: 'missing', groupId: 'main' }), 404);
+});
+
+let gateway;
+before(async () => {
+  gateway = await startGateway({
+    agents: [agent('weather', BASE_URL, [{ path: '/weather', upstreamUrl: '/weather' }])],
+    env: { ADMIN_TOKEN }
+  });
+});
+after(() => gateway?.stop());
+
+test('the admin API needs the admin token', async () => {
+  assert.equal((await admin(gateway, '/admin/agents', { token: 'wrong' })).status, 401);
+  const response = await admin(gateway, '/admin/agents');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('etag'), /^"[0-9a-f]+"$/);
+});
+
+test('agents, groups and endpoints can be created, replaced and deleted', async () => {
+  const created = await admin(gateway, '/admin/agents', { method: 'POST', body: agent('news', BASE_URL, [{ path: '/news', upstreamUrl: '/news' }]) });
+  assert.equal(created.status, 201);
+  assert.deepEqual((await created.json()).diff.added, ['/news']);
+
+  const endpoint = await admin(gateway, '/admin/agents/news/groups/main/endpoints', {
+    method: 'POST',
+    body: { id: 'latest', name: 'Latest', description: 'Latest news', path: '/news/latest', upstreamUrl: '/latest', method: 'GET', exampleResponse: {} }
+  });
+  assert.equal(endpoint.status, 201);
+
+  const replaced = await admin(gateway, '/admin/agents/news/groups/main', { method: 'PUT', body: { name: 'Headlines', baseUrl: 'https://news.example.com' } });
+  assert.equal(replaced.status, 200);
+  const news = await (await admin(gateway, '/admin/agents/news')).json();
+  assert.equal(news.groups[0].name, 'Headlines');
+  assert.deepEqual(news.groups[0].endpoints.map(item => item.id), ['endpoint-0', 'latest']);
+
+  assert.equal((await admin(gateway, '/admin/agents/news/groups/main/endpoints/latest', { method: 'DELETE' })).status, 200);
+  assert.equal((await admin(gateway, '/admin/agents/news', { method: 'DELETE' })).status, 200);
+  assert.equal((await admin(gateway, '/admin/agents/news')).status, 404);
+
+  // Written back to agents.json
+  assert.deepEqual(JSON.parse(readFileSync(gateway.agentsPath, 'utf-8')).map(item => item.id), ['weather']);
+
+  const { entries } = await (await admin(gateway, '/admin/audit?agentId=news')).json();
+  assert.deepEqual(entries.map(entry => `${entry.action} ${entry.target}`), ['delete agent', 'delete endpoint', 'update group', 'create endpoint', 'create agent']);
+});
+
+test('invalid results are rejected with their findings', async () => {
+  const response = await admin(gateway, '/admin/agents/weather/groups/main/endpoints', {
+    method: 'POST',
+    body: { id: 'broken', name: 'Broken', description: 'Broken', path: '/broken', upstreamUrl: '/broken', method: 'FETCH', exampleResponse: {} }
+  });
+  assert.equal(response.status, 422);
+  const body = await response.json();
+  assert.equal(body.error, 'Invalid Agents Configuration');
+  assert.ok(body.errors.some(finding => finding.message.includes('FETCH')));
+});
+
+test('a change based on an old version is refused with 412', async () => {
+  const etag = (await admin(gateway, '/admin/agents')).headers.get('etag');
+
+  const first = await admin(gateway, '/admin/agents/weather', { method: 'PUT', body: { name: 'Weather v2', description: 'v2', icon: '🌦️' }, ifMatch: etag });
+  assert.equal(first.status, 200);
+  const newEtag = first.headers.get('etag');
+  assert.notEqual(newEtag, etag);
+
+  const stale = await admin(gateway, '/admin/agents/weather', { method: 'PUT', body: { name: 'Weather v3', description: 'v3', icon: '🌦️' }, ifMatch: etag });
+  assert.equal(stale.status, 412);
+  assert.equal(`"${(await stale.json()).currentVersion}"`, newEtag);
+
+  const retried = await admin(gateway, '/admin/agents/weather', { method: 'PUT', body: { name: 'Weather v3', description: 'v3', icon: '🌦️' }, ifMatch: newEtag });
+  assert.equal(retried.status, 200);
+});
+
+test('a lock left behind by a crashed instance is taken over', async () => {
+  const lockPath = `${gateway.agentsPath}.lock`;
+  writeFileSync(lockPath, '');
+  const longAgo = new Date(Date.now() - 60 * 60 * 1000);
+  utimesSync(lockPath, longAgo, longAgo);
+
+  const response = await admin(gateway, '/admin/agents', { method: 'POST', body: agent('stale-lock', BASE_URL, [{ path: '/stale-lock', upstreamUrl: '/' }]) });
+  assert.equal(response.status, 201);
+  assert.equal(existsSync(lockPath), false);
+});
+
+test('instances sharing agents.json don\'t overwrite each other\'s changes', async () => {
+  const other = await startGateway({ agentsPath: gateway.agentsPath, env: { ADMIN_TOKEN } });
+  try {
+    const ids = Array.from({ length: 6 }, (_, index) => `concurrent-${index}`);
+    const responses = await Promise.all(ids.map((id, index) =>
+      admin(index % 2 ? other : gateway, '/admin/agents', { method: 'POST', body: agent(id, BASE_URL, [{ path: `/${id}`, upstreamUrl: '/' }]) })
+    ));
+
+    assert.deepEqual(responses.map(response => response.status), ids.map(() => 201));
+    const written = JSON.parse(readFileSync(gateway.agentsPath, 'utf-8')).map(item => item.id);
+    for (const id of ids) {
+      assert.ok(written.includes(id), `${id} was lost`);
+    }
+  } finally {
+    await other.stop();
+  }
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createEvmRpcAdapter } from '../chain-adapters.js';
+
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OWNER = '0x1111111111111111111111111111111111111111';
+
+// Answers JSON-RPC calls with `handler`, on a random local port
+async function withRpc(handler, run) {
+  const server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('EVM RPC: reads balances over JSON-RPC', async () => {
+  await withRpc((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const { id, method } = JSON.parse(body);
+      assert.equal(method, 'eth_call');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result: '0x2710' }));
+    });
+  }, async rpcUrl => {
+    const adapter = createEvmRpcAdapter({ network: 'base', rpcUrl });
+    assert.equal(await adapter.getBalance({ asset: USDC_BASE, owner: OWNER }), 10000n);
+  });
+});
+
+test('EVM RPC: an error status is reported as such', async () => {
+  await withRpc((req, res) => {
+    res.statusCode = 502;
+    res.end('<html>Bad Gateway</html>');
+  }, async rpcUrl => {
+    const adapter = createEvmRpcAdapter({ network: 'base', rpcUrl });
+    await assert.rejects(adapter.getBalance({ asset: USDC_BASE, owner: OWNER }), /eth_call failed: the RPC responded with 502/);
+  });
+});
+
+test('EVM RPC: a hung RPC times out', async () => {
+  await withRpc(() => {}, async rpcUrl => {
+    const adapter = createEvmRpcAdapter({ network: 'base', rpcUrl, requestTimeoutMs: 50 });
+    await assert.rejects(adapter.getBalance({ asset: USDC_BASE, owner: OWNER }), { name: 'TimeoutError' });
+  });
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../store.js';
+import { createCreditsLedger, createSessionTokens } from '../credits.js';
+
+const ADDRESS = '0xAbC0000000000000000000000000000000000001';
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const call = { address: ADDRESS, network: 'base', asset: USDC_BASE, agentId: 'weather', endpointId: 'current', path: '/weather/current' };
+
+function ledger(options = {}) {
+  return createCreditsLedger({ store: createMemoryStore({ sweepIntervalMs: 0 }), ...options });
+}
+
+test('a top-up credits the account in its asset', async () => {
+  const credits = ledger();
+  await credits.topUp({ address: ADDRESS, network: 'base', asset: USDC_BASE, amount: '1000000', transaction: '0x01' });
+  const { balances } = await credits.topUp({ address: ADDRESS, network: 'base', asset: USDC_BASE.toLowerCase(), amount: '500000', transaction: '0x02' });
+
+  assert.deepEqual(balances, { [`base:${USDC_BASE.toLowerCase()}`]: '1500000' });
+  assert.deepEqual((await credits.getAccount(ADDRESS)).balances, balances);
+});
+
+test('debits never spend more than the balance, even concurrently', async () => {
+  const credits = ledger();
+  await credits.topUp({ address: ADDRESS, network: 'base', asset: USDC_BASE, amount: '100', transaction: '0x01' });
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => credits.debit({ ...call, amount: '30' })));
+  assert.equal(results.filter(result => result.success).length, 3);
+  assert.deepEqual(results.filter(result => !result.success).map(result => result.reason), ['insufficient_credits', 'insufficient_credits']);
+  assert.equal((await credits.getAccount(ADDRESS)).balances[`base:${USDC_BASE.toLowerCase()}`], '10');
+});
+
+test('a debit without credits in the asset is refused', async () => {
+  const credits = ledger();
+  const debit = await credits.debit({ ...call, amount: '1' });
+  assert.deepEqual(debit, { success: false, reason: 'insufficient_credits', balance: '0' });
+});
+
+test('a debit is credited back once and leaves the usage report', async () => {
+  const credits = ledger();
+  await credits.topUp({ address: ADDRESS, network: 'base', asset: USDC_BASE, amount: '100', transaction: '0x01' });
+  const { debit } = await credits.debit({ ...call, amount: '30' });
+  await credits.debit({ ...call, amount: '20' });
+
+  assert.equal((await credits.refund(debit.id)).balance, '80');
+  assert.equal(await credits.refund(debit.id), null);
+  assert.deepEqual(await credits.getUsage(ADDRESS), [
+    { agentId: 'weather', endpointId: 'current', path: '/weather/current', calls: 1, spent: { [`base:${USDC_BASE.toLowerCase()}`]: '20' } }
+  ]);
+});
+
+test('expired credits are gone', async () => {
+  const credits = ledger({ ttlMs: 1 });
+  await credits.topUp({ address: ADDRESS, network: 'base', asset: USDC_BASE, amount: '100', transaction: '0x01' });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.deepEqual(await credits.getAccount(ADDRESS), { address: ADDRESS, balances: {}, expiresAt: null });
+  assert.equal((await credits.debit({ ...call, amount: '1' })).success, false);
+});
+
+test('session tokens verify only as issued and until they expire', () => {
+  const sessions = createSessionTokens({ secret: 'test-secret' });
+  const { token } = sessions.issue(ADDRESS);
+  assert.equal(sessions.verify(token).sub, ADDRESS);
+
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  const forgedPayload = Buffer.from(JSON.stringify({ ...claims, sub: '0x2222222222222222222222222222222222222222' })).toString('base64url');
+  assert.equal(sessions.verify(`${forgedPayload}.${signature}`), null);
+  assert.equal(createSessionTokens({ secret: 'another-secret' }).verify(token), null);
+  assert.equal(sessions.verify(payload), null);
+  assert.equal(sessions.verify('garbage'), null);
+
+  const expired = createSessionTokens({ secret: 'test-secret', ttlMs: 0 });
+  assert.equal(expired.verify(expired.issue(ADDRESS).token), null);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFacilitatorConfig, createFacilitatorClient } from '../facilitator.js';
+
+const PAY_TO = '0x1111111111111111111111111111111111111111';
+
+const requirements = {
+  scheme: 'exact',
+  network: 'base',
+  maxAmountRequired: '10000',
+  resource: 'http://localhost:3000/paid',
+  payTo: PAY_TO,
+  maxTimeoutSeconds: 60,
+  asset: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
+};
+
+function payment(authorization = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    x402Version: 1,
+    scheme: 'exact',
+    network: 'base',
+    payload: {
+      signature: '0x',
+      authorization: {
+        from: '0xAbC0000000000000000000000000000000000001',
+        to: PAY_TO,
+        value: '10000',
+        validAfter: 0,
+        validBefore: now + 60,
+        nonce: '0x01',
+        ...authorization
+      }
+    }
+  };
+}
+
+test('parses per-network facilitator URLs with a default', () => {
+  const config = parseFacilitatorConfig({
+    FACILITATOR_URL: 'https://x402.org/facilitator',
+    FACILITATOR_URLS: 'base=https://a.example, https://b.example;solana=mock'
+  });
+  assert.deepEqual(config, {
+    '*': ['https://x402.org/facilitator'],
+    base: ['https://a.example', 'https://b.example'],
+    solana: ['mock']
+  });
+});
+
+test('the mock facilitator verifies and settles a valid payment', async () => {
+  const facilitator = createFacilitatorClient({ '*': ['mock'] });
+
+  const verification = await facilitator.verify(payment(), requirements);
+  assert.equal(verification.isValid, true);
+  assert.equal(verification.payer, '0xAbC0000000000000000000000000000000000001');
+
+  const settlement = await facilitator.settle(payment(), requirements);
+  assert.equal(settlement.success, true);
+  assert.equal(settlement.network, 'base');
+  assert.match(settlement.transaction, /^mock-[0-9a-f]{64}$/);
+});
+
+test('the mock facilitator rejects payments that fail the local checks', async () => {
+  const facilitator = createFacilitatorClient({ '*': ['mock'] });
+
+  const underpaid = await facilitator.verify(payment({ value: '9999' }), requirements);
+  assert.equal(underpaid.isValid, false);
+  assert.equal(underpaid.invalidReason, 'invalid_exact_evm_payload_authorization_value');
+
+  const misdirected = await facilitator.verify(payment({ to: '0x2222222222222222222222222222222222222222' }), requirements);
+  assert.equal(misdirected.invalidReason, 'invalid_exact_evm_payload_recipient_mismatch');
+
+  const expired = await facilitator.verify(payment({ validBefore: 1 }), requirements);
+  assert.equal(expired.invalidReason, 'invalid_exact_evm_payload_authorization_valid_before');
+});
+
+test('fails over to the next facilitator of a network', async () => {
+  const down = {
+    name: 'down',
+    verify: async () => { throw new Error('unreachable'); },
+    settle: async () => { throw new Error('unreachable'); }
+  };
+  const facilitator = createFacilitatorClient({ base: ['down', 'mock'] }, { facilitators: { down } });
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await facilitator.verify(payment(), requirements)).isValid, true);
+    assert.equal((await facilitator.settle(payment(), requirements)).success, true);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('refuses networks without a facilitator', async () => {
+  const facilitator = createFacilitatorClient({ solana: ['mock'] });
+  await assert.rejects(facilitator.verify(payment(), requirements), /No facilitator configured for network "base"/);
+});
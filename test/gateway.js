@@ -0,0 +1,181 @@
+/**
+ * Gateway Test Helpers
+ *
+ * Starts index.js in its own process against a temporary agents.json, with
+ * every store in memory and the mock facilitator, plus local upstreams for it
+ * to proxy to. Used by the tests that need the whole request path.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { once } from 'node:events';
+import { randomBytes } from 'node:crypto';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+const START_TIMEOUT_MS = 20000;
+
+async function freePort() {
+  const server = createServer();
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Start an HTTP upstream on a random local port
+ *
+ * @param {Function} handler - (req, res) request listener
+ * @returns {Promise<{url: string, server: Server, close: Function}>}
+ */
+export async function startUpstream(handler) {
+  const server = createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    server,
+    async close() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Read a request body as a Buffer
+ */
+export async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Build a one-group agent whose endpoints are served by `baseUrl`
+ */
+export function agent(id, baseUrl, endpoints, group = {}) {
+  return {
+    id,
+    name: id,
+    description: `${id} agent`,
+    icon: '🤖',
+    groups: [{
+      id: 'main',
+      name: 'Main',
+      baseUrl,
+      ...group,
+      endpoints: endpoints.map((endpoint, index) => ({
+        id: `endpoint-${index}`,
+        name: `Endpoint ${index}`,
+        description: 'Test endpoint',
+        method: 'GET',
+        exampleResponse: {},
+        ...endpoint
+      }))
+    }]
+  };
+}
+
+/**
+ * Build an X-PAYMENT header the mock facilitator accepts - an unsigned EIP-3009 authorization
+ */
+export function payment({ from = '0xAbC0000000000000000000000000000000000001', to, value, network = 'base' }) {
+  return Buffer.from(JSON.stringify({
+    x402Version: 1,
+    scheme: 'exact',
+    network,
+    payload: {
+      signature: '0x',
+      authorization: {
+        from,
+        to,
+        value: String(value),
+        validAfter: '0',
+        validBefore: String(Math.floor(Date.now() / 1000) + 60),
+        nonce: `0x${randomBytes(32).toString('hex')}`
+      }
+    }
+  })).toString('base64');
+}
+
+/**
+ * Start the gateway
+ *
+ * @param {Object} options - { agents, agentsPath (share another gateway's file instead), env (added to the test defaults) }
+ * @returns {Promise<{url: string, dir: string, agentsPath: string, output: Function, stop: Function}>}
+ */
+export async function startGateway({ agents = [], agentsPath, env = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'x402-gateway-'));
+  if (!agentsPath) {
+    agentsPath = join(dir, 'agents.json');
+    writeFileSync(agentsPath, JSON.stringify(agents, null, 2));
+  }
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [INDEX], {
+    // Its own directory, so a developer's .env isn't loaded
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      HOST: '127.0.0.1',
+      PORT: String(port),
+      PUBLIC_URL: url,
+      DATA_DIR: join(dir, 'data'),
+      AGENTS_PATH: agentsPath,
+      AGENTS_RELOAD_INTERVAL_MS: '0',
+      FACILITATOR_URL: 'mock',
+      PAYMENT_LEDGER_STORE: 'memory',
+      CREDITS_STORE: 'memory',
+      RECEIPTS_STORE: 'memory',
+      SETTLEMENT_STORE: 'memory',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Gateway didn't start in time:\n${output}`)), START_TIMEOUT_MS);
+      child.stdout.on('data', () => {
+        if (output.includes('Server running')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Gateway exited with ${code}:\n${output}`));
+      });
+    });
+  } catch (error) {
+    child.kill();
+    rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return {
+    url,
+    dir,
+    agentsPath,
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, 'exit');
+      }
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
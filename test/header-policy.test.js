@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getHeaderPolicy, filterRequestHeaders, filterResponseHeaders, matchesHeader } from '../header-policy.js';
+import { startGateway, startUpstream, agent } from './gateway.js';
+
+test('patterns are case-insensitive and a trailing * matches any suffix', () => {
+  assert.equal(matchesHeader(['X-Client-*'], 'x-client-id'), true);
+  assert.equal(matchesHeader(['x-client-*'], 'X-CLIENT-'), true);
+  assert.equal(matchesHeader(['accept'], 'Accept-Language'), false);
+  assert.equal(matchesHeader([], 'accept'), false);
+});
+
+test('an endpoint policy replaces the group\'s allow and response lists and adds to deny and rename', () => {
+  const group = { headerPolicy: { allow: ['x-a'], deny: ['x-b'], rename: { 'X-Old': 'x-new' }, response: ['x-r'] } };
+  assert.deepEqual(getHeaderPolicy(group, { headerPolicy: { allow: ['x-c'], deny: ['x-d'], rename: { 'x-other': 'x-o' } } }), {
+    allow: ['x-c'],
+    deny: ['x-b', 'x-d'],
+    rename: { 'x-old': 'x-new', 'x-other': 'x-o' },
+    response: ['x-r']
+  });
+  assert.deepEqual(getHeaderPolicy(group, {}).allow, ['x-a']);
+  assert.ok(getHeaderPolicy().allow.includes('x-payment-*'));
+});
+
+test('only allowed headers are forwarded - denied, hop-by-hop and gateway headers never are', () => {
+  const incoming = {
+    host: 'gateway.example',
+    connection: 'keep-alive',
+    'content-length': '12',
+    accept: 'application/json',
+    authorization: 'Bearer caller',
+    'x-client-id': 'acme',
+    'x-client-debug': '1',
+    'x-forwarded-for': '10.0.0.1',
+    'x-internal-trace': 'abc',
+    'x-session-token': 'credits-session',
+    'proxy-authorization': 'Basic secret'
+  };
+
+  assert.deepEqual(filterRequestHeaders(incoming, getHeaderPolicy()), {
+    accept: 'application/json',
+    authorization: 'Bearer caller',
+    'x-client-id': 'acme'
+  });
+
+  const policy = getHeaderPolicy({ headerPolicy: { allow: ['accept', 'x-client-*', 'x-session-token', 'host'], deny: ['x-client-debug'], rename: { 'x-client-id': 'X-Customer-Id' } } });
+  assert.deepEqual(filterRequestHeaders(incoming, policy), { accept: 'application/json', 'X-Customer-Id': 'acme' });
+});
+
+test('only allowed response headers are passed back, never the ones the gateway sets itself', () => {
+  const upstream = new Headers({
+    'content-type': 'application/json',
+    'content-length': '2',
+    'x-ratelimit-remaining': '9',
+    'cache-control': 'no-store',
+    'set-cookie': 'session=upstream',
+    server: 'upstream/1.0'
+  });
+  assert.deepEqual(filterResponseHeaders(upstream, getHeaderPolicy()), { 'cache-control': 'no-store', 'x-ratelimit-remaining': '9' });
+  assert.deepEqual(filterResponseHeaders(upstream, getHeaderPolicy({}, { headerPolicy: { response: ['server', 'content-*'] } })), { server: 'upstream/1.0' });
+});
+
+test('the gateway applies the group and endpoint policies and static headers', async () => {
+  let received;
+  const upstream = await startUpstream((req, res) => {
+    received = req.headers;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('X-RateLimit-Remaining', '9');
+    res.setHeader('X-Upstream-Version', '2');
+    res.setHeader('Set-Cookie', 'session=upstream');
+    res.end('{}');
+  });
+  const gateway = await startGateway({
+    agents: [agent('headers', upstream.url, [
+      { path: '/group-policy', upstreamUrl: '/a' },
+      { path: '/endpoint-policy', upstreamUrl: '/b', headers: { 'X-Static': 'endpoint' }, headerPolicy: { allow: ['x-trace-id'], deny: ['x-client-secret'], response: ['x-upstream-*'] } }
+    ], {
+      headers: { 'X-Static': 'group', 'X-Source': 'gateway' },
+      headerPolicy: { allow: ['accept', 'x-client-*'], rename: { 'x-client-id': 'x-customer-id' } }
+    })]
+  });
+  const headers = {
+    Accept: 'application/json',
+    'X-Client-Id': 'acme',
+    'X-Client-Secret': 'hunter2',
+    'X-Trace-Id': 't-1',
+    'X-Forwarded-For': '10.0.0.1',
+    'X-Session-Token': 'credits-session',
+    'X-Source': 'caller'
+  };
+  try {
+    const first = await fetch(`${gateway.url}/group-policy`, { headers });
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '9');
+    assert.equal(first.headers.get('x-upstream-version'), null);
+    assert.equal(first.headers.get('set-cookie'), null);
+    assert.equal(received['x-customer-id'], 'acme');
+    assert.equal(received['x-client-secret'], 'hunter2');
+    assert.equal(received['x-static'], 'group');
+    assert.equal(received['x-source'], 'gateway');
+    for (const name of ['x-client-id', 'x-trace-id', 'x-forwarded-for', 'x-session-token']) {
+      assert.equal(received[name], undefined, name);
+    }
+
+    const second = await fetch(`${gateway.url}/endpoint-policy`, { headers });
+    assert.equal(second.headers.get('x-upstream-version'), '2');
+    assert.equal(second.headers.get('x-ratelimit-remaining'), null);
+    assert.equal(received['x-trace-id'], 't-1');
+    assert.equal(received['x-customer-id'], 'acme');
+    assert.equal(received['x-client-secret'], undefined);
+    assert.equal(received['x-static'], 'endpoint');
+  } finally {
+    await gateway.stop();
+    await upstream.close();
+  }
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoadBalancer } from '../load-balancer.js';
+import { startUpstream } from './gateway.js';
+
+function group(targets, loadBalancing = {}) {
+  return { id: 'main', targets: targets.map(([url, weight]) => ({ url, weight })), loadBalancing };
+}
+
+function firstPicks(balancer, key, config, count, options) {
+  return Array.from({ length: count }, () => balancer.pick(key, config, options)[0].url);
+}
+
+test('weighted round-robin spreads a heavy target\'s turns instead of bunching them', () => {
+  const balancer = createLoadBalancer();
+  const config = group([['a', 5], ['b', 1], ['c', 1]]);
+  assert.deepEqual(firstPicks(balancer, 'x/main', config, 14), ['a', 'a', 'b', 'a', 'c', 'a', 'a', 'a', 'a', 'b', 'a', 'c', 'a', 'a']);
+
+  // The rest follow as targets to fail over to
+  assert.deepEqual(balancer.pick('x/main', config).map(target => target.url).sort(), ['a', 'b', 'c']);
+  assert.deepEqual(balancer.pick('x/none', { targets: [] }), []);
+});
+
+test('consistent hashing keeps a caller on its target and moves only the callers of a removed one', () => {
+  const balancer = createLoadBalancer();
+  const three = group([['a', 1], ['b', 1], ['c', 1]], { strategy: 'consistent-hash' });
+  const callers = Array.from({ length: 300 }, (_, index) => `0xcaller${index}`);
+
+  const before = new Map(callers.map(caller => [caller, firstPicks(balancer, 'x/main', three, 3, { caller })]));
+  for (const picks of before.values()) {
+    assert.equal(new Set(picks).size, 1);
+  }
+  const counts = { a: 0, b: 0, c: 0 };
+  for (const [picked] of before.values()) counts[picked]++;
+  for (const count of Object.values(counts)) {
+    assert.ok(count > 60 && count < 140, JSON.stringify(counts));
+  }
+
+  const two = group([['a', 1], ['b', 1]], { strategy: 'consistent-hash' });
+  for (const caller of callers) {
+    const [previous] = before.get(caller);
+    const now = balancer.pick('x/main', two, { caller })[0].url;
+    if (previous !== 'c') {
+      assert.equal(now, previous, caller);
+    }
+  }
+});
+
+test('consistent hashing honours weights and falls back to round-robin without a caller', () => {
+  const balancer = createLoadBalancer();
+  const config = group([['a', 3], ['b', 1]], { strategy: 'consistent-hash' });
+  const picks = Array.from({ length: 400 }, (_, index) => balancer.pick('x/main', config, { caller: `caller-${index}` })[0].url);
+  const share = picks.filter(url => url === 'a').length / picks.length;
+  assert.ok(share > 0.65 && share < 0.85, String(share));
+
+  assert.deepEqual(firstPicks(balancer, 'y/main', config, 4), ['a', 'a', 'b', 'a']);
+});
+
+test('least-latency prefers unmeasured targets, then the fastest for its weight', () => {
+  const balancer = createLoadBalancer();
+  const config = group([['a', 1], ['b', 2], ['c', 1]], { strategy: 'least-latency' });
+  balancer.pick('x/main', config);
+  balancer.report('x/main', { url: 'a' }, { ok: true, latencyMs: 100 });
+  assert.equal(balancer.pick('x/main', config)[0].url, 'b');
+
+  balancer.report('x/main', { url: 'b' }, { ok: true, latencyMs: 150 });
+  balancer.report('x/main', { url: 'c' }, { ok: true, latencyMs: 90 });
+  assert.deepEqual(balancer.pick('x/main', config).map(target => target.url), ['b', 'c', 'a']);
+});
+
+test('failing targets leave the rotation and every target is tried when none is healthy', () => {
+  const balancer = createLoadBalancer();
+  const config = group([['a', 1], ['b', 1]]);
+  balancer.pick('x/main', config);
+
+  balancer.report('x/main', { url: 'a' }, { ok: false });
+  assert.equal(balancer.snapshot()['x/main'][0].healthy, true);
+  balancer.report('x/main', { url: 'a' }, { ok: false });
+  assert.deepEqual(firstPicks(balancer, 'x/main', config, 3), ['b', 'b', 'b']);
+  assert.deepEqual(balancer.pick('x/main', config).map(target => target.url), ['b']);
+
+  balancer.report('x/main', { url: 'b' }, { ok: false });
+  balancer.report('x/main', { url: 'b' }, { ok: false });
+  assert.deepEqual(balancer.pick('x/main', config).map(target => target.url).sort(), ['a', 'b']);
+
+  balancer.report('x/main', { url: 'a' }, { ok: true, latencyMs: 5 });
+  balancer.report('x/main', { url: 'a' }, { ok: true, latencyMs: 5 });
+  assert.deepEqual(balancer.pick('x/main', config).map(target => target.url), ['a']);
+});
+
+test('health checks take a failing target out and bring it back, and a reload forgets removed targets', async () => {
+  let status = 503;
+  const upstream = await startUpstream((req, res) => {
+    res.statusCode = req.url === '/ready' ? status : 404;
+    res.end();
+  });
+  try {
+    const balancer = createLoadBalancer();
+    const healthCheck = { path: '/ready', intervalMs: 0, unhealthyThreshold: 2, healthyThreshold: 1 };
+    const agents = [{ id: 'x', groups: [group([[upstream.url, 1], ['http://127.0.0.1:9', 1]], { healthCheck })] }];
+
+    await balancer.checkHealth(agents);
+    await balancer.checkHealth(agents);
+    assert.deepEqual(balancer.snapshot()['x/main'].map(target => target.healthy), [false, false]);
+
+    status = 200;
+    await balancer.checkHealth(agents);
+    const [ready, closed] = balancer.snapshot()['x/main'];
+    assert.equal(ready.healthy, true);
+    assert.equal(typeof ready.latencyMs, 'number');
+    assert.equal(closed.healthy, false);
+
+    await balancer.checkHealth([{ id: 'x', groups: [group([[upstream.url, 1]], { healthCheck })] }]);
+    assert.equal(balancer.snapshot()['x/main'].length, 1);
+    await balancer.checkHealth([]);
+    assert.deepEqual(balancer.snapshot(), {});
+  } finally {
+    await upstream.close();
+  }
+});
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { Keypair, PublicKey, TransactionInstruction, TransactionMessage, VersionedTransaction, ComputeBudgetProgram } from '@solana/web3.js';
+import { createLocalFacilitator, hashTransferWithAuthorization, getAssociatedTokenAddress, EVM_CHAIN_IDS, TOKEN_PROGRAM_ID } from '../local-facilitator.js';
+import { createMemoryLedgerAdapter } from '../chain-adapters.js';
+
+// ---------------------------------------------------------------------------
+// EVM (EIP-3009)
+// ---------------------------------------------------------------------------
+
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PAY_TO = '0x1111111111111111111111111111111111111111';
+
+const evmRequirements = {
+  scheme: 'exact',
+  network: 'base',
+  maxAmountRequired: '10000',
+  resource: 'http://localhost:3000/paid',
+  payTo: PAY_TO,
+  maxTimeoutSeconds: 60,
+  asset: USDC_BASE,
+  extra: { name: 'USD Coin', version: '2' }
+};
+
+const privateKey = secp256k1.utils.randomPrivateKey();
+const evmPayer = `0x${Buffer.from(keccak_256(secp256k1.getPublicKey(privateKey, false).subarray(1))).subarray(12).toString('hex')}`;
+
+function signedPayment(authorization = {}) {
+  const message = {
+    from: evmPayer,
+    to: PAY_TO,
+    value: '10000',
+    validAfter: '0',
+    validBefore: String(Math.floor(Date.now() / 1000) + 60),
+    nonce: `0x${Buffer.from(secp256k1.utils.randomPrivateKey()).toString('hex')}`,
+    ...authorization
+  };
+  const digest = hashTransferWithAuthorization(message, {
+    name: 'USD Coin',
+    version: '2',
+    chainId: EVM_CHAIN_IDS.base,
+    verifyingContract: USDC_BASE
+  });
+  const signature = secp256k1.sign(digest, privateKey);
+  return {
+    x402Version: 1,
+    scheme: 'exact',
+    network: 'base',
+    payload: {
+      signature: `0x${signature.toCompactHex()}${(27 + signature.recovery).toString(16)}`,
+      authorization: message
+    }
+  };
+}
+
+function evmFacilitator(balance = '1000000') {
+  const adapter = createMemoryLedgerAdapter({ network: 'base', balances: { [`${USDC_BASE}:${evmPayer}`]: balance } });
+  return { adapter, facilitator: createLocalFacilitator({ adapters: { base: adapter } }) };
+}
+
+test('EVM: verifies and settles a signed authorization', async () => {
+  const { adapter, facilitator } = evmFacilitator();
+  const payment = signedPayment();
+
+  assert.deepEqual(await facilitator.verify(payment, evmRequirements), { isValid: true, payer: evmPayer });
+
+  const settlement = await facilitator.settle(payment, evmRequirements);
+  assert.equal(settlement.success, true);
+  assert.equal(settlement.payer, evmPayer);
+  assert.equal(await adapter.getBalance({ asset: USDC_BASE, owner: PAY_TO }), 10000n);
+  assert.equal(await adapter.getBalance({ asset: USDC_BASE, owner: evmPayer }), 990000n);
+});
+
+test('EVM: a settled authorization can\'t be settled again', async () => {
+  const { facilitator } = evmFacilitator();
+  const payment = signedPayment();
+
+  assert.equal((await facilitator.settle(payment, evmRequirements)).success, true);
+  const replay = await facilitator.settle(payment, evmRequirements);
+  assert.equal(replay.success, false);
+  assert.equal(replay.errorReason, 'invalid_exact_evm_payload_authorization_nonce');
+});
+
+test('EVM: rejects forged signatures and missing funds', async () => {
+  const { facilitator } = evmFacilitator();
+  const forged = signedPayment();
+  forged.payload.authorization.value = '20000';
+  assert.equal((await facilitator.verify(forged, evmRequirements)).invalidReason, 'invalid_exact_evm_payload_signature');
+
+  const { facilitator: broke } = evmFacilitator('500');
+  assert.equal((await broke.verify(signedPayment(), evmRequirements)).invalidReason, 'insufficient_funds');
+});
+
+// ---------------------------------------------------------------------------
+// Solana (SPL TransferChecked)
+// ---------------------------------------------------------------------------
+
+const USDC_SOLANA = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const feePayer = Keypair.generate();
+const solanaPayer = Keypair.generate();
+const solanaPayTo = Keypair.generate().publicKey.toBase58();
+
+const solanaRequirements = {
+  scheme: 'exact',
+  network: 'solana',
+  maxAmountRequired: '10000',
+  resource: 'http://localhost:3000/paid',
+  payTo: solanaPayTo,
+  maxTimeoutSeconds: 60,
+  asset: USDC_SOLANA
+};
+
+function transferPayment({ amount = 10000n, decimals = 6, unitLimit, unitPrice } = {}) {
+  const data = Buffer.alloc(10);
+  data[0] = 12; // TransferChecked
+  data.writeBigUInt64LE(amount, 1);
+  data[9] = decimals;
+  const transfer = new TransactionInstruction({
+    programId: new PublicKey(TOKEN_PROGRAM_ID),
+    data,
+    keys: [
+      { pubkey: new PublicKey(getAssociatedTokenAddress(solanaPayer.publicKey.toBase58(), USDC_SOLANA)), isSigner: false, isWritable: true },
+      { pubkey: new PublicKey(USDC_SOLANA), isSigner: false, isWritable: false },
+      { pubkey: new PublicKey(getAssociatedTokenAddress(solanaPayTo, USDC_SOLANA)), isSigner: false, isWritable: true },
+      { pubkey: solanaPayer.publicKey, isSigner: true, isWritable: false }
+    ]
+  });
+
+  const instructions = [];
+  if (unitLimit !== undefined) instructions.push(ComputeBudgetProgram.setComputeUnitLimit({ units: unitLimit }));
+  if (unitPrice !== undefined) instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: unitPrice }));
+  instructions.push(transfer);
+
+  const message = new TransactionMessage({
+    payerKey: feePayer.publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions
+  }).compileToV0Message();
+  const transaction = new VersionedTransaction(message);
+  transaction.sign([solanaPayer]);
+
+  return {
+    x402Version: 1,
+    scheme: 'exact',
+    network: 'solana',
+    payload: { transaction: Buffer.from(transaction.serialize()).toString('base64') }
+  };
+}
+
+function solanaFacilitator() {
+  const adapter = createMemoryLedgerAdapter({
+    network: 'solana',
+    feePayer: feePayer.publicKey.toBase58(),
+    balances: { [`${USDC_SOLANA}:${solanaPayer.publicKey.toBase58()}`]: '1000000' }
+  });
+  return { adapter, facilitator: createLocalFacilitator({ adapters: { solana: adapter } }) };
+}
+
+test('Solana: verifies and settles a partially signed transfer', async () => {
+  const { adapter, facilitator } = solanaFacilitator();
+  const payment = transferPayment({ unitLimit: 20000, unitPrice: 1000 });
+
+  const verification = await facilitator.verify(payment, solanaRequirements);
+  assert.deepEqual(verification, { isValid: true, payer: solanaPayer.publicKey.toBase58() });
+
+  assert.equal((await facilitator.settle(payment, solanaRequirements)).success, true);
+  assert.equal(await adapter.getBalance({ asset: USDC_SOLANA, owner: solanaPayTo }), 10000n);
+});
+
+test('Solana: rejects short amounts, wrong decimals and oversized compute budgets', async () => {
+  const { facilitator } = solanaFacilitator();
+  const reasons = async options => (await facilitator.verify(transferPayment(options), solanaRequirements)).invalidReason;
+
+  assert.equal(await reasons({ amount: 9999n }), 'invalid_exact_svm_payload_transaction_amount_mismatch');
+  assert.equal(await reasons({ decimals: 9 }), 'invalid_exact_svm_payload_transaction_decimals_mismatch');
+  assert.equal(await reasons({ unitLimit: 1400000 }), 'invalid_exact_svm_payload_transaction_instructions_compute_limit_instruction_too_high');
+  assert.equal(await reasons({ unitPrice: 100000000 }), 'invalid_exact_svm_payload_transaction_instructions_compute_price_instruction_too_high');
+});
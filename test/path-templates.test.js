@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePathTemplate, matchPathTemplate, substitutePathParameters, getExamplePath, clearPathTemplateCache } from '../path-templates.js';
+import { validateAgents } from '../agents-validator.js';
+
+const match = (path, requestPath) => matchPathTemplate(compilePathTemplate(path), requestPath);
+
+function agentWith(...endpoints) {
+  return [{
+    id: 'files',
+    name: 'Files',
+    description: 'Files agent',
+    icon: '📁',
+    groups: [{
+      id: 'main',
+      name: 'Main',
+      baseUrl: 'https://api.example.com',
+      endpoints: endpoints.map((endpoint, index) => ({
+        id: `endpoint-${index}`,
+        name: 'Endpoint',
+        description: 'Endpoint',
+        method: 'GET',
+        exampleResponse: {},
+        ...endpoint
+      }))
+    }]
+  }];
+}
+
+test('plain paths aren\'t templates', () => {
+  assert.equal(compilePathTemplate('/weather/current'), null);
+});
+
+test('parameters capture one decoded segment each', () => {
+  assert.deepEqual(match('/weather/:city/:day', '/weather/new%20york/monday'), { city: 'new york', day: 'monday' });
+  assert.equal(match('/weather/:city', '/weather/london/extra'), null);
+  assert.equal(match('/weather/:city', '/weather/'), null);
+  assert.deepEqual(match('/weather/:city', '/weather/%E0%A4%A'), { city: '%E0%A4%A' });
+});
+
+test('wildcards capture the rest of the path, named or not', () => {
+  assert.deepEqual(match('/files/*', '/files/a/b/c.txt'), { '*': 'a/b/c.txt' });
+  assert.deepEqual(match('/files/:bucket/*key', '/files/photos/2026/cat.png'), { bucket: 'photos', key: '2026/cat.png' });
+  assert.equal(compilePathTemplate('/files/*key').wildcard, 'key');
+});
+
+test('captures can\'t walk up the upstream\'s path', () => {
+  assert.equal(match('/files/*', '/files/a/../../secret'), null);
+  assert.equal(match('/files/*', '/files/a/%2e%2e/secret'), null);
+  assert.equal(match('/weather/:city', '/weather/%2e%2e'), null);
+  assert.deepEqual(match('/files/*', '/files/a/..b/c'), { '*': 'a/..b/c' });
+});
+
+test('parameters are substituted encoded, wildcards keep their slashes', () => {
+  assert.equal(substitutePathParameters('/cities/{city}/forecast', '/weather/:city', { city: 'new york/x' }), '/cities/new%20york%2Fx/forecast');
+  assert.equal(substitutePathParameters('/objects/{key}', '/files/*key', { key: 'a b/c' }), '/objects/a%20b/c');
+  assert.equal(substitutePathParameters('/objects/{missing}', '/files/*', {}), '/objects/{missing}');
+});
+
+test('example paths are filled from pathParameters', () => {
+  assert.equal(getExamplePath({ path: '/weather/:city/*', pathParameters: { city: 'são paulo', '*': 'daily/max' } }), '/weather/s%C3%A3o%20paulo/daily/max');
+  assert.equal(getExamplePath({ path: '/weather/:city' }), '/weather/:city');
+});
+
+test('templates that conflict with their upstreamUrl or each other are invalid', () => {
+  const uncaptured = validateAgents(agentWith({ path: '/files/:bucket', upstreamUrl: '/b/{bucket}/{key}', pathParameters: { region: 'eu' } }));
+  assert.deepEqual(uncaptured.errors.map(error => error.message), [
+    'placeholder {key} isn\'t captured by path "/files/:bucket" (captures {bucket})',
+    'example for "region", which path "/files/:bucket" doesn\'t capture'
+  ]);
+
+  const misplaced = validateAgents(agentWith({ path: '/files/*/meta', upstreamUrl: '/meta' }));
+  assert.deepEqual(misplaced.errors.map(error => error.message), ['a wildcard (*) can only be the last segment of a path']);
+
+  const duplicate = validateAgents(agentWith({ path: '/files/:id', upstreamUrl: '/{id}' }, { path: '/files/:id', upstreamUrl: '/v2/{id}' }));
+  assert.equal(duplicate.errors.length, 1);
+  assert.match(duplicate.errors[0].message, /duplicate path "\/files\/:id"/);
+});
+
+test('the compiled cache is cleared on reload', () => {
+  const template = compilePathTemplate('/cached/:id');
+  assert.equal(compilePathTemplate('/cached/:id'), template);
+
+  clearPathTemplateCache();
+  const recompiled = compilePathTemplate('/cached/:id');
+  assert.notEqual(recompiled, template);
+  assert.deepEqual(recompiled, template);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../store.js';
+import { createPaymentLedger, getPaymentIdentity } from '../payment-ledger.js';
+
+const requirements = { network: 'base', maxTimeoutSeconds: 60 };
+
+function payment(authorization = {}) {
+  return {
+    x402Version: 1,
+    scheme: 'exact',
+    network: 'base',
+    payload: {
+      signature: '0x',
+      authorization: {
+        from: '0xAbC0000000000000000000000000000000000001',
+        nonce: '0x01',
+        validBefore: Math.floor(Date.now() / 1000) + 60,
+        ...authorization
+      }
+    }
+  };
+}
+
+test('a payment can only be claimed once', async () => {
+  const ledger = createPaymentLedger({ store: createMemoryStore() });
+  const identity = getPaymentIdentity(payment(), requirements);
+
+  const first = await ledger.claim({ ...identity, resource: '/paid', network: 'base' });
+  assert.equal(first.accepted, true);
+
+  const replay = await ledger.claim({ ...identity, resource: '/other', network: 'base' });
+  assert.equal(replay.accepted, false);
+  assert.equal(replay.reason, 'payment_already_used');
+  assert.equal(replay.record.resource, '/paid');
+});
+
+test('the same authorization is one payment whatever the case of its address', async () => {
+  const ledger = createPaymentLedger({ store: createMemoryStore() });
+  const lower = getPaymentIdentity(payment({ from: '0xabc0000000000000000000000000000000000001' }), requirements);
+  const mixed = getPaymentIdentity(payment(), requirements);
+
+  assert.equal((await ledger.claim({ ...lower, resource: '/paid' })).accepted, true);
+  assert.equal((await ledger.claim({ ...mixed, resource: '/paid' })).accepted, false);
+});
+
+test('a released payment can be used again', async () => {
+  const ledger = createPaymentLedger({ store: createMemoryStore() });
+  const identity = getPaymentIdentity(payment(), requirements);
+
+  await ledger.claim({ ...identity, resource: '/paid' });
+  await ledger.release(identity.id);
+  assert.equal((await ledger.claim({ ...identity, resource: '/paid' })).accepted, true);
+});
+
+test('expired authorizations are rejected', async () => {
+  const ledger = createPaymentLedger({ store: createMemoryStore() });
+  const identity = getPaymentIdentity(payment({ validBefore: Math.floor(Date.now() / 1000) - 1 }), requirements);
+
+  const claim = await ledger.claim({ ...identity, resource: '/paid' });
+  assert.equal(claim.accepted, false);
+  assert.equal(claim.reason, 'payment_expired');
+});
+
+test('authorizations without a usable validBefore have no identity', () => {
+  for (const validBefore of [undefined, 'soon', -1, 1.5, '99999999999999999999']) {
+    assert.throws(
+      () => getPaymentIdentity(payment({ validBefore }), requirements),
+      { message: 'invalid_exact_evm_payload_authorization_valid_before' }
+    );
+  }
+});
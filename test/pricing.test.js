@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Keypair, PublicKey, TransactionInstruction, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { computePrice, hasCallerRule } from '../pricing.js';
+import { createPricingContextReader } from '../pricing-context.js';
+import { createSessionTokens } from '../credits.js';
+import { TOKEN_PROGRAM_ID } from '../local-facilitator.js';
+
+const CALLER = '0xAbC0000000000000000000000000000000000001';
+
+// 2026-10-19 is a Monday
+const at = iso => new Date(iso);
+
+test('the base amount is the price without rules', () => {
+  assert.deepEqual(computePrice({ amount: '10000' }), {
+    amount: '10000',
+    breakdown: [{ rule: 'base', amount: '10000' }]
+  });
+});
+
+test('perKilobyte bills every started KB after the free ones', () => {
+  const price = { amount: '100', rules: [{ type: 'perKilobyte', amount: '10', free: 1 }] };
+  assert.equal(computePrice(price, { bodySize: 0 }).amount, '100');
+  assert.equal(computePrice(price, { bodySize: 1024 }).amount, '100');
+  assert.equal(computePrice(price, { bodySize: 1025 }).amount, '110');
+  assert.equal(computePrice(price, { bodySize: 10 * 1024 }).amount, '190');
+});
+
+test('query rules price by value, per unit or by default', () => {
+  const byValue = { amount: '100', rules: [{ type: 'query', param: 'model', values: { small: '10', large: '50' }, default: '5' }] };
+  assert.equal(computePrice(byValue, { query: { model: 'large' } }).amount, '150');
+  assert.equal(computePrice(byValue, { query: { model: 'huge' } }).amount, '105');
+  assert.equal(computePrice(byValue, { query: { model: 'constructor' } }).amount, '105');
+  assert.equal(computePrice(byValue, { query: {} }).amount, '105');
+
+  const perUnit = { amount: '100', rules: [{ type: 'query', param: 'count', perUnit: '7' }] };
+  assert.equal(computePrice(perUnit, { query: { count: '2.5' } }).amount, '121');
+  assert.equal(computePrice(perUnit, { query: { count: '-4' } }).amount, '100');
+  assert.throws(() => computePrice(perUnit, { query: { count: 'many' } }), { status: 400 });
+  assert.throws(() => computePrice(perUnit, { query: { count: ['1', '2'] } }), { status: 400 });
+});
+
+test('timeOfDay applies inside its window, days and timezone only', () => {
+  const peak = { amount: '1000', rules: [{ type: 'timeOfDay', from: '09:00', to: '17:00', multiplier: 2, days: ['Mon', 'Tue'] }] };
+  assert.equal(computePrice(peak, { now: at('2026-10-19T09:00:00Z') }).amount, '2000');
+  assert.equal(computePrice(peak, { now: at('2026-10-19T17:00:00Z') }).amount, '1000');
+  assert.equal(computePrice(peak, { now: at('2026-10-21T12:00:00Z') }).amount, '1000');
+
+  const night = { amount: '1000', rules: [{ type: 'timeOfDay', from: '22:00', to: '06:00', multiplier: 0.5, timezone: 'America/New_York' }] };
+  assert.equal(computePrice(night, { now: at('2026-10-19T03:00:00Z') }).amount, '500');
+  assert.equal(computePrice(night, { now: at('2026-10-19T12:00:00Z') }).amount, '1000');
+});
+
+test('caller tiers match addresses whatever their case', () => {
+  const price = { amount: '1000', rules: [{ type: 'caller', tiers: [{ name: 'partner', callers: [CALLER.toLowerCase()], multiplier: 0.8 }] }] };
+  assert.equal(hasCallerRule(price), true);
+  assert.equal(computePrice(price, { caller: CALLER }).amount, '800');
+  assert.equal(computePrice(price, { caller: '0x2222222222222222222222222222222222222222' }).amount, '1000');
+  assert.equal(computePrice(price, {}).amount, '1000');
+});
+
+test('additive rules apply before multipliers, then the clamps', () => {
+  const price = {
+    amount: '100',
+    rules: [
+      { type: 'timeOfDay', from: '00:00', to: '24:00', multiplier: 1.5 },
+      { type: 'perKilobyte', amount: '100' },
+      { type: 'caller', tiers: [{ name: 'partner', callers: [CALLER], multiplier: 0.5 }] }
+    ]
+  };
+  const { amount, breakdown } = computePrice(price, { bodySize: 2048, caller: CALLER, now: at('2026-10-19T12:00:00Z') });
+  // (100 + 2 × 100) × 1.5 × 0.5
+  assert.equal(amount, '225');
+  assert.deepEqual(breakdown.map(step => [step.rule, step.amount]), [
+    ['base', '100'],
+    ['perKilobyte', '200'],
+    ['timeOfDay', '150'],
+    ['caller', '-225']
+  ]);
+
+  assert.equal(computePrice({ ...price, minAmount: '300' }, { bodySize: 2048, caller: CALLER }).amount, '300');
+  assert.equal(computePrice({ ...price, maxAmount: '200' }, { bodySize: 2048, caller: CALLER }).amount, '200');
+});
+
+test('multipliers round down to whole atomic units', () => {
+  assert.equal(computePrice({ amount: '3', rules: [{ type: 'timeOfDay', multiplier: 0.5 }] }).amount, '1');
+  assert.equal(computePrice({ amount: '1000001', rules: [{ type: 'timeOfDay', multiplier: 1.333333 }] }).amount, '1333334');
+});
+
+// ---------------------------------------------------------------------------
+// Pricing context
+// ---------------------------------------------------------------------------
+
+const sessionTokens = createSessionTokens({ secret: 'test-secret' });
+const getPricingContext = createPricingContextReader({ sessionTokens });
+
+const encode = payment => Buffer.from(JSON.stringify(payment)).toString('base64');
+
+function evmPayment(from) {
+  return encode({ x402Version: 1, scheme: 'exact', network: 'base', payload: { signature: '0x', authorization: { from } } });
+}
+
+function solanaPayment(authority) {
+  const data = Buffer.alloc(10);
+  data[0] = 12; // TransferChecked
+  data.writeBigUInt64LE(10000n, 1);
+  data[9] = 6;
+  const message = new TransactionMessage({
+    payerKey: Keypair.generate().publicKey,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    instructions: [new TransactionInstruction({
+      programId: new PublicKey(TOKEN_PROGRAM_ID),
+      data,
+      keys: [
+        { pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: true },
+        { pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: false },
+        { pubkey: Keypair.generate().publicKey, isSigner: false, isWritable: true },
+        { pubkey: authority, isSigner: true, isWritable: false }
+      ]
+    })]
+  }).compileToV0Message();
+  const transaction = Buffer.from(new VersionedTransaction(message).serialize()).toString('base64');
+  return encode({ x402Version: 1, scheme: 'exact', network: 'solana', payload: { transaction } });
+}
+
+const request = (headers = {}, query = {}) => ({ headers, query });
+
+test('the caller is the session\'s wallet before the payer of X-PAYMENT', () => {
+  const { token } = sessionTokens.issue('0xSession');
+  assert.equal(getPricingContext(request({ 'x-session-token': token, 'x-payment': evmPayment(CALLER) })).caller, '0xSession');
+  assert.equal(getPricingContext(request({ 'x-session-token': 'forged.token', 'x-payment': evmPayment(CALLER) })).caller, CALLER);
+});
+
+test('the caller is the EVM signer or the Solana authority, never a plain header', () => {
+  const authority = Keypair.generate().publicKey;
+  assert.equal(getPricingContext(request({ 'x-payment': solanaPayment(authority) })).caller, authority.toBase58());
+  assert.equal(getPricingContext(request({ 'x-payment': 'not base64 json' })).caller, null);
+  assert.equal(getPricingContext(request({ 'x-wallet-pubkey': CALLER })).caller, null);
+});
+
+test('session tokens in the query only count for WebSocket handshakes', () => {
+  const { token } = sessionTokens.issue('0xSession');
+  assert.equal(getPricingContext(request({}, { session_token: token })).caller, null);
+  assert.equal(getPricingContext({ ...request({}, { session_token: token }), ws: true }).caller, '0xSession');
+});
+
+test('the body size is the buffered body, else the declared length', () => {
+  assert.equal(getPricingContext(request({ 'content-length': '2048' })).bodySize, 2048);
+  assert.equal(getPricingContext(request({ 'content-length': '2048' }), Buffer.alloc(10)).bodySize, 10);
+  assert.deepEqual(getPricingContext(request({}, { model: 'large' })).query, { model: 'large' });
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { startGateway, startUpstream, agent } from './gateway.js';
+
+const JSON_BODY = '{"b": 2,  "a": [1]}';
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+let upstream;
+let gateway;
+// Lets /stream send its second chunk
+let releaseStream;
+
+before(async () => {
+  upstream = await startUpstream((req, res) => {
+    switch (req.url) {
+      case '/json':
+        res.writeHead(201, { 'Content-Type': 'application/json', 'Content-Length': JSON_BODY.length, 'Content-Disposition': 'attachment; filename="data.json"', 'X-RateLimit-Remaining': '4' });
+        return res.end(JSON_BODY);
+      case '/image':
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(PNG_BYTES);
+      case '/empty':
+        res.writeHead(204);
+        return res.end();
+      case '/gzip': {
+        const compressed = gzipSync(JSON_BODY);
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip', 'Content-Length': compressed.length });
+        return res.end(compressed);
+      }
+      case '/stream':
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.write('first;');
+        releaseStream = () => res.end('second');
+        return;
+      default:
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end('{"error":"not found"}');
+    }
+  });
+  gateway = await startGateway({
+    agents: [
+      agent('raw', upstream.url, [{ path: '/raw/*', upstreamUrl: '/{*}', method: ['GET', 'HEAD'] }], { responseMode: 'raw' }),
+      agent('envelope', upstream.url, [{ path: '/envelope/*', upstreamUrl: '/{*}', method: ['GET', 'HEAD'] }])
+    ]
+  });
+});
+
+after(async () => {
+  await gateway?.stop();
+  await upstream?.close();
+});
+
+test('raw mode passes the status, headers and body bytes through untouched', async () => {
+  const response = await fetch(`${gateway.url}/raw/json`);
+  assert.equal(response.status, 201);
+  assert.equal(response.headers.get('content-type'), 'application/json');
+  assert.equal(response.headers.get('content-length'), String(JSON_BODY.length));
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="data.json"');
+  assert.equal(response.headers.get('x-ratelimit-remaining'), '4');
+  assert.equal(await response.text(), JSON_BODY);
+
+  const missing = await fetch(`${gateway.url}/raw/missing`);
+  assert.equal(missing.status, 404);
+  assert.equal(await missing.text(), '{"error":"not found"}');
+});
+
+test('envelope mode wraps JSON and passes through what it can\'t wrap', async () => {
+  const wrapped = await fetch(`${gateway.url}/envelope/json`);
+  assert.equal(wrapped.status, 201);
+  const { timestamp, ...body } = await wrapped.json();
+  assert.ok(!Number.isNaN(Date.parse(timestamp)));
+  assert.deepEqual(body, { endpoint: '/envelope/*', agent: 'envelope', b: 2, a: [1] });
+
+  const image = await fetch(`${gateway.url}/envelope/image`);
+  assert.equal(image.headers.get('content-type'), 'image/png');
+  assert.deepEqual(Buffer.from(await image.arrayBuffer()), PNG_BYTES);
+
+  const empty = await fetch(`${gateway.url}/envelope/empty`);
+  assert.equal(empty.status, 204);
+  assert.equal(await empty.text(), '');
+
+  const head = await fetch(`${gateway.url}/envelope/json`, { method: 'HEAD' });
+  assert.equal(head.status, 201);
+  assert.equal(head.headers.get('content-type'), 'application/json');
+});
+
+test('a compressed upstream body is passed on decoded, without its compressed length', async () => {
+  const response = await fetch(`${gateway.url}/raw/gzip`);
+  assert.equal(response.headers.get('content-encoding'), null);
+  assert.equal(response.headers.get('content-length'), null);
+  assert.equal(await response.text(), JSON_BODY);
+});
+
+test('raw bodies are streamed as they arrive rather than buffered', async () => {
+  const response = await fetch(`${gateway.url}/raw/stream`);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  // The upstream hasn't finished yet - the first chunk must already be here
+  assert.equal(decoder.decode((await reader.read()).value), 'first;');
+  releaseStream();
+  let rest = '';
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    rest += decoder.decode(chunk.value);
+  }
+  assert.equal(rest, 'second');
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPublicKey, generateKeyPairSync, verify } from 'node:crypto';
+import { createMemoryStore } from '../store.js';
+import { createReceiptIssuer } from '../receipts.js';
+
+const fields = {
+  payer: '0xAbC0000000000000000000000000000000000001',
+  method: 'x402',
+  agentId: 'weather',
+  endpointId: 'current',
+  path: '/weather/current',
+  httpMethod: 'GET',
+  network: 'base',
+  asset: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  amount: '10000',
+  transaction: '0xfeed',
+  upstreamStatus: 200
+};
+
+function issuer() {
+  const { privateKey } = generateKeyPairSync('ed25519');
+  return createReceiptIssuer({ privateKey, store: createMemoryStore({ sweepIntervalMs: 0 }) });
+}
+
+// Checks a compact JWS the way any JOSE library would, with only the published JWKS
+function verifyWithJwks(token, jwks) {
+  const [header, payload, signature] = token.split('.');
+  const { alg, kid } = JSON.parse(Buffer.from(header, 'base64url').toString('utf-8'));
+  const jwk = jwks.keys.find(key => key.kid === kid);
+  assert.equal(alg, 'EdDSA');
+  assert.ok(jwk, `no published key "${kid}"`);
+  return verify(null, Buffer.from(`${header}.${payload}`), createPublicKey({ key: jwk, format: 'jwk' }), Buffer.from(signature, 'base64url'));
+}
+
+test('an issued receipt verifies against the published key', async () => {
+  const receipts = issuer();
+  const { id, receipt, token } = await receipts.issue(fields);
+
+  assert.equal(verifyWithJwks(token, receipts.getPublicKeys()), true);
+  assert.deepEqual(JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8')), receipt);
+  assert.deepEqual(await receipts.verify(token), { valid: true, receipt, recorded: true });
+  assert.equal((await receipts.get(id)).token, token);
+});
+
+test('a tampered receipt fails verification', async () => {
+  const receipts = issuer();
+  const { receipt, token } = await receipts.issue(fields);
+  const [header, , signature] = token.split('.');
+  const tampered = `${header}.${Buffer.from(JSON.stringify({ ...receipt, amount: '1' })).toString('base64url')}.${signature}`;
+
+  assert.equal(verifyWithJwks(tampered, receipts.getPublicKeys()), false);
+  assert.deepEqual(await receipts.verify(tampered), { valid: false, reason: 'invalid_signature' });
+  assert.deepEqual(await receipts.verify('not-a-receipt'), { valid: false, reason: 'malformed_receipt' });
+});
+
+test('receipts signed by another key are refused', async () => {
+  const { token } = await issuer().issue(fields);
+  assert.deepEqual(await issuer().verify(token), { valid: false, reason: 'unknown_signing_key' });
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { getRefundPolicy, classifyUpstreamFailure, createRefundLog } from '../refunds.js';
+import { createManualPayoutAdapter, createWebhookPayoutAdapter, createChainPayoutAdapter, createPayoutAdapterFromEnv } from '../payout-adapters.js';
+import { createMemoryLedgerAdapter } from '../chain-adapters.js';
+
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PAY_TO = '0x1111111111111111111111111111111111111111';
+const PAYER = '0xabc0000000000000000000000000000000000001';
+const instruction = { network: 'base', asset: USDC_BASE, from: PAY_TO, to: PAYER, amount: '10000', reference: 'payment-1' };
+
+// Whether a failed call is refunded under a price block, as the request handler decides it
+function isRefunded(price, proxyResult) {
+  const failure = classifyUpstreamFailure(proxyResult);
+  return Boolean(failure) && getRefundPolicy(price).on.includes(failure);
+}
+
+test('upstream failures are classified by how the call failed', () => {
+  assert.equal(classifyUpstreamFailure({ success: false, timedOut: true }), 'timeout');
+  assert.equal(classifyUpstreamFailure({ success: false }), 'error');
+  assert.equal(classifyUpstreamFailure({ success: true, statusCode: 503 }), '5xx');
+  assert.equal(classifyUpstreamFailure({ success: true, statusCode: 404 }), '4xx');
+  assert.equal(classifyUpstreamFailure({ success: true, statusCode: 304 }), null);
+  assert.equal(classifyUpstreamFailure({ success: true, statusCode: 200 }), null);
+});
+
+test('by default everything but a 4xx is refunded and the payment is not settled', () => {
+  const price = { amount: '10000' };
+  assert.deepEqual(getRefundPolicy(price), { policy: 'skip', on: ['error', 'timeout', '5xx'] });
+
+  assert.equal(isRefunded(price, { success: false }), true);
+  assert.equal(isRefunded(price, { success: false, timedOut: true }), true);
+  assert.equal(isRefunded(price, { success: true, statusCode: 502 }), true);
+  assert.equal(isRefunded(price, { success: true, statusCode: 400 }), false);
+  assert.equal(isRefunded(price, { success: true, statusCode: 200 }), false);
+});
+
+test('a policy refunds only the failures it lists', () => {
+  const price = { amount: '10000', refund: { policy: 'credit', on: ['timeout', '4xx'] } };
+  assert.equal(getRefundPolicy(price).policy, 'credit');
+
+  assert.equal(isRefunded(price, { success: true, statusCode: 429 }), true);
+  assert.equal(isRefunded(price, { success: false, timedOut: true }), true);
+  assert.equal(isRefunded(price, { success: false }), false);
+  assert.equal(isRefunded(price, { success: true, statusCode: 500 }), false);
+});
+
+test('unknown policies are configuration errors', () => {
+  assert.throws(() => getRefundPolicy({ refund: { policy: 'chargeback' } }), /Unknown refund policy "chargeback"/);
+});
+
+test('the refund log lists decisions newest first, by payer and status', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'x402-refunds-'));
+  try {
+    const log = createRefundLog({ path: join(dir, 'refunds.jsonl') });
+    log.record({ paymentId: 'a', payer: PAYER, status: 'paid' });
+    log.record({ paymentId: 'b', payer: PAYER.toUpperCase().replace('0X', '0x'), status: 'pending' });
+    log.record({ paymentId: 'c', payer: PAY_TO, status: 'pending' });
+
+    assert.deepEqual(log.list().map(entry => entry.paymentId), ['c', 'b', 'a']);
+    assert.deepEqual(log.list({ payer: PAYER }).map(entry => entry.paymentId), ['b', 'a']);
+    assert.deepEqual(log.list({ status: 'pending', limit: 1 }).map(entry => entry.paymentId), ['c']);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Payout adapters
+// ---------------------------------------------------------------------------
+
+test('manual payouts stay pending', async () => {
+  assert.deepEqual(await createManualPayoutAdapter().refund(instruction), { status: 'pending' });
+  assert.equal(createPayoutAdapterFromEnv({}).name, 'manual');
+  assert.throws(() => createPayoutAdapterFromEnv({ REFUND_PAYOUT_ADAPTER: 'webhook' }), /REFUND_WEBHOOK_URL is required/);
+});
+
+test('webhook payouts post the instruction and report the service\'s answer', async () => {
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ authorization: req.headers.authorization, body: JSON.parse(body) });
+      if (received.length > 1) {
+        res.statusCode = 500;
+        return res.end();
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ status: 'paid', transaction: '0xrefund' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const adapter = createWebhookPayoutAdapter({ url: `http://127.0.0.1:${server.address().port}`, secret: 'treasury-secret' });
+
+    assert.deepEqual(await adapter.refund(instruction), { status: 'paid', transaction: '0xrefund' });
+    assert.deepEqual(received[0], { authorization: 'Bearer treasury-secret', body: { type: 'refund', ...instruction } });
+    await assert.rejects(adapter.refund(instruction), /Refund webhook responded with 500/);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('local payouts transfer from payTo back to the payer', async () => {
+  const chain = createMemoryLedgerAdapter({ network: 'base', balances: { [`${USDC_BASE}:${PAY_TO}`]: '10000' } });
+  const adapter = createChainPayoutAdapter({ adapters: { base: chain } });
+
+  const payout = await adapter.refund(instruction);
+  assert.equal(payout.status, 'paid');
+  assert.ok(payout.transaction);
+  assert.equal(await chain.getBalance({ asset: USDC_BASE, owner: PAYER }), 10000n);
+  assert.equal(await chain.getBalance({ asset: USDC_BASE, owner: PAY_TO }), 0n);
+  await assert.rejects(adapter.refund({ ...instruction, network: 'solana' }), /No chain adapter with transfer support for network "solana"/);
+});
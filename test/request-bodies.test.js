@@ -0,0 +1,91 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startGateway, startUpstream, readBody, agent } from './gateway.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+let upstream;
+let gateway;
+const received = [];
+
+before(async () => {
+  upstream = await startUpstream(async (req, res) => {
+    const body = await readBody(req);
+    received.push({ method: req.method, url: req.url, contentType: req.headers['content-type'], body });
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ bytes: body.length }));
+  });
+  gateway = await startGateway({
+    agents: [
+      agent('files', upstream.url, [
+        { path: '/files/upload', upstreamUrl: '/upload', method: ['POST', 'PUT'], maxBodyBytes: 16 },
+        { path: '/files/paid', upstreamUrl: '/paid', method: 'POST', price: { amount: '10000', asset: '0xA0b8', network: 'base', payTo: '0x1111111111111111111111111111111111111111' } },
+        { path: '/files/*', upstreamUrl: '/objects/{*}', method: ['GET', 'POST'] }
+      ], { maxBodyBytes: 64 }),
+      // Catches every path no other endpoint serves, the gateway's own routes included
+      agent('catch-all', upstream.url, [{ path: '/*', upstreamUrl: '/{*}', method: ['GET', 'POST', 'PUT'] }])
+    ],
+    env: { ADMIN_TOKEN }
+  });
+});
+
+after(async () => {
+  await gateway?.stop();
+  await upstream?.close();
+});
+
+function post(path, body, headers = {}) {
+  return fetch(`${gateway.url}${path}`, { method: 'POST', headers, body });
+}
+
+test('bodies reach the upstream byte for byte with their content type', async () => {
+  const cases = [
+    { contentType: 'application/json', body: Buffer.from('{"b": 2,  "a": [1]}') },
+    { contentType: 'application/x-www-form-urlencoded', body: Buffer.from('a=1&a=2&b=%20') },
+    { contentType: 'application/octet-stream', body: Buffer.from([0, 255, 13, 10, 128, 1, 0]) }
+  ];
+  for (const { contentType, body } of cases) {
+    received.length = 0;
+    const response = await post('/files/reports/q1.bin', body, { 'Content-Type': contentType });
+    assert.equal(response.status, 200);
+    assert.equal(received[0].url, '/objects/reports/q1.bin');
+    assert.equal(received[0].contentType, contentType);
+    assert.deepEqual(received[0].body, body);
+  }
+});
+
+test('bodies over the endpoint or group limit are refused with 413', async () => {
+  received.length = 0;
+  assert.equal((await post('/files/upload', 'x'.repeat(16))).status, 200);
+
+  const tooLarge = await post('/files/upload', 'x'.repeat(17));
+  assert.equal(tooLarge.status, 413);
+  assert.equal((await tooLarge.json()).maxBodyBytes, 16);
+
+  // The group's limit applies to endpoints without their own
+  assert.equal((await post('/files/a.txt', 'x'.repeat(64))).status, 200);
+  assert.equal((await post('/files/a.txt', 'x'.repeat(65))).status, 413);
+  assert.equal(received.length, 2);
+});
+
+test('a body over the limit is refused before any payment is asked for', async () => {
+  assert.equal((await post('/files/paid', 'x'.repeat(65))).status, 413);
+  assert.equal((await post('/files/paid', 'x'.repeat(64))).status, 402);
+});
+
+test('a wildcard agent endpoint doesn\'t stop the gateway\'s own routes from reading their bodies', async () => {
+  received.length = 0;
+  const created = await post('/admin/agents', JSON.stringify(agent('news', upstream.url, [{ path: '/news', upstreamUrl: '/news' }])), {
+    Authorization: `Bearer ${ADMIN_TOKEN}`,
+    'Content-Type': 'application/json'
+  });
+  assert.equal(created.status, 201);
+
+  const verified = await post('/receipts/verify', 'token=not-a-receipt', { 'Content-Type': 'application/x-www-form-urlencoded' });
+  assert.equal(verified.status, 200);
+  assert.equal((await verified.json()).valid, false);
+
+  // Paths the gateway doesn't serve itself still reach the catch-all
+  assert.equal((await post('/anything/else', 'raw')).status, 200);
+  assert.deepEqual(received.map(request => [request.url, request.body.toString()]), [['/anything/else', 'raw']]);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../store.js';
+import { getRevenueSplit, routePayTo, splitAmount, createSettlementLedger, toCsv } from '../revenue.js';
+
+const USDC_BASE = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const OWNER_EVM = '0x2222222222222222222222222222222222222222';
+const OPERATOR_EVM = '0x3333333333333333333333333333333333333333';
+const PRICE_PAY_TO = '0x1111111111111111111111111111111111111111';
+
+const requirements = { scheme: 'exact', network: 'base', maxAmountRequired: '10001', payTo: PRICE_PAY_TO, asset: USDC_BASE };
+
+test('the fee rounds down and the owner gets the rest', () => {
+  assert.deepEqual(splitAmount('10001', 10), { fee: '1000', owed: '9001' });
+  assert.deepEqual(splitAmount('9', 33.33), { fee: '2', owed: '7' });
+  assert.deepEqual(splitAmount('1', 99.99), { fee: '0', owed: '1' });
+  assert.deepEqual(splitAmount('1000', 0), { fee: '0', owed: '1000' });
+  assert.deepEqual(splitAmount('1000', 100), { fee: '1000', owed: '0' });
+  // Large amounts stay exact
+  assert.deepEqual(splitAmount('123456789012345678901', 2.5), { fee: '3086419725308641972', owed: '120370369287037036929' });
+});
+
+test('fee and owner share always add up to the charged amount', () => {
+  for (const amount of ['0', '1', '7', '99', '10000', '10001', '999999999999999999999']) {
+    for (const feePercent of [0, 0.01, 1, 12.5, 33.33, 50, 66.67, 99.99, 100]) {
+      const { fee, owed } = splitAmount(amount, feePercent);
+      assert.equal(BigInt(fee) + BigInt(owed), BigInt(amount), `${amount} at ${feePercent}%`);
+      assert.ok(BigInt(fee) >= 0n && BigInt(owed) >= 0n);
+    }
+  }
+});
+
+test('group revenue fields override the agent\'s and the fee is validated', () => {
+  const agent = { id: 'weather', revenue: { owner: 'acme', ownerPayTo: OWNER_EVM, feePercent: 10 } };
+  assert.deepEqual(getRevenueSplit(agent, {}), { owner: 'acme', ownerPayTo: OWNER_EVM, feePercent: 10 });
+  assert.deepEqual(getRevenueSplit(agent, { revenue: { feePercent: 0 } }), { owner: 'acme', ownerPayTo: OWNER_EVM, feePercent: 0 });
+  assert.equal(getRevenueSplit({ id: 'own' }, {}), null);
+  assert.throws(() => getRevenueSplit(agent, { revenue: { feePercent: 150 } }), /between 0 and 100/);
+});
+
+test('payments go to the owner without a fee, else to the operator', () => {
+  const split = { owner: 'acme', ownerPayTo: { evm: OWNER_EVM }, feePercent: 0 };
+  assert.equal(routePayTo(requirements, split, {}).payTo, OWNER_EVM);
+  assert.equal(routePayTo(requirements, { ...split, feePercent: 10 }, { evm: OPERATOR_EVM }).payTo, OPERATOR_EVM);
+  assert.equal(routePayTo(requirements, { ...split, feePercent: 10 }, {}).payTo, PRICE_PAY_TO);
+  assert.throws(() => routePayTo({ ...requirements, network: 'solana' }, split, {}), /No revenue.ownerPayTo address for network "solana"/);
+});
+
+test('the settlement report sums sales and payouts per owner', async () => {
+  const ledger = createSettlementLedger({ store: createMemoryStore({ sweepIntervalMs: 0 }) });
+  const split = { owner: 'acme', ownerPayTo: OWNER_EVM, feePercent: 10 };
+  const operatorPaid = { ...requirements, payTo: OPERATOR_EVM };
+
+  const sale = await ledger.recordSale({ split, requirements: operatorPaid, agentId: 'weather', endpointId: 'current', method: 'x402', transaction: '0x01' });
+  assert.equal(BigInt(sale.fee) + BigInt(sale.owed), BigInt(sale.gross));
+  await ledger.recordSale({ split, requirements: { ...operatorPaid, maxAmountRequired: '3' }, agentId: 'weather', endpointId: 'current', method: 'credits', transaction: 'debit-1' });
+  const direct = await ledger.recordSale({ split, requirements: { ...requirements, payTo: OWNER_EVM }, agentId: 'news', endpointId: 'latest', method: 'x402', transaction: '0x02' });
+  assert.deepEqual([direct.direct, direct.fee, direct.owed], [true, '0', '0']);
+  await ledger.recordPayout({ ownerPayTo: OWNER_EVM, network: 'base', asset: USDC_BASE, amount: '5000' });
+
+  const [report] = await ledger.getReport();
+  assert.deepEqual({ ...report }, {
+    owner: 'acme',
+    ownerPayTo: OWNER_EVM,
+    network: 'base',
+    asset: USDC_BASE,
+    agents: ['weather', 'news'],
+    sales: 3,
+    gross: '20005',
+    fees: '1000',
+    owed: '9004',
+    paidOut: '5000',
+    outstanding: '4004'
+  });
+  assert.deepEqual(await ledger.getPayoutInstructions(), [
+    { owner: 'acme', network: 'base', asset: USDC_BASE, to: OWNER_EVM, amount: '4004' }
+  ]);
+  assert.equal(toCsv([report], ['owner', 'agents', 'outstanding']), 'owner,agents,outstanding\nacme,weather news,4004\n');
+});
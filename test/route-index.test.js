@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'node:fs';
+import { createRouteIndex } from '../route-index.js';
+import { compilePathTemplate, matchPathTemplate } from '../path-templates.js';
+import { startGateway, startUpstream, agent } from './gateway.js';
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// The lookup the route index replaced: exact paths, then every template in order
+function linearLookup(agents, path) {
+  for (const agent of agents) {
+    for (const group of agent.groups) {
+      const endpoint = group.endpoints.find(ep => ep.path === path);
+      if (endpoint) return { agent, group, endpoint, params: {} };
+    }
+  }
+  for (const agent of agents) {
+    for (const group of agent.groups) {
+      for (const endpoint of group.endpoints) {
+        const template = compilePathTemplate(endpoint.path);
+        const params = template && matchPathTemplate(template, path);
+        if (params) return { agent, group, endpoint, params };
+      }
+    }
+  }
+  return null;
+}
+
+function endpoints(paths) {
+  return [{ id: 'a', groups: [{ id: 'g', endpoints: paths.map((path, index) => ({ id: `e${index}`, path })) }] }];
+}
+
+function lookupId(index, path) {
+  return index.lookup(path)?.endpoint.id ?? null;
+}
+
+test('finds what the linear lookup finds when no two templates overlap', () => {
+  const agents = [];
+  for (let a = 0; a < 5; a++) {
+    agents.push({
+      id: `agent-${a}`,
+      groups: Array.from({ length: 4 }, (_, g) => ({
+        id: `group-${g}`,
+        endpoints: Array.from({ length: 10 }, (_, e) => ({
+          id: `endpoint-${e}`,
+          path: [`/agent-${a}/group-${g}/endpoint-${e}`, `/agent-${a}/group-${g}/items-${e}/:id`, `/agent-${a}/group-${g}/files-${e}/*key`][e % 3]
+        }))
+      }))
+    });
+  }
+  const index = createRouteIndex(agents);
+  assert.equal(index.size, 200);
+
+  const paths = ['/', '', 'agent-0/group-0/endpoint-0', '/missing', '/agent-4/group-3/endpoint-9/extra', '/agent-1/group-1/items-1/', '/agent-1/group-1/files-2/../secret'];
+  for (const agent of agents) {
+    for (const group of agent.groups) {
+      for (const endpoint of group.endpoints) {
+        paths.push(endpoint.path.replace(':id', 'item%20one').replace('*key', 'a/b/c.txt'));
+      }
+    }
+  }
+  for (const path of paths) {
+    assert.deepEqual(index.lookup(path), linearLookup(agents, path), path);
+  }
+});
+
+test('the most specific endpoint wins whatever order the endpoints come in', () => {
+  const paths = ['/files/*', '/files/:name', '/files/:name/meta', '/files/readme', '/files/:name/*'];
+  for (const order of [paths, [...paths].reverse()]) {
+    const index = createRouteIndex(endpoints(order));
+    const id = path => index.lookup(path)?.endpoint.path ?? null;
+
+    assert.equal(id('/files/readme'), '/files/readme');
+    assert.equal(id('/files/report'), '/files/:name');
+    assert.equal(id('/files/report/meta'), '/files/:name/meta');
+    assert.equal(id('/files/report/a/b'), '/files/:name/*');
+    assert.equal(id('/files/'), '/files/*');
+  }
+
+  // The linear lookup took the first template defined instead
+  const agents = endpoints(['/files/*', '/files/:name']);
+  assert.equal(linearLookup(agents, '/files/report').endpoint.path, '/files/*');
+  assert.equal(createRouteIndex(agents).lookup('/files/report').endpoint.path, '/files/:name');
+});
+
+test('a static segment that leads nowhere falls back to a parameter', () => {
+  const index = createRouteIndex(endpoints(['/users/me/settings', '/users/:id/posts']));
+  assert.equal(lookupId(index, '/users/me/posts'), 'e1');
+  assert.deepEqual(index.lookup('/users/me/posts').params, { id: 'me' });
+  assert.equal(lookupId(index, '/users/me/other'), null);
+});
+
+test('the first of two endpoints with the same path wins', () => {
+  const index = createRouteIndex(endpoints(['/same', '/same', '/items/:id', '/items/:other']));
+  assert.equal(lookupId(index, '/same'), 'e0');
+  assert.equal(lookupId(index, '/items/1'), 'e2');
+  assert.deepEqual(index.lookup('/items/1').params, { id: '1' });
+  assert.deepEqual(index.paths, ['/same', '/same', '/items/:id', '/items/:other']);
+});
+
+let upstream;
+let gateway;
+before(async () => {
+  upstream = await startUpstream((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ url: req.url }));
+  });
+  gateway = await startGateway({
+    agents: [agent('items', upstream.url, [
+      { path: '/items/:id', upstreamUrl: '/items/{id}', method: 'GET' },
+      { path: '/items/new', upstreamUrl: '/new', method: 'POST' }
+    ])],
+    env: { ADMIN_TOKEN }
+  });
+});
+after(async () => {
+  await gateway?.stop();
+  await upstream?.close();
+});
+
+// The upstream path a request was forwarded to
+async function forwardedTo(path, method = 'GET') {
+  return (await (await fetch(`${gateway.url}${path}`, { method })).json()).url;
+}
+
+test('the path picks the endpoint and a method it doesn\'t accept is a 405', async () => {
+  assert.equal(await forwardedTo('/items/42'), '/items/42');
+  assert.equal(await forwardedTo('/items/new', 'POST'), '/new');
+
+  // /items/new is served by its own endpoint, even for a method only /items/:id accepts
+  const wrongMethod = await fetch(`${gateway.url}/items/new`);
+  assert.equal(wrongMethod.status, 405);
+  assert.deepEqual((await wrongMethod.json()).allowedMethods, ['POST']);
+  assert.equal((await fetch(`${gateway.url}/items/42`, { method: 'DELETE' })).status, 405);
+});
+
+test('a reload swaps the index for the new agents', async () => {
+  writeFileSync(gateway.agentsPath, JSON.stringify([agent('items', upstream.url, [
+    { path: '/products/:id', upstreamUrl: '/products/{id}', method: 'GET' }
+  ])]));
+  const reloaded = await fetch(`${gateway.url}/admin/reload`, { method: 'POST', headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  assert.equal(reloaded.status, 200);
+
+  assert.equal(await forwardedTo('/products/7'), '/products/7');
+  assert.equal((await fetch(`${gateway.url}/items/42`)).status, 404);
+});
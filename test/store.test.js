@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMemoryStore } from '../store.js';
+
+test('expired keys are dropped by a sweep even if never read again', async () => {
+  const store = createMemoryStore({ sweepIntervalMs: 0 });
+  await store.set('short', { a: 1 }, 5);
+  await store.setIfAbsent('claimed', { b: 2 }, 5);
+  await store.set('kept', { c: 3 }, 60000);
+  await store.set('forever', { d: 4 });
+
+  await sleep(20);
+  assert.equal(store.sweep(), 2);
+  assert.equal(store.sweep(), 0);
+  assert.deepEqual(await store.get('kept'), { c: 3 });
+  assert.deepEqual(await store.get('forever'), { d: 4 });
+  assert.equal(await store.setIfAbsent('claimed', { b: 3 }), true);
+});
+
+test('the periodic sweep runs on its own', async () => {
+  const store = createMemoryStore({ sweepIntervalMs: 10 });
+  await store.set('short', { a: 1 }, 5);
+
+  await sleep(50);
+  assert.equal(store.sweep(), 0);
+});
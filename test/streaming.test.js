@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { once } from 'node:events';
+import { createStreamMeter, createIdleTimeout, isEventStream } from '../streaming.js';
+import { startGateway, startUpstream, agent, payment } from './gateway.js';
+
+// Push chunks through a meter whose hook stops it past `stopAfter` units, and collect what comes out
+async function meter(chunks, { stopAfter = Infinity, ...options } = {}) {
+  const usages = [];
+  const stops = [];
+  const meterStream = createStreamMeter({
+    hooks: [usage => {
+      usages.push(usage);
+      return usage.totalUnits > stopAfter ? { stop: 'stream_limit_reached' } : undefined;
+    }],
+    trailer: reason => `event: error\ndata: ${reason}\n\n`,
+    ...options
+  });
+  meterStream.on('stop', reason => stops.push(reason));
+  const output = [];
+  for await (const chunk of Readable.from(chunks.map(chunk => Buffer.from(chunk))).pipe(meterStream)) {
+    output.push(chunk.toString());
+  }
+  return { output, usages, stops, totals: meterStream.totals() };
+}
+
+test('SSE events are counted across chunk boundaries and comments are free', async () => {
+  const { output, usages, totals } = await meter([': keep-alive\n\n', 'data: one\n', '\ndata: tw', 'o\r\n\r\nevent: x\ndata: 3\n\n'], { unit: 'event' });
+  assert.deepEqual(usages.map(usage => usage.units), [0, 1, 1, 1]);
+  assert.deepEqual(totals, { unit: 'event', units: 3, bytes: output.join('').length });
+});
+
+test('chunks and started kilobytes are counted', async () => {
+  assert.deepEqual((await meter(['a', 'b', 'c'], { unit: 'chunk' })).totals, { unit: 'chunk', units: 3, bytes: 3 });
+
+  const { usages } = await meter(['x'.repeat(1000), 'x'.repeat(100), 'x'.repeat(2000)], { unit: 'kb' });
+  assert.deepEqual(usages.map(usage => [usage.units, usage.totalUnits]), [[1, 1], [1, 2], [2, 4]]);
+});
+
+test('a hook stops the stream before the chunk it refused, and the trailer is sent instead', async () => {
+  const { output, stops, totals } = await meter(['a', 'b', 'c'], { unit: 'chunk', stopAfter: 2 });
+  assert.equal(output.join(''), 'abevent: error\ndata: stream_limit_reached\n\n');
+  assert.deepEqual(stops, ['stream_limit_reached']);
+  assert.equal(totals.units, 2);
+});
+
+test('events arriving in one chunk are metered one by one and never delivered in part', async () => {
+  const { output, usages, stops } = await meter(['data: 1\n\n: ping\n\ndata: 2\n\ndata: 3\n\ndata: ', '4\n\n'], { unit: 'event', stopAfter: 3 });
+  assert.deepEqual(usages.map(usage => usage.units), [1, 0, 1, 1, 1]);
+  assert.equal(output.join(''), 'data: 1\n\n: ping\n\ndata: 2\n\ndata: 3\n\nevent: error\ndata: stream_limit_reached\n\n');
+  assert.deepEqual(stops, ['stream_limit_reached']);
+
+  // Without hooks nothing waits for the end of an event
+  const unmetered = createStreamMeter({ unit: 'event' });
+  unmetered.write('data: 1\n\ndata: ');
+  await once(unmetered, 'readable');
+  assert.equal(unmetered.read().toString(), 'data: 1\n\ndata: ');
+  unmetered.destroy();
+
+  // An unfinished last event still goes out
+  assert.equal((await meter(['data: 1\n\ndata: ', '2'], { unit: 'event' })).output.join(''), 'data: 1\n\ndata: 2');
+});
+
+test('a failing hook fails the stream', async () => {
+  await assert.rejects(meter(['a'], { hooks: [() => { throw new Error('ledger unavailable'); }] }), { message: 'ledger unavailable' });
+});
+
+test('the idle timeout fires only when nothing arrives in time', async () => {
+  let idle = 0;
+  const timeout = createIdleTimeout(50, () => { idle++; });
+  timeout.write('a');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  timeout.write('b');
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(idle, 0);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(idle, 1);
+  timeout.destroy();
+
+  assert.equal(isEventStream('text/event-stream; charset=utf-8'), true);
+  assert.equal(isEventStream('text/plain'), false);
+});
+
+const PAY_TO = '0x1111111111111111111111111111111111111111';
+const ASSET = '0xA0b8';
+
+let upstream;
+let gateway;
+before(async () => {
+  // /events?n=<count> sends count SSE events, one chunk each
+  upstream = await startUpstream(async (req, res) => {
+    const count = Number(new URL(req.url, 'http://upstream').searchParams.get('n'));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (let index = 1; index <= count && !res.destroyed; index++) {
+      res.write(`data: ${index}\n\n`);
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+    res.end();
+  });
+  gateway = await startGateway({
+    agents: [agent('events', upstream.url, [{
+      path: '/events',
+      upstreamUrl: '/events',
+      price: { amount: '1000', asset: ASSET, network: 'base', payTo: PAY_TO, stream: { unit: 'event', amount: '100', included: 2 } }
+    }])],
+    env: { CREDITS_PAY_TO: PAY_TO, CREDITS_ASSET: ASSET, CREDITS_MIN_TOPUP: '1000', CREDITS_STREAM_RESERVE_UNITS: '5' }
+  });
+});
+after(async () => {
+  await gateway?.stop();
+  await upstream?.close();
+});
+
+async function events(count, headers) {
+  const response = await fetch(`${gateway.url}/events?n=${count}`, { headers });
+  const body = await response.text();
+  return {
+    status: response.status,
+    delivered: body.match(/^data: \d+$/gm)?.length ?? 0,
+    stopped: body.match(/^event: error\ndata: (.*)$/m)?.[1] ?? null
+  };
+}
+
+async function balance(token) {
+  // Unused reservations are credited back once the stream has closed
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const response = await fetch(`${gateway.url}/credits/balance`, { headers: { 'X-SESSION-TOKEN': token } });
+  return (await response.json()).balances[`base:${ASSET.toLowerCase()}`];
+}
+
+test('credits pay for each streamed event until they run out', async () => {
+  const topUp = await fetch(`${gateway.url}/credits/topup?amount=2500`, { method: 'POST', headers: { 'X-PAYMENT': payment({ to: PAY_TO, value: 2500 }) } });
+  assert.equal(topUp.status, 200);
+  const { token } = await topUp.json();
+  const headers = { 'X-SESSION-TOKEN': token };
+
+  // 1000 for the call, 2 events included, 2 more at 100 - the rest of the reservation comes back
+  assert.deepEqual(await events(4, headers), { status: 200, delivered: 4, stopped: null });
+  assert.equal(await balance(token), '1300');
+
+  // 1000 for the call leaves 300: 3 events past the included 2, then the stream is cut off
+  assert.deepEqual(await events(50, headers), { status: 200, delivered: 5, stopped: JSON.stringify({ error: 'Stream stopped', reason: 'insufficient_credits' }) });
+  assert.equal(await balance(token), '0');
+});
+
+test('a call paid with X-PAYMENT gets the included events only', async () => {
+  const result = await events(10, { 'X-PAYMENT': payment({ to: PAY_TO, value: 1000 }) });
+  assert.deepEqual(result, { status: 200, delivered: 2, stopped: JSON.stringify({ error: 'Stream stopped', reason: 'stream_limit_reached' }) });
+});
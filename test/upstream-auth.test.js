@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { createUpstreamAuth, checkUpstreamAuth, preservesCallerAuthorization } from '../upstream-auth.js';
+import { startGateway, startUpstream, readBody, agent } from './gateway.js';
+
+async function applied(auth, { method = 'GET', url = 'https://api.example.com/v1/items?page=2', headers = {}, body } = {}) {
+  const request = { method, url: new URL(url), headers: { ...headers }, body };
+  await createUpstreamAuth().apply(auth, request);
+  return request;
+}
+
+test('static strategies set their header or query parameter, replacing the caller\'s', async () => {
+  assert.deepEqual((await applied({ type: 'header', name: 'X-Api-Key', value: 'k1' }, { headers: { 'x-api-key': 'caller' } })).headers, { 'X-Api-Key': 'k1' });
+  assert.deepEqual((await applied({ type: 'bearer', token: 't1' }, { headers: { authorization: 'Bearer caller' } })).headers, { Authorization: 'Bearer t1' });
+  assert.deepEqual((await applied({ type: 'basic', username: 'user', password: 'p:ss' })).headers, { Authorization: `Basic ${Buffer.from('user:p:ss').toString('base64')}` });
+  assert.equal((await applied({ type: 'query', name: 'api_key', value: 'a&b' })).url.search, '?page=2&api_key=a%26b');
+  assert.deepEqual((await applied(undefined, { headers: { 'X-Caller': '1' } })).headers, { 'X-Caller': '1' });
+});
+
+test('hmac signs the timestamp, method, path and body hash', async () => {
+  const body = Buffer.from('{"a":1}');
+  const { headers } = await applied({ type: 'hmac', secret: 's3cret', algorithm: 'sha512', header: 'X-Sig', encoding: 'base64' }, { method: 'post', body });
+
+  const timestamp = headers['X-Timestamp'];
+  assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+  const payload = [timestamp, 'POST', '/v1/items?page=2', createHash('sha256').update(body).digest('hex')].join('\n');
+  assert.equal(headers['X-Sig'], createHmac('sha512', 's3cret').update(payload).digest('base64'));
+});
+
+test('incomplete auth blocks are reported and the caller\'s Authorization is dropped by default', () => {
+  assert.deepEqual(checkUpstreamAuth({ type: 'basic', username: 'user' }), [{ property: 'password', message: '"basic" auth needs "password"' }]);
+  assert.deepEqual(checkUpstreamAuth({ type: 'hmac', secret: 's', algorithm: 'md5', encoding: 'utf8' }).map(problem => problem.property), ['algorithm', 'encoding']);
+  assert.deepEqual(checkUpstreamAuth({ type: 'unknown' }), []);
+
+  assert.equal(preservesCallerAuthorization(undefined), true);
+  assert.equal(preservesCallerAuthorization({ type: 'header', name: 'X-Key', value: 'k' }), false);
+  assert.equal(preservesCallerAuthorization({ type: 'header', name: 'X-Key', value: 'k', callerAuthorization: 'preserve' }), true);
+});
+
+// OAuth2 token endpoint handing out token-1, token-2, ... and refusing client "bad"
+let tokenServer;
+const tokenRequests = [];
+before(async () => {
+  tokenServer = await startUpstream(async (req, res) => {
+    const [clientId, clientSecret] = Buffer.from(req.headers.authorization.split(' ')[1], 'base64').toString().split(':');
+    const form = new URLSearchParams((await readBody(req)).toString());
+    tokenRequests.push({ clientId, clientSecret, grantType: form.get('grant_type'), scope: form.get('scope') });
+    res.setHeader('Content-Type', 'application/json');
+    if (clientId === 'bad') {
+      res.statusCode = 401;
+      return res.end(JSON.stringify({ error: 'invalid_client' }));
+    }
+    res.end(JSON.stringify({ access_token: `token-${tokenRequests.length}`, expires_in: 3600 }));
+  });
+});
+after(() => tokenServer?.close());
+
+function oauth2(options = {}) {
+  return { type: 'oauth2', tokenUrl: `${tokenServer.url}/token`, clientId: 'client', clientSecret: 's3cret', scope: 'read', ...options };
+}
+
+test('oauth2 fetches one token for concurrent requests and caches it', async () => {
+  tokenRequests.length = 0;
+  const upstreamAuth = createUpstreamAuth();
+  const requests = Array.from({ length: 3 }, () => ({ method: 'GET', url: new URL('https://api.example.com'), headers: {} }));
+  await Promise.all(requests.map(request => upstreamAuth.apply(oauth2(), request)));
+  await upstreamAuth.apply(oauth2(), requests[0]);
+
+  assert.deepEqual(requests.map(request => request.headers.Authorization), ['Bearer token-1', 'Bearer token-1', 'Bearer token-1']);
+  assert.deepEqual(tokenRequests, [{ clientId: 'client', clientSecret: 's3cret', grantType: 'client_credentials', scope: 'read' }]);
+
+  // Another scope is another token
+  const other = { method: 'GET', url: new URL('https://api.example.com'), headers: {} };
+  await upstreamAuth.apply(oauth2({ scope: 'write' }), other);
+  assert.equal(other.headers.Authorization, 'Bearer token-2');
+});
+
+test('oauth2 fetches a new token once the old one is invalidated', async () => {
+  tokenRequests.length = 0;
+  const upstreamAuth = createUpstreamAuth();
+  const request = { method: 'GET', url: new URL('https://api.example.com'), headers: {} };
+  await upstreamAuth.apply(oauth2(), request);
+
+  assert.equal(upstreamAuth.invalidate(oauth2()), true);
+  assert.equal(upstreamAuth.invalidate(oauth2()), false);
+  assert.equal(upstreamAuth.invalidate({ type: 'bearer', token: 't' }), false);
+
+  await upstreamAuth.apply(oauth2(), request);
+  assert.equal(request.headers.Authorization, 'Bearer token-2');
+});
+
+test('a refused token request fails the request and isn\'t cached', async () => {
+  tokenRequests.length = 0;
+  const upstreamAuth = createUpstreamAuth();
+  const request = { method: 'GET', url: new URL('https://api.example.com'), headers: {} };
+  await assert.rejects(upstreamAuth.apply(oauth2({ clientId: 'bad' }), request), { message: 'OAuth2 token request failed (401 invalid_client)' });
+  await assert.rejects(upstreamAuth.apply(oauth2({ clientId: 'bad' }), request));
+  assert.equal(tokenRequests.length, 2);
+});
+
+test('the gateway retries once with a new token when the upstream answers 401', async () => {
+  tokenRequests.length = 0;
+  // Accepts the second token only, as if the first had been revoked
+  const seen = [];
+  const upstream = await startUpstream((req, res) => {
+    seen.push({ authorization: req.headers.authorization, apiKey: req.headers['x-api-key'] });
+    res.setHeader('Content-Type', 'application/json');
+    res.statusCode = req.headers.authorization === 'Bearer token-2' ? 200 : 401;
+    res.end(JSON.stringify({ ok: res.statusCode === 200 }));
+  });
+  const gateway = await startGateway({
+    agents: [
+      agent('oauth', upstream.url, [{ path: '/oauth', upstreamUrl: '/data' }], { auth: oauth2() }),
+      agent('keyed', upstream.url, [{ path: '/keyed', upstreamUrl: '/data' }], { auth: { type: 'header', name: 'X-Api-Key', value: 'gateway-key' } })
+    ]
+  });
+  try {
+    const response = await fetch(`${gateway.url}/oauth`, { headers: { Authorization: 'Bearer caller' } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(seen.map(request => request.authorization), ['Bearer token-1', 'Bearer token-2']);
+    assert.equal(tokenRequests.length, 2);
+
+    // A 401 for a static credential isn't retried, and the caller's Authorization isn't forwarded
+    seen.length = 0;
+    assert.equal((await fetch(`${gateway.url}/keyed`, { headers: { Authorization: 'Bearer caller' } })).status, 401);
+    assert.deepEqual(seen, [{ authorization: undefined, apiKey: 'gateway-key' }]);
+  } finally {
+    await gateway.stop();
+    await upstream.close();
+  }
+});
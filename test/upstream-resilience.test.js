@@ -0,0 +1,113 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRetryPolicy, shouldRetry, getBackoffMs, createCircuitBreakers, IDEMPOTENT_METHODS } from '../upstream-resilience.js';
+import { startGateway, startUpstream, agent } from './gateway.js';
+
+test('an endpoint\'s retry policy replaces its group\'s and fills in the defaults', () => {
+  assert.equal(getRetryPolicy({}, {}), null);
+  assert.deepEqual(getRetryPolicy({ retry: { attempts: 5 } }, {}), { attempts: 5, backoffMs: 200, maxBackoffMs: 2000, methods: IDEMPOTENT_METHODS, on: ['error', 'timeout', '5xx'] });
+  assert.equal(getRetryPolicy({ retry: { attempts: 5 } }, { retry: { attempts: 2 } }).attempts, 2);
+  assert.equal(getRetryPolicy({ retry: { attempts: 5 } }, { retry: false }), null);
+});
+
+test('only failures the policy names, for its methods, are retried until the attempts run out', () => {
+  const policy = getRetryPolicy({ retry: { attempts: 3, on: ['error', '5xx'] } });
+  assert.equal(shouldRetry(policy, 'GET', 'error', 1), true);
+  assert.equal(shouldRetry(policy, 'GET', '5xx', 2), true);
+  assert.equal(shouldRetry(policy, 'GET', '5xx', 3), false);
+  assert.equal(shouldRetry(policy, 'GET', 'timeout', 1), false);
+  assert.equal(shouldRetry(policy, 'GET', '4xx', 1), false);
+  assert.equal(shouldRetry(policy, 'GET', null, 1), false);
+  assert.equal(shouldRetry(policy, 'POST', 'error', 1), false);
+  assert.equal(shouldRetry(null, 'GET', 'error', 1), false);
+});
+
+test('backoff doubles per attempt up to the cap, with up to half of it as jitter', () => {
+  const policy = getRetryPolicy({ retry: { backoffMs: 100, maxBackoffMs: 350 } });
+  mock.method(Math, 'random', () => 0);
+  try {
+    assert.deepEqual([1, 2, 3, 4].map(attempt => getBackoffMs(policy, attempt)), [50, 100, 175, 175]);
+    Math.random.mock.mockImplementation(() => 0.999999);
+    assert.deepEqual([1, 2, 3, 4].map(attempt => getBackoffMs(policy, attempt)), [100, 200, 350, 350]);
+  } finally {
+    mock.restoreAll();
+  }
+});
+
+test('a breaker opens after the threshold, half-opens after the reset time and closes on success', () => {
+  mock.timers.enable({ apis: ['Date'] });
+  try {
+    const breakers = createCircuitBreakers({ failureThreshold: 3, resetMs: 1000 });
+    const breaker = breakers.get('weather/main');
+
+    breaker.failure();
+    breaker.failure();
+    breaker.success();
+    breaker.failure();
+    breaker.failure();
+    assert.deepEqual(breaker.check(), { allowed: true });
+    breaker.failure();
+    assert.deepEqual(breaker.check(), { allowed: false, retryAfterMs: 1000 });
+    assert.equal(breakers.snapshot()['weather/main'].state, 'open');
+
+    mock.timers.tick(1000);
+    assert.deepEqual(breaker.check(), { allowed: true });
+    assert.equal(breaker.snapshot().state, 'half-open');
+    // One failure while half-open is enough to open it again
+    breaker.failure();
+    assert.equal(breaker.check().allowed, false);
+
+    mock.timers.tick(1000);
+    breaker.check();
+    breaker.success();
+    assert.deepEqual(breaker.snapshot(), { state: 'closed', failures: 0 });
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('a group keeps its breaker across settings changes until it turns it off', () => {
+  const breakers = createCircuitBreakers({ failureThreshold: 1 });
+  breakers.get('a/g').failure();
+  assert.equal(breakers.get('a/g', { failureThreshold: 10 }).check().allowed, false);
+
+  assert.equal(breakers.get('a/g', { enabled: false }), null);
+  assert.deepEqual(breakers.snapshot(), {});
+  assert.equal(breakers.get('a/g').check().allowed, true);
+});
+
+test('the gateway retries a failing upstream and turns requests away once its breaker opens', async () => {
+  // Fails the first two calls of every request id, and every call to /down
+  const calls = [];
+  const upstream = await startUpstream((req, res) => {
+    calls.push(req.url);
+    const failing = req.url.startsWith('/down') || calls.filter(url => url === req.url).length <= 2;
+    res.writeHead(failing ? 503 : 200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: !failing }));
+  });
+  const gateway = await startGateway({
+    agents: [
+      agent('flaky', upstream.url, [{ path: '/flaky/:id', upstreamUrl: '/flaky/{id}' }], { retry: { attempts: 3, backoffMs: 1 } }),
+      agent('down', upstream.url, [{ path: '/down', upstreamUrl: '/down' }], { circuitBreaker: { failureThreshold: 2, resetMs: 60000 } })
+    ]
+  });
+  try {
+    assert.equal((await fetch(`${gateway.url}/flaky/1`)).status, 200);
+    assert.deepEqual(calls, ['/flaky/1', '/flaky/1', '/flaky/1']);
+    calls.length = 0;
+
+    assert.equal((await fetch(`${gateway.url}/down`)).status, 503);
+    assert.equal((await fetch(`${gateway.url}/down`)).status, 503);
+    const turnedAway = await fetch(`${gateway.url}/down`);
+    assert.equal(turnedAway.status, 503);
+    assert.equal((await turnedAway.json()).error, 'Service Unavailable');
+    assert.equal(turnedAway.headers.get('retry-after'), '60');
+    assert.deepEqual(calls, ['/down', '/down']);
+
+    const health = await (await fetch(`${gateway.url}/health`)).json();
+    assert.equal(health.upstreams['down/main'].state, 'open');
+  } finally {
+    await gateway.stop();
+    await upstream.close();
+  }
+});
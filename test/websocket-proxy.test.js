@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket, { WebSocketServer } from 'ws';
+import { toWebSocketUrl } from '../websocket-proxy.js';
+import { startGateway, agent, payment } from './gateway.js';
+
+const PAY_TO = '0x1111111111111111111111111111111111111111';
+
+test('http(s) upstream URLs become ws(s) URLs', () => {
+  assert.equal(toWebSocketUrl(new URL('http://api.example.com/v1/stream?a=1')).href, 'ws://api.example.com/v1/stream?a=1');
+  assert.equal(toWebSocketUrl(new URL('https://api.example.com/')).href, 'wss://api.example.com/');
+  assert.equal(toWebSocketUrl(new URL('wss://api.example.com/')).href, 'wss://api.example.com/');
+});
+
+let upstream;
+let gateway;
+// Handshakes the upstream accepted: { url, protocol }
+const connections = [];
+
+before(async () => {
+  // Echoes every message; "close" makes it close with 4001
+  upstream = new WebSocketServer({ host: '127.0.0.1', port: 0, handleProtocols: protocols => protocols.has('v2') ? 'v2' : false });
+  await once(upstream, 'listening');
+  upstream.on('connection', (socket, req) => {
+    connections.push({ url: req.url, protocol: socket.protocol });
+    socket.on('message', (data, isBinary) => {
+      if (!isBinary && data.toString() === 'close') return socket.close(4001, 'bye');
+      socket.send(data, { binary: isBinary });
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+  gateway = await startGateway({
+    agents: [agent('ticker', baseUrl, [
+      { path: '/ws/free', upstreamUrl: '/free', protocol: 'ws' },
+      { path: '/ws/paid', upstreamUrl: '/paid', protocol: 'ws', price: { amount: '10000', asset: '0xA0b8', network: 'base', payTo: PAY_TO } },
+      { path: '/plain', upstreamUrl: '/plain' }
+    ])]
+  });
+});
+
+after(async () => {
+  await gateway?.stop();
+  for (const client of upstream?.clients || []) client.terminate();
+  await new Promise(resolve => upstream ? upstream.close(resolve) : resolve());
+});
+
+// Open a client connection - resolves with the socket, or with the HTTP status the handshake was refused with
+function connect(path, options = {}, protocols = []) {
+  const socket = new WebSocket(`${gateway.url.replace('http', 'ws')}${path}`, protocols, options);
+  return new Promise((resolve, reject) => {
+    socket.once('open', () => resolve({ socket }));
+    socket.once('unexpected-response', (req, res) => {
+      res.resume();
+      resolve({ status: res.statusCode });
+    });
+    socket.once('error', reject);
+  });
+}
+
+test('an unpaid handshake is answered with 402 and never reaches the upstream', async () => {
+  connections.length = 0;
+  assert.deepEqual(await connect('/ws/paid'), { status: 402 });
+  assert.deepEqual(await connect('/ws/paid', { headers: { 'X-PAYMENT': 'not-a-payment' } }), { status: 402 });
+  assert.deepEqual(connections, []);
+});
+
+test('a paid handshake is tunnelled to the upstream', async () => {
+  connections.length = 0;
+  const { socket } = await connect('/ws/paid', { headers: { 'X-PAYMENT': payment({ to: PAY_TO, value: 10000 }) } });
+  socket.send('hello');
+  const [reply] = await once(socket, 'message');
+  assert.equal(reply.toString(), 'hello');
+  assert.deepEqual(connections, [{ url: '/paid', protocol: '' }]);
+  socket.close();
+  await once(socket, 'close');
+});
+
+test('frames, the subprotocol and the close code pass through, and the session token stays at the gateway', async () => {
+  connections.length = 0;
+  const { socket } = await connect('/ws/free?session_token=ws-session-secret&room=1', {}, ['v1', 'v2']);
+  assert.equal(socket.protocol, 'v2');
+  assert.deepEqual(connections, [{ url: '/free?room=1', protocol: 'v2' }]);
+
+  socket.send(Buffer.from([0, 1, 2, 255]));
+  const [binary, isBinary] = await once(socket, 'message');
+  assert.equal(isBinary, true);
+  assert.deepEqual(binary, Buffer.from([0, 1, 2, 255]));
+
+  socket.send('close');
+  const [code, reason] = await once(socket, 'close');
+  assert.equal(code, 4001);
+  assert.equal(reason.toString(), 'bye');
+  assert.doesNotMatch(gateway.output(), /ws-session-secret/);
+});
+
+test('endpoints that aren\'t WebSocket endpoints refuse the upgrade', async () => {
+  assert.deepEqual(await connect('/plain'), { status: 400 });
+  assert.deepEqual(await connect('/missing'), { status: 404 });
+});
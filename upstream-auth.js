@@ -0,0 +1,190 @@
+/**
+ * Upstream Authentication
+ *
+ * A group's `auth` block adds the upstream's credentials to every proxied
+ * request, so callers never see them. Values can be ${ENV_VAR} or
+ * secret://name references (see secrets.js).
+ *
+ * Strategies (`type`):
+ * - header: { name, value } - a static header ("X-Api-Key: ...")
+ * - bearer: { token } - Authorization: Bearer <token>
+ * - basic:  { username, password } - Authorization: Basic <base64>
+ * - query:  { name, value } - a query parameter ("?api_key=...")
+ * - hmac:   { secret, algorithm = sha256, header = X-Signature,
+ *             timestampHeader = X-Timestamp, encoding = hex|base64 }
+ *           signs "<unix timestamp>\n<METHOD>\n<path?query>\n<sha256 hex of the body>"
+ * - oauth2: { tokenUrl, clientId, clientSecret, scope?, audience? }
+ *           client-credentials grant; tokens are cached until shortly before
+ *           they expire and fetched again when the upstream answers 401
+ *
+ * The caller's own Authorization header is stripped whenever a group has an
+ * auth block, unless `callerAuthorization` is "preserve" (a strategy that sets
+ * Authorization itself still wins).
+ */
+
+import { createHash, createHmac } from 'crypto';
+
+export const AUTH_TYPES = ['header', 'bearer', 'basic', 'query', 'hmac', 'oauth2'];
+
+const REQUIRED_FIELDS = {
+  header: ['name', 'value'],
+  bearer: ['token'],
+  basic: ['username', 'password'],
+  query: ['name', 'value'],
+  hmac: ['secret'],
+  oauth2: ['tokenUrl', 'clientId', 'clientSecret']
+};
+const HMAC_ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+const DEFAULT_TOKEN_TIMEOUT_MS = 10000;
+// Tokens are refreshed this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Check an auth block for missing or unknown settings
+ *
+ * @returns {Array<{property: string, message: string}>} Problems, relative to the auth block
+ */
+export function checkUpstreamAuth(auth) {
+  if (!AUTH_TYPES.includes(auth?.type)) {
+    return []; // Reported by the schema
+  }
+  const problems = REQUIRED_FIELDS[auth.type]
+    .filter(field => typeof auth[field] !== 'string' || auth[field] === '')
+    .map(field => ({ property: field, message: `"${auth.type}" auth needs "${field}"` }));
+
+  if (auth.type === 'hmac' && auth.algorithm && !HMAC_ALGORITHMS.includes(auth.algorithm)) {
+    problems.push({ property: 'algorithm', message: `must be one of ${HMAC_ALGORITHMS.join(', ')}` });
+  }
+  if (auth.type === 'hmac' && auth.encoding && !['hex', 'base64'].includes(auth.encoding)) {
+    problems.push({ property: 'encoding', message: 'must be hex or base64' });
+  }
+  return problems;
+}
+
+/**
+ * Whether the caller's Authorization header is kept for an auth block
+ */
+export function preservesCallerAuthorization(auth) {
+  return !auth || auth.callerAuthorization === 'preserve';
+}
+
+function setHeader(headers, name, value) {
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === name.toLowerCase()) {
+      delete headers[key];
+    }
+  }
+  headers[name] = value;
+}
+
+/**
+ * Create the upstream authenticator
+ *
+ * @param {Object} options - { timeoutMs (for OAuth2 token requests) }
+ */
+export function createUpstreamAuth({ timeoutMs = DEFAULT_TOKEN_TIMEOUT_MS } = {}) {
+  // OAuth2 tokens by token URL, client and scope: { token, expiresAt } or { pending }
+  const tokens = new Map();
+
+  function tokenKey(auth) {
+    return JSON.stringify([auth.tokenUrl, auth.clientId, auth.scope || '', auth.audience || '']);
+  }
+
+  async function requestToken(auth) {
+    const form = new URLSearchParams({ grant_type: 'client_credentials' });
+    if (auth.scope) form.set('scope', auth.scope);
+    if (auth.audience) form.set('audience', auth.audience);
+
+    const credentials = `${encodeURIComponent(auth.clientId)}:${encodeURIComponent(auth.clientSecret)}`;
+    const response = await fetch(auth.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+        Authorization: `Basic ${Buffer.from(credentials).toString('base64')}`
+      },
+      body: form.toString(),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.access_token) {
+      throw new Error(`OAuth2 token request failed (${response.status}${result.error ? ` ${result.error}` : ''})`);
+    }
+    const ttlSeconds = Number(result.expires_in) || DEFAULT_TOKEN_TTL_SECONDS;
+    return { token: result.access_token, expiresAt: Date.now() + ttlSeconds * 1000 - TOKEN_EXPIRY_MARGIN_MS };
+  }
+
+  // Concurrent requests share one token request
+  async function getToken(auth) {
+    const key = tokenKey(auth);
+    const cached = tokens.get(key);
+    if (cached?.pending) {
+      return (await cached.pending).token;
+    }
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.token;
+    }
+
+    const pending = requestToken(auth);
+    tokens.set(key, { pending });
+    try {
+      const fetched = await pending;
+      tokens.set(key, fetched);
+      return fetched.token;
+    } catch (error) {
+      tokens.delete(key);
+      throw error;
+    }
+  }
+
+  return {
+    /**
+     * Add credentials to an outgoing request (in place)
+     *
+     * @param {Object} auth - The group's auth block, references resolved
+     * @param {Object} request - { method, url (URL), headers, body (Buffer|string|undefined) }
+     */
+    async apply(auth, request) {
+      if (!auth) return;
+      const { headers } = request;
+
+      switch (auth.type) {
+        case 'header':
+          setHeader(headers, auth.name, auth.value);
+          break;
+        case 'bearer':
+          setHeader(headers, 'Authorization', `Bearer ${auth.token}`);
+          break;
+        case 'basic':
+          setHeader(headers, 'Authorization', `Basic ${Buffer.from(`${auth.username}:${auth.password}`).toString('base64')}`);
+          break;
+        case 'query':
+          request.url.searchParams.set(auth.name, auth.value);
+          break;
+        case 'hmac': {
+          const timestamp = String(Math.floor(Date.now() / 1000));
+          const bodyHash = createHash('sha256').update(request.body || '').digest('hex');
+          const payload = [timestamp, request.method.toUpperCase(), `${request.url.pathname}${request.url.search}`, bodyHash].join('\n');
+          setHeader(headers, auth.timestampHeader || 'X-Timestamp', timestamp);
+          setHeader(headers, auth.header || 'X-Signature', createHmac(auth.algorithm || 'sha256', auth.secret).update(payload).digest(auth.encoding || 'hex'));
+          break;
+        }
+        case 'oauth2':
+          setHeader(headers, 'Authorization', `Bearer ${await getToken(auth)}`);
+          break;
+        default:
+          throw new Error(`Unknown upstream auth type "${auth.type}"`);
+      }
+    },
+
+    /**
+     * Forget a cached OAuth2 token the upstream rejected
+     *
+     * @returns {boolean} true if there was one to forget (the request is worth retrying)
+     */
+    invalidate(auth) {
+      return auth?.type === 'oauth2' && tokens.delete(tokenKey(auth));
+    }
+  };
+}
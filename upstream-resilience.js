@@ -0,0 +1,160 @@
+/**
+ * Upstream Retries and Circuit Breakers
+ *
+ * A group or endpoint can retry failed upstream calls:
+ *
+ *   "retry": { "attempts": 3, "backoffMs": 200, "maxBackoffMs": 2000, "methods": ["GET"], "on": ["error", "timeout", "5xx"] }
+ *
+ * - attempts:     calls in total, the first one included (default 3)
+ * - backoffMs:    wait before the first retry, doubled for every further one (default 200)
+ * - maxBackoffMs: cap on the wait (default 2000)
+ * - methods:      methods that are retried (default: the idempotent ones)
+ * - on:           failures that are retried - error (network), timeout, 5xx (default: all three)
+ *
+ * Every group has a circuit breaker. After `failureThreshold` consecutive
+ * failed calls (errors, timeouts, 5xx) it opens, and requests are turned away
+ * without calling the upstream until `resetMs` has passed. Then requests go
+ * through again ("half-open") - the first success closes the breaker, the
+ * first failure opens it for another `resetMs`:
+ *
+ *   "circuitBreaker": { "failureThreshold": 5, "resetMs": 30000 }   ("enabled": false turns it off)
+ *
+ * Breakers live in memory, so every PM2 instance keeps its own.
+ */
+
+export const RETRY_TRIGGERS = ['error', 'timeout', '5xx'];
+export const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+const DEFAULT_RETRY = { attempts: 3, backoffMs: 200, maxBackoffMs: 2000, methods: IDEMPOTENT_METHODS, on: RETRY_TRIGGERS };
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_MS = 30000;
+
+/**
+ * The effective retry policy of an endpoint (an endpoint's `retry` replaces its group's)
+ *
+ * @returns {Object|null} null when the endpoint isn't retried
+ */
+export function getRetryPolicy(group = {}, endpoint = {}) {
+  const retry = endpoint.retry ?? group.retry;
+  if (!retry) {
+    return null;
+  }
+  return { ...DEFAULT_RETRY, ...retry };
+}
+
+/**
+ * Whether a failed call is worth another attempt
+ *
+ * @param {Object|null} policy - From getRetryPolicy
+ * @param {string} method - Request method
+ * @param {string|null} failure - From classifyUpstreamFailure (refunds.js)
+ * @param {number} attempt - Attempts made so far
+ */
+export function shouldRetry(policy, method, failure, attempt) {
+  return Boolean(policy && failure)
+    && attempt < policy.attempts
+    && policy.methods.includes(method)
+    && policy.on.includes(failure);
+}
+
+/**
+ * Wait before the next attempt - exponential, with jitter so callers that failed
+ * together don't all retry at the same moment
+ *
+ * @param {number} attempt - Attempts made so far (1 before the first retry)
+ */
+export function getBackoffMs(policy, attempt) {
+  const ceiling = Math.min(policy.maxBackoffMs, policy.backoffMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function createBreaker() {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let options = {};
+
+  return {
+    configure(config) {
+      options = config;
+      return this;
+    },
+
+    /**
+     * Whether requests may call the upstream now
+     *
+     * @returns {{allowed: true}|{allowed: false, retryAfterMs: number}}
+     */
+    check() {
+      if (state === 'open') {
+        const retryAfterMs = openedAt + options.resetMs - Date.now();
+        if (retryAfterMs > 0) {
+          return { allowed: false, retryAfterMs };
+        }
+        state = 'half-open';
+      }
+      return { allowed: true };
+    },
+
+    success() {
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+    },
+
+    failure() {
+      failures++;
+      if (state === 'half-open' || failures >= options.failureThreshold) {
+        state = 'open';
+        openedAt = Date.now();
+      }
+    },
+
+    snapshot() {
+      return {
+        state,
+        failures,
+        ...(state === 'open' && {
+          openedAt: new Date(openedAt).toISOString(),
+          retryAfterMs: Math.max(0, openedAt + options.resetMs - Date.now())
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Create the circuit breakers of all upstreams
+ *
+ * @param {Object} defaults - { failureThreshold, resetMs } for groups that don't set their own
+ */
+export function createCircuitBreakers({ failureThreshold = DEFAULT_FAILURE_THRESHOLD, resetMs = DEFAULT_RESET_MS } = {}) {
+  const breakers = new Map();
+
+  return {
+    /**
+     * The breaker of an upstream, with the group's current settings
+     *
+     * @param {string} key - e.g. "agentId/groupId"
+     * @param {Object} config - The group's `circuitBreaker`
+     * @returns {Object|null} null when the group turned its breaker off
+     */
+    get(key, { enabled = true, ...config } = {}) {
+      if (!enabled) {
+        breakers.delete(key);
+        return null;
+      }
+      if (!breakers.has(key)) {
+        breakers.set(key, createBreaker());
+      }
+      return breakers.get(key).configure({ failureThreshold, resetMs, ...config });
+    },
+
+    /**
+     * State of every breaker that has seen a call, for /health
+     */
+    snapshot() {
+      return Object.fromEntries([...breakers].map(([key, breaker]) => [key, breaker.snapshot()]));
+    }
+  };
+}
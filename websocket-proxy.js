@@ -0,0 +1,182 @@
+/**
+ * WebSocket Proxying
+ *
+ * Endpoints declared with "protocol": "ws" are reached with a WebSocket
+ * handshake instead of a plain request:
+ *
+ *   { "id": "ticker", "path": "/market/ticker", "method": "GET", "protocol": "ws", "upstreamUrl": "/v1/stream" }
+ *
+ * The handshake goes through the Express app like any other GET, so the
+ * paywall, credits and upstream auth apply unchanged - a request that isn't
+ * paid for is answered with an ordinary HTTP 402 and never upgraded. Only once
+ * the upstream has accepted its own handshake does the gateway answer the
+ * client's, and from then on frames are tunnelled both ways as they are.
+ */
+
+import http from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+
+// Close codes a peer can report but that can't be sent in a close frame
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+// Bytes queued for a slow receiver before the sending side stops being read
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Completes client handshakes - the upgrade requests themselves come from the HTTP server
+const clientServer = new WebSocketServer({
+  noServer: true,
+  // The client gets the subprotocol the upstream picked
+  handleProtocols: (protocols, req) => req.ws.protocol || false
+});
+clientServer.on('headers', (headers, req) => {
+  headers.push(...req.ws.headers);
+});
+
+/**
+ * Convert an http(s) upstream URL to ws(s) - group baseUrls are usually written as http(s)
+ *
+ * @param {URL} url
+ */
+export function toWebSocketUrl(url) {
+  url.protocol = url.protocol.replace(/^http/, 'ws');
+  return url;
+}
+
+/**
+ * Route the upgrade requests of an HTTP server through an Express app
+ * The app sees a GET with `req.ws` set and a response written straight to the
+ * socket, so anything it answers instead of upgrading (402, 401, 404, ...)
+ * reaches the client as a plain HTTP response, after which the connection closes.
+ */
+export function handleUpgrades(server, app) {
+  server.on('upgrade', (req, socket, head) => {
+    // Resets by clients are routine - the tunnel's close handlers clean up
+    socket.on('error', () => socket.destroy());
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    req.ws = { socket, head, protocol: null, headers: [] };
+    app(req, res);
+  });
+}
+
+/**
+ * Open the upstream side of a tunnel
+ * The upstream socket is paused until tunnel() so no message is lost while the payment settles.
+ *
+ * @param {URL} url - ws:// or wss:// URL
+ * @param {Object} options - { protocols (the client's), headers, timeoutMs (for the handshake) }
+ * @returns {Promise<{socket, response}|{response, cancel}>} The open socket and its 101 response, or the plain HTTP response the upstream answered with
+ * @throws {Error} On network errors, or named TimeoutError if the handshake takes longer than timeoutMs
+ */
+export function connectUpstream(url, { protocols = [], headers = {}, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url, protocols, { headers });
+    const timer = setTimeout(() => {
+      reject(Object.assign(new Error(`no handshake within ${timeoutMs}ms`), { name: 'TimeoutError' }));
+      socket.terminate();
+    }, timeoutMs);
+    const fail = error => {
+      clearTimeout(timer);
+      reject(error);
+    };
+
+    let upgrade = null;
+    socket.on('error', fail);
+    socket.once('upgrade', response => {
+      upgrade = response;
+    });
+    socket.once('open', () => {
+      clearTimeout(timer);
+      socket.off('error', fail);
+      socket.pause();
+      resolve({ socket, response: upgrade });
+    });
+    socket.once('unexpected-response', (request, response) => {
+      clearTimeout(timer);
+      socket.off('error', fail);
+      socket.on('error', () => {});
+      resolve({ response, cancel: () => request.destroy() });
+    });
+  });
+}
+
+function closeWith(socket, code, reason) {
+  if (socket.readyState === WebSocket.CLOSING || socket.readyState === WebSocket.CLOSED) {
+    return;
+  }
+  if (RESERVED_CLOSE_CODES.includes(code)) {
+    socket.close();
+  } else {
+    socket.close(code, reason);
+  }
+}
+
+/**
+ * Relay messages from one socket to the other, pausing the sender while the
+ * receiver has more than MAX_BUFFERED_BYTES queued and resuming once it drains
+ */
+function forward(from, to, onMessage) {
+  from.on('message', (data, isBinary) => {
+    onMessage();
+    if (to.readyState !== WebSocket.OPEN) return;
+    to.send(data, { binary: isBinary }, () => {
+      if (from.isPaused && to.bufferedAmount < MAX_BUFFERED_BYTES) from.resume();
+    });
+    if (to.bufferedAmount >= MAX_BUFFERED_BYTES) from.pause();
+  });
+}
+
+/**
+ * Answer the client's handshake and tunnel frames between it and an open upstream socket
+ * Text and binary frames keep their type; a close on either side closes the
+ * other with the same code and reason, an error on either side drops both.
+ * A side that reads slower than the other writes is given backpressure.
+ *
+ * @param {Object} req - The upgrade request (with req.ws from handleUpgrades)
+ * @param {Object} res - Its response - headers set on it are sent with the 101
+ * @param {WebSocket} upstreamSocket - From connectUpstream
+ * @param {Function} onClose - Called once with { code, fromClient, fromUpstream } (message counts)
+ */
+export function tunnel(req, res, upstreamSocket, onClose = () => {}) {
+  const { socket, head } = req.ws;
+  if (socket.destroyed) {
+    // The client left while the upstream connected
+    upstreamSocket.terminate();
+    return onClose({ code: 1006, fromClient: 0, fromUpstream: 0 });
+  }
+
+  req.ws.protocol = upstreamSocket.protocol;
+  for (const [name, value] of Object.entries(res.getHeaders())) {
+    for (const item of [].concat(value)) {
+      req.ws.headers.push(`${name}: ${item}`);
+    }
+  }
+  // The socket now belongs to the WebSocket
+  res.detachSocket(socket);
+
+  clientServer.handleUpgrade(req, socket, head, client => {
+    const counts = { fromClient: 0, fromUpstream: 0 };
+    let closed = false;
+    const finish = code => {
+      if (closed) return;
+      closed = true;
+      onClose({ code, ...counts });
+    };
+
+    forward(client, upstreamSocket, () => counts.fromClient++);
+    forward(upstreamSocket, client, () => counts.fromUpstream++);
+    client.on('close', (code, reason) => {
+      closeWith(upstreamSocket, code, reason);
+      finish(code);
+    });
+    upstreamSocket.on('close', (code, reason) => {
+      closeWith(client, code, reason);
+      finish(code);
+    });
+    client.on('error', () => upstreamSocket.terminate());
+    upstreamSocket.on('error', () => client.terminate());
+
+    upstreamSocket.resume();
+  });
+}
@@ -0,0 +1,404 @@
+/**
+ * x402 Payment Requirements
+ *
+ * Builds spec-compliant x402 payment requirements from the `price` blocks
+ * declared in agents.json, decodes incoming X-PAYMENT headers and validates
+ * x402 responses.
+ *
+ * Price Structure (on a group or an endpoint - endpoint values win):
+ * - amount: Maximum amount required - atomic units for an asset address
+ *           (e.g. "10000" = 0.01 USDC), human units for a known symbol (e.g. "0.01")
+ * - asset: Token address / mint, or a known symbol like "USDC" (see assets.js)
+ * - network: Payment network (e.g. "base", "solana")
+ * - payTo: Address that receives the payment
+ * - maxTimeoutSeconds: How long a payment authorization stays valid (default: 60)
+ * - extra: Optional scheme-specific data (e.g. EIP-712 token name/version)
+ * - accepts: Optional array of payment options ({ network, asset, amount, payTo?, extra? }),
+ *            each inheriting payTo / maxTimeoutSeconds from the price block
+ * - rules: Optional dynamic pricing rules (see pricing.js)
+ */
+
+import { resolvePaymentOption } from './assets.js';
+import { hasPricingRules, computePrice } from './pricing.js';
+
+export const X402_VERSION = 1;
+
+const DEFAULT_MAX_TIMEOUT_SECONDS = 60;
+
+/**
+ * Get the effective price block for an endpoint
+ * Endpoint-level price fields override the group-level ones
+ *
+ * @param {Object} group - The group object
+ * @param {Object} endpoint - The endpoint object
+ * @returns {Object|null} Merged price block, or null if the endpoint is free
+ */
+export function getEndpointPrice(group, endpoint) {
+  if (!group.price && !endpoint.price) {
+    return null;
+  }
+  return { ...(group.price || {}), ...(endpoint.price || {}) };
+}
+
+/**
+ * Build a payment requirements object (one `accepts[]` entry) from a price block
+ *
+ * @param {Object} price - Effective price block (see getEndpointPrice)
+ * @param {Object} endpoint - The endpoint object
+ * @param {string} resourceUrl - Public URL of the resource being paid for
+ * @returns {Object} x402 payment requirements
+ */
+export function buildPaymentRequirements(price, endpoint, resourceUrl) {
+  const requirements = {
+    scheme: 'exact',
+    network: price.network,
+    maxAmountRequired: String(price.amount),
+    resource: resourceUrl,
+    description: endpoint.description || endpoint.name || '',
+    mimeType: endpoint.mimeType || 'application/json',
+    payTo: price.payTo,
+    maxTimeoutSeconds: Number(price.maxTimeoutSeconds || DEFAULT_MAX_TIMEOUT_SECONDS),
+    asset: price.asset
+  };
+
+  if (price.extra) {
+    requirements.extra = price.extra;
+  }
+
+  return requirements;
+}
+
+/**
+ * Build the outputSchema of an endpoint - how to call it and what it returns
+ * An endpoint can override it with its own `outputSchema`.
+ */
+export function buildOutputSchema(endpoint) {
+  if (endpoint.outputSchema) {
+    return endpoint.outputSchema;
+  }
+
+  const methods = Array.isArray(endpoint.method) ? endpoint.method : [endpoint.method];
+  const method = methods.includes('GET') || !methods.includes('POST') ? 'GET' : 'POST';
+  const input = { type: 'http', method };
+
+  const queryParams = Object.fromEntries(
+    [...new URLSearchParams(endpoint.parameters || '')].map(([name, example]) => [
+      name,
+      { type: 'string', required: false, description: `Example: ${example}` }
+    ])
+  );
+  if (Object.keys(queryParams).length > 0) {
+    input.queryParams = queryParams;
+  }
+  if (method === 'POST') {
+    input.bodyType = 'json';
+  }
+
+  return {
+    input,
+    ...(endpoint.exampleResponse !== undefined && { output: endpoint.exampleResponse })
+  };
+}
+
+/**
+ * List the payment options of a price block
+ * Without an `accepts` array the price block itself is the only option.
+ */
+export function getPaymentOptions(price) {
+  const inherited = {
+    payTo: price.payTo,
+    maxTimeoutSeconds: price.maxTimeoutSeconds
+  };
+
+  const options = Array.isArray(price.accepts) && price.accepts.length > 0
+    ? price.accepts.map(option => ({ ...inherited, ...option }))
+    : [price];
+
+  return options.map(resolvePaymentOption);
+}
+
+/**
+ * Build the full `accepts[]` array of an endpoint for a request
+ *
+ * Dynamic pricing rules are expressed in units of the first payment option;
+ * the other options are scaled by the same factor. The computed breakdown
+ * is surfaced in each entry's `extra.pricing`.
+ *
+ * @param {Object} price - Effective price block (see getEndpointPrice)
+ * @param {Object} endpoint - The endpoint object
+ * @param {string} resourceUrl - Public URL of the resource being paid for
+ * @param {Object} pricingContext - Request properties for pricing rules (see pricing.js)
+ * @returns {Array} x402 payment requirements, one per payment option
+ */
+export function buildAccepts(price, endpoint, resourceUrl, pricingContext = {}) {
+  const options = getPaymentOptions(price);
+  const outputSchema = buildOutputSchema(endpoint);
+
+  const baseAmount = BigInt(options[0].amount);
+  const quote = hasPricingRules(price)
+    ? computePrice({ ...price, amount: options[0].amount }, pricingContext)
+    : null;
+
+  return options.map(option => {
+    const amount = quote && baseAmount > 0n
+      ? (BigInt(option.amount) * BigInt(quote.amount) / baseAmount).toString()
+      : quote ? quote.amount : option.amount;
+
+    const requirements = buildPaymentRequirements({
+      ...option,
+      amount,
+      ...(quote && { extra: { ...(option.extra || {}), pricing: quote } })
+    }, endpoint, resourceUrl);
+
+    return { ...requirements, outputSchema };
+  });
+}
+
+/**
+ * Find the payment requirements an X-PAYMENT payload may have been made for
+ *
+ * Several options can share a scheme and network (e.g. USDC and SOL on
+ * Solana). When the payload names its asset - the mint of a Solana transfer -
+ * only options for that asset match. EVM authorizations don't carry their
+ * token, so every option on the network is a candidate to verify in turn.
+ *
+ * @param {Array} accepts - Payment requirements of the endpoint
+ * @param {Object} payment - Decoded X-PAYMENT payload
+ * @param {string|null} asset - Asset the payload transfers, if known
+ * @returns {Array} Matching accepts[] entries, in order of preference
+ */
+export function matchPaymentRequirements(accepts, payment, asset = null) {
+  return accepts.filter(requirements =>
+    requirements.scheme === payment.scheme &&
+    requirements.network === payment.network &&
+    (!asset || requirements.asset === asset)
+  );
+}
+
+/**
+ * Build the body of a 402 Payment Required response
+ *
+ * @param {Array} accepts - Array of payment requirements
+ * @param {string} error - Human readable reason the payment is required
+ * @returns {Object} x402 response body
+ */
+export function buildPaymentRequiredResponse(accepts, error) {
+  return {
+    x402Version: X402_VERSION,
+    error,
+    accepts
+  };
+}
+
+/**
+ * Decode a base64 encoded X-PAYMENT header
+ *
+ * @param {string} header - Raw header value
+ * @returns {Object} Decoded payment payload
+ * @throws {Error} If the header is not valid base64 JSON
+ */
+export function decodePaymentHeader(header) {
+  const json = Buffer.from(String(header), 'base64').toString('utf-8');
+  const payment = JSON.parse(json);
+  if (typeof payment !== 'object' || payment === null) {
+    throw new Error('Payment payload must be an object');
+  }
+  return payment;
+}
+
+/**
+ * Encode an object as a base64 JSON header value (e.g. X-PAYMENT-RESPONSE)
+ */
+export function encodeHeaderValue(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+/**
+ * Validate a decoded payment payload against payment requirements
+ *
+ * Only checks what can be checked locally without a facilitator: version,
+ * scheme, network and - for EVM authorizations - recipient, amount and
+ * validity window. Reasons follow the x402 facilitator error codes.
+ *
+ * @param {Object} payment - Decoded X-PAYMENT payload
+ * @param {Object} requirements - Payment requirements the payment must satisfy
+ * @returns {{isValid: boolean, invalidReason?: string}}
+ */
+export function validatePaymentPayload(payment, requirements) {
+  if (payment.x402Version !== X402_VERSION) {
+    return { isValid: false, invalidReason: 'invalid_x402_version' };
+  }
+  if (payment.scheme !== requirements.scheme) {
+    return { isValid: false, invalidReason: 'invalid_scheme' };
+  }
+  if (payment.network !== requirements.network) {
+    return { isValid: false, invalidReason: 'invalid_network' };
+  }
+  if (typeof payment.payload !== 'object' || payment.payload === null) {
+    return { isValid: false, invalidReason: 'invalid_payload' };
+  }
+
+  const authorization = payment.payload.authorization;
+  if (authorization) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (String(authorization.to).toLowerCase() !== String(requirements.payTo).toLowerCase()) {
+      return { isValid: false, invalidReason: 'invalid_exact_evm_payload_recipient_mismatch' };
+    }
+    try {
+      if (BigInt(authorization.value) < BigInt(requirements.maxAmountRequired)) {
+        return { isValid: false, invalidReason: 'invalid_exact_evm_payload_authorization_value' };
+      }
+    } catch (e) {
+      return { isValid: false, invalidReason: 'invalid_exact_evm_payload_authorization_value' };
+    }
+    if (Number(authorization.validBefore) < now) {
+      return { isValid: false, invalidReason: 'invalid_exact_evm_payload_authorization_valid_before' };
+    }
+    if (Number(authorization.validAfter) > now) {
+      return { isValid: false, invalidReason: 'invalid_exact_evm_payload_authorization_valid_after' };
+    }
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Validate an x402 response against the basic schema most clients need
+ *
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateBasicX402Schema(data) {
+  try {
+    // Basic x402 validation - minimal requirements for most clients
+    if (typeof data !== 'object' || data === null) {
+      return { valid: false, errors: ['Response must be an object'] };
+    }
+
+    const errors = [];
+
+    // Check x402Version exists and is a number
+    if (typeof data.x402Version !== 'number') {
+      errors.push('x402Version must be a number');
+    }
+
+    // If accepts exists, it should be an array
+    if (data.accepts !== undefined) {
+      if (!Array.isArray(data.accepts)) {
+        errors.push('accepts must be an array');
+      } else {
+        // Check each accepts item has minimal fields
+        data.accepts.forEach((item, idx) => {
+          if (typeof item !== 'object' || item === null) {
+            errors.push(`accepts[${idx}] must be an object`);
+          } else {
+            // Minimal fields check
+            if (!item.resource) errors.push(`accepts[${idx}].resource is required`);
+            if (!item.payTo) errors.push(`accepts[${idx}].payTo is required`);
+          }
+        });
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  } catch (e) {
+    return { valid: false, errors: [e.message] };
+  }
+}
+
+/**
+ * Validate an x402 response against the strict schema required by x402scan.com
+ *
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateStrictX402ScanSchema(data) {
+  try {
+    // Strict x402scan.com validation
+    if (typeof data !== 'object' || data === null) {
+      return { valid: false, errors: ['Response must be an object'] };
+    }
+
+    const errors = [];
+
+    // Check x402Version
+    if (typeof data.x402Version !== 'number') {
+      errors.push('x402Version must be a number');
+    }
+
+    // accepts must exist and be an array
+    if (!data.accepts) {
+      errors.push('accepts array is required for x402scan.com');
+    } else if (!Array.isArray(data.accepts)) {
+      errors.push('accepts must be an array');
+    } else if (data.accepts.length === 0) {
+      errors.push('accepts array cannot be empty for x402scan.com');
+    } else {
+      // Strict validation for each accepts item
+      data.accepts.forEach((item, idx) => {
+        if (typeof item !== 'object' || item === null) {
+          errors.push(`accepts[${idx}] must be an object`);
+          return;
+        }
+
+        // All required fields for x402scan.com
+        const requiredFields = {
+          scheme: 'string',
+          network: 'string',
+          maxAmountRequired: 'string',
+          resource: 'string',
+          description: 'string',
+          mimeType: 'string',
+          payTo: 'string',
+          maxTimeoutSeconds: 'number',
+          asset: 'string'
+        };
+
+        for (const [field, expectedType] of Object.entries(requiredFields)) {
+          if (item[field] === undefined || item[field] === null) {
+            errors.push(`accepts[${idx}].${field} is required for x402scan.com`);
+          } else if (typeof item[field] !== expectedType) {
+            errors.push(`accepts[${idx}].${field} must be a ${expectedType}, got ${typeof item[field]}`);
+          }
+        }
+
+        // Validate scheme is exactly "exact"
+        if (item.scheme && item.scheme !== 'exact') {
+          errors.push(`accepts[${idx}].scheme must be "exact" for x402scan.com, got "${item.scheme}"`);
+        }
+
+        // Validate network is a known network (base, solana, ethereum, etc.)
+        const validNetworks = ['base', 'solana', 'ethereum', 'polygon', 'arbitrum', 'optimism'];
+        if (item.network && !validNetworks.includes(item.network.toLowerCase())) {
+          errors.push(`accepts[${idx}].network must be a valid network (e.g., base, solana, ethereum), got "${item.network}"`);
+        }
+
+        // Validate outputSchema structure if present
+        if (item.outputSchema !== undefined) {
+          if (typeof item.outputSchema !== 'object' || item.outputSchema === null) {
+            errors.push(`accepts[${idx}].outputSchema must be an object if provided`);
+          } else if (item.outputSchema.input) {
+            const input = item.outputSchema.input;
+            if (input.type !== 'http') {
+              errors.push(`accepts[${idx}].outputSchema.input.type must be "http"`);
+            }
+            if (input.method && !['GET', 'POST'].includes(input.method)) {
+              errors.push(`accepts[${idx}].outputSchema.input.method must be "GET" or "POST"`);
+            }
+            if (input.bodyType && !['json', 'form-data', 'multipart-form-data', 'text', 'binary'].includes(input.bodyType)) {
+              errors.push(`accepts[${idx}].outputSchema.input.bodyType must be one of: json, form-data, multipart-form-data, text, binary`);
+            }
+          }
+        }
+
+        // Validate extra is an object if present
+        if (item.extra !== undefined && (typeof item.extra !== 'object' || item.extra === null || Array.isArray(item.extra))) {
+          errors.push(`accepts[${idx}].extra must be a plain object if provided`);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  } catch (e) {
+    return { valid: false, errors: [e.message] };
+  }
+}